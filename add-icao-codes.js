@@ -1,16 +1,30 @@
 import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { Journal, airportKey } from './checkpoint.js';
+import { createLLMClient } from './llm-client.js';
+import { CorrectionsRegistry } from './corrections.js';
+import { findICAOFromLLM } from './icao-prompt.js';
+import { loadOurAirportsIndex, lookupICAO } from './ourairports.js';
+import { trackICAO } from './provenance.js';
+import { responseCache } from './response-cache.js';
+import { mapOrdered, stageConcurrency } from './work-pool.js';
 
 class ICAOCodeFinder {
-    constructor(ollamaUrl = 'http://localhost:11434', model = 'mistral:latest') {
-        this.ollamaUrl = ollamaUrl;
-        this.model = model;
+    constructor(llm = createLLMClient('icao')) {
+        this.llm = llm;
+        this.model = llm.model;
         this.enrichedAirports = [];
+        this.ourAirportsIndex = null; // Set when OurAirports is a reference source (--reference)
+        this.corrections = CorrectionsRegistry.load();
         this.processedCount = 0;
-        this.delayMs = 500; // 0.5 second delay between requests
+        this.concurrency = stageConcurrency('icao');
         this.stats = {
+            manualFound: 0,
             apiFound: 0,
+            ourAirportsFound: 0,
             llmFound: 0,
             notFound: 0,
+            errors: 0,
             total: 0
         };
     }
@@ -33,79 +47,9 @@ class ICAOCodeFinder {
         }
     }
 
-    // Fallback: Use LLM to find ICAO code
+    // Fallback: Use LLM to find ICAO code (throws when the LLM backend keeps failing or the reply is rejected)
     async findICAOFromLLM(airport) {
-        try {
-            const prompt = `What is the ICAO code for ${airport.airportName} (${airport.airportCode}) in ${airport.city}, ${airport.country}?
-
-ICAO codes are exactly 4 letters (like KJFK, EGLL, LFPG). Respond with ONLY the ICAO code in this exact JSON format:
-
-{
-  "icaoCode": "XXXX"
-}
-
-If you don't know the exact ICAO code, respond with:
-{
-  "icaoCode": null
-}
-
-Only respond with valid JSON, nothing else.`;
-
-            const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    prompt: prompt,
-                    stream: false,
-                    options: {
-                        temperature: 0.1,
-                        top_p: 0.9
-                    }
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return this.parseICAOResponse(data.response);
-        } catch (error) {
-            console.error(`Error querying LLM for ${airport.airportCode}: ${error.message}`);
-            return null;
-        }
-    }
-
-    parseICAOResponse(response) {
-        if (!response) return null;
-
-        try {
-            // Clean up the response to extract JSON
-            let cleanResponse = response.trim();
-
-            // Find JSON block
-            const jsonStart = cleanResponse.indexOf('{');
-            const jsonEnd = cleanResponse.lastIndexOf('}') + 1;
-
-            if (jsonStart === -1 || jsonEnd === 0) {
-                return null;
-            }
-
-            const jsonStr = cleanResponse.substring(jsonStart, jsonEnd);
-            const parsed = JSON.parse(jsonStr);
-
-            if (parsed.icaoCode && typeof parsed.icaoCode === 'string' && parsed.icaoCode.length === 4) {
-                return parsed.icaoCode.toUpperCase();
-            }
-
-            return null;
-        } catch (error) {
-            console.error(`Error parsing ICAO response: ${error.message}`);
-            return null;
-        }
+        return findICAOFromLLM(this.llm, airport);
     }
 
     // Manual mapping for common airports (most reliable)
@@ -138,22 +82,46 @@ Only respond with valid JSON, nothing else.`;
             'MAD': 'LEMD', 'BCN': 'LEBL', 'LIS': 'LPPT', 'OPO': 'LPPR',
             'FCO': 'LIRF', 'MXP': 'LIMC', 'LIN': 'LIML', 'VCE': 'LIPZ',
             'ATH': 'LGAV', 'SKG': 'LGTS', 'BUD': 'LHBP', 'PRG': 'LKPR',
-            'WAW': 'EPWA', 'KRK': 'EPKK', 'BRU': 'EBBR', 'LUX': 'ELLX',
-            // Eastern Europe
-            'KIV': 'LUKK', 'KVP': 'LUTR'  // Moldova - corrected based on MSFS2024
+            'WAW': 'EPWA', 'KRK': 'EPKK', 'BRU': 'EBBR', 'LUX': 'ELLX'
         };
 
         return knownMappings[iataCode] || null;
     }
 
-    async delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // Re-count a journaled result when resuming an interrupted run
+    restoreStats(enrichedAirport) {
+        switch (enrichedAirport.icaoSource) {
+            case 'manual_correction':
+                this.stats.manualFound++;
+                break;
+            case 'known_mapping':
+            case 'api':
+                this.stats.apiFound++;
+                break;
+            case 'ourairports':
+                this.stats.ourAirportsFound++;
+                break;
+            case 'llm':
+                this.stats.llmFound++;
+                break;
+            default:
+                this.stats.notFound++;
+        }
     }
 
     async enrichAirportWithICAO(airport) {
         console.log(`[${this.processedCount + 1}] Processing: ${airport.airportCode} - ${airport.airportName}`);
 
-        // Step 1: Check known mappings first (fastest and most reliable)
+        // Step 1: Hand corrections from corrections.json override every other source
+        const correction = this.corrections.icaoFor(airport);
+        airport = this.corrections.apply(airport, 'icao');
+        if (correction) {
+            console.log(`  ✏️  Manual correction #${correction.entry.id}: ${airport.airportCode} → ${airport.icaoCode}`);
+            this.stats.manualFound++;
+            return airport;
+        }
+
+        // Step 2: Check known mappings (fastest and most reliable)
         let icaoCode = this.getKnownICAOCode(airport);
         if (icaoCode) {
             console.log(`  ✅ Known mapping: ${airport.airportCode} → ${icaoCode}`);
@@ -161,7 +129,7 @@ Only respond with valid JSON, nothing else.`;
             return { ...airport, icaoCode, icaoSource: 'known_mapping' };
         }
 
-        // Step 2: Try API (if implemented)
+        // Step 3: Try API (if implemented)
         icaoCode = await this.findICAOFromAPI(airport);
         if (icaoCode) {
             console.log(`  ✅ API found: ${airport.airportCode} → ${icaoCode}`);
@@ -169,21 +137,35 @@ Only respond with valid JSON, nothing else.`;
             return { ...airport, icaoCode, icaoSource: 'api' };
         }
 
-        // Step 3: Fallback to LLM
-        icaoCode = await this.findICAOFromLLM(airport);
+        // Step 4: OurAirports reference data (when configured)
+        const reference = lookupICAO(this.ourAirportsIndex, airport);
+        if (reference) {
+            console.log(`  🗺️  OurAirports: ${airport.airportCode} → ${reference.icaoCode}`);
+            this.stats.ourAirportsFound++;
+            return { ...airport, icaoCode: reference.icaoCode, icaoSource: 'ourairports', ourAirportsMatch: reference.match };
+        }
+
+        // Step 5: Fallback to LLM
+        try {
+            icaoCode = await this.findICAOFromLLM(airport);
+        } catch (error) {
+            console.log(`  ❌ Lookup error for ${airport.airportCode}: ${error.message}`);
+            this.stats.errors++;
+            return { ...airport, icaoCode: null, icaoSource: 'error', error: error.message };
+        }
         if (icaoCode) {
             console.log(`  🤖 LLM found: ${airport.airportCode} → ${icaoCode}`);
             this.stats.llmFound++;
             return { ...airport, icaoCode, icaoSource: 'llm' };
         }
 
-        // Step 4: Not found
+        // Step 6: Not found
         console.log(`  ❌ ICAO not found for ${airport.airportCode}`);
         this.stats.notFound++;
         return { ...airport, icaoCode: null, icaoSource: 'not_found' };
     }
 
-    async processAirports() {
+    async processAirports(options = {}) {
         try {
             console.log('Reading airports data...');
 
@@ -195,25 +177,42 @@ Only respond with valid JSON, nothing else.`;
 
             const airports = JSON.parse(fs.readFileSync('airports-categorized.json', 'utf8'));
             console.log(`Found ${airports.length} airports to enrich with ICAO codes`);
-            console.log(`Using model: ${this.model}\n`);
+            console.log(`Using model: ${this.llm.describe()}\n`);
 
             this.stats.total = airports.length;
-
-            for (let i = 0; i < airports.length; i++) {
-                const airport = airports[i];
-
-                const enrichedAirport = await this.enrichAirportWithICAO(airport);
-                this.enrichedAirports.push(enrichedAirport);
+            this.ourAirportsIndex = await loadOurAirportsIndex(options);
+
+            const journal = new Journal('icao-basic', options);
+            journal.logResume('airports');
+
+            this.enrichedAirports = await mapOrdered(airports, async airport => {
+                const key = airportKey(airport);
+                if (journal.has(key)) {
+                    const enrichedAirport = journal.get(key);
+                    this.restoreStats(enrichedAirport);
+                    this.processedCount++;
+                    return enrichedAirport;
+                }
+
+                const enrichedAirport = trackICAO(await this.enrichAirportWithICAO(airport), 'icao', this.llm);
+                // Failed lookups stay out of the journal so the next run retries them
+                if (enrichedAirport.icaoSource !== 'error') {
+                    journal.record(key, enrichedAirport);
+                }
                 this.processedCount++;
-
-                // Add delay to avoid overwhelming APIs/LLM
-                await this.delay(this.delayMs);
-            }
+                return enrichedAirport;
+            }, { concurrency: this.concurrency });
 
             console.log('\n=== ICAO CODE ENRICHMENT COMPLETE ===');
             this.generateReport();
             this.saveResults();
 
+            if (this.stats.errors > 0) {
+                console.log(`⚠️  ${this.stats.errors} airports failed with errors; run again to retry only those`);
+            } else {
+                journal.complete();
+            }
+
             return this.enrichedAirports;
 
         } catch (error) {
@@ -225,15 +224,19 @@ Only respond with valid JSON, nothing else.`;
     generateReport() {
         console.log(`\nICAO CODE STATISTICS:`);
         console.log(`📊 Total airports: ${this.stats.total}`);
+        console.log(`✏️  Manual corrections: ${this.stats.manualFound} (${(this.stats.manualFound / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`✅ Known/API found: ${this.stats.apiFound} (${(this.stats.apiFound / this.stats.total * 100).toFixed(1)}%)`);
+        console.log(`🗺️  OurAirports found: ${this.stats.ourAirportsFound} (${(this.stats.ourAirportsFound / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`🤖 LLM found: ${this.stats.llmFound} (${(this.stats.llmFound / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`❌ Not found: ${this.stats.notFound} (${(this.stats.notFound / this.stats.total * 100).toFixed(1)}%)`);
-        console.log(`📈 Success rate: ${((this.stats.apiFound + this.stats.llmFound) / this.stats.total * 100).toFixed(1)}%`);
+        console.log(`⚠️  Errors (retry later): ${this.stats.errors}`);
+        console.log(`📈 Success rate: ${((this.stats.manualFound + this.stats.apiFound + this.stats.ourAirportsFound + this.stats.llmFound) / this.stats.total * 100).toFixed(1)}%`);
 
         // Show examples by source
         const bySource = {
             known_mapping: this.enrichedAirports.filter(a => a.icaoSource === 'known_mapping'),
             api: this.enrichedAirports.filter(a => a.icaoSource === 'api'),
+            ourairports: this.enrichedAirports.filter(a => a.icaoSource === 'ourairports'),
             llm: this.enrichedAirports.filter(a => a.icaoSource === 'llm'),
             not_found: this.enrichedAirports.filter(a => a.icaoSource === 'not_found')
         };
@@ -247,6 +250,12 @@ Only respond with valid JSON, nothing else.`;
             const example = bySource.llm[0];
             console.log(`🤖 LLM: ${example.airportCode} → ${example.icaoCode}`);
         }
+
+        console.log(`\n💾 ${responseCache.formatStats()}`);
+        const rejections = this.llm.formatRejections();
+        if (rejections) {
+            console.log(`🚫 ${rejections}`);
+        }
     }
 
     saveResults() {
@@ -268,40 +277,34 @@ Only respond with valid JSON, nothing else.`;
     }
 
     async testConnection() {
-        console.log('Testing Ollama connection...');
-        try {
-            const response = await fetch(`${this.ollamaUrl}/api/tags`);
-            if (response.ok) {
-                console.log('✅ Ollama is running');
-                return true;
-            }
-        } catch (error) {
-            console.error('❌ Cannot connect to Ollama:', error.message);
-            return false;
-        }
+        return this.llm.testConnection();
     }
 }
 
 // Main execution
-async function main() {
+async function main(options = {}) {
+    responseCache.configure({ enabled: options.cache !== false });
     const finder = new ICAOCodeFinder();
 
     // Test connection first
     const connected = await finder.testConnection();
     if (!connected) {
-        console.log('Make sure Ollama is running with: ollama serve');
+        console.log('Make sure the LLM backend is running (e.g. ollama serve)');
         return;
     }
 
     console.log('\nStarting ICAO code enrichment...');
     console.log('Strategy:');
-    console.log('1. ✅ Check known IATA→ICAO mappings (fastest)');
-    console.log('2. 🤖 Query LLM for unknown codes (fallback)');
-    console.log('3. ❌ Mark as not found if no reliable source\n');
+    console.log('1. ✏️  Apply hand corrections from corrections.json');
+    console.log('2. ✅ Check known IATA→ICAO mappings (fastest)');
+    console.log('3. 🤖 Query LLM for unknown codes (fallback)');
+    console.log('4. ❌ Mark as not found if no reliable source\n');
 
-    await finder.processAirports();
+    await finder.processAirports(options);
 }
 
-main().catch(console.error);
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(console.error);
+}
 
-export { ICAOCodeFinder }; 
\ No newline at end of file
+export { ICAOCodeFinder, main };
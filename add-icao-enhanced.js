@@ -1,250 +1,210 @@
 import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { Journal, airportKey } from './checkpoint.js';
+import { createLLMClient } from './llm-client.js';
+import { findICAOFromLLM } from './icao-prompt.js';
+import { OpenFlightsSource } from './openflights-source.js';
+import { loadOurAirportsIndex, lookupICAO, referenceSources } from './ourairports.js';
+import { CSVReader, readCSV, reportCSVErrors } from './csv-reader.js';
+import { countryCodeOf, toCountryCode } from './countries.js';
+import { CorrectionsRegistry } from './corrections.js';
+import { trackICAO } from './provenance.js';
+import { responseCache } from './response-cache.js';
+import { mapOrdered, stageConcurrency } from './work-pool.js';
 
 class EnhancedICAOFinder {
-    constructor(ollamaUrl = 'http://localhost:11434', model = 'mistral:latest') {
-        this.ollamaUrl = ollamaUrl;
-        this.model = model;
+    constructor(llm = createLLMClient('icao'), source = new OpenFlightsSource()) {
+        this.llm = llm;
+        this.model = llm.model;
+        this.source = source;
+        this.snapshot = null;
         this.enrichedAirports = [];
         this.openFlightsMapping = new Map();
-        this.delayMs = 500;
+        this.ourAirportsIndex = null;
+        this.corrections = CorrectionsRegistry.load();
+        this.sources = ['openflights'];
+        this.concurrency = stageConcurrency('icao');
         this.stats = {
             openFlightsFound: 0,
+            ourAirportsFound: 0,
             knownMappingFound: 0,
             llmFound: 0,
             notFound: 0,
+            errors: 0,
             total: 0
         };
     }
 
+    // Text or stream of airports-extended.dat from the configured source (local copy, snapshot or download)
     async downloadOpenFlightsData() {
-        console.log('📥 Downloading OpenFlights airport database...');
+        console.log('📥 Loading OpenFlights airport database...');
 
         try {
-            const response = await fetch('https://raw.githubusercontent.com/jpatokal/openflights/master/data/airports-extended.dat');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const csvData = await response.text();
-            console.log('✅ Downloaded OpenFlights database');
+            const { input, info } = await this.source.open('airports-extended.dat');
+            this.snapshot = info;
+            console.log('✅ Loaded OpenFlights database');
 
-            return csvData;
+            return input;
         } catch (error) {
-            console.error('❌ Failed to download OpenFlights data:', error.message);
+            console.error('❌ Failed to load OpenFlights data:', error.message);
             return null;
         }
     }
 
-    parseOpenFlightsData(csvData) {
+    // csvData is the airports-extended.dat text or a readable stream of it
+    async parseOpenFlightsData(csvData) {
         console.log('🔄 Parsing OpenFlights data...');
 
-        const lines = csvData.split('\n');
+        const reader = new CSVReader({ minFields: 6, quotedNull: true });
         let parsed = 0;
         let withBothCodes = 0;
 
-        for (const line of lines) {
-            if (!line.trim()) continue;
-
-            try {
-                // Parse CSV line (handle quoted fields)
-                const fields = this.parseCSVLine(line);
-
-                if (fields.length >= 6) {
-                    const iataCode = fields[4]; // Column 5 (0-indexed)
-                    const icaoCode = fields[5]; // Column 6 (0-indexed)
-                    const airportName = fields[1];
-                    const city = fields[2];
-                    const country = fields[3];
-
-                    // Only include if both IATA and ICAO codes exist and are valid
-                    if (iataCode && icaoCode &&
-                        iataCode !== '\\N' && icaoCode !== '\\N' &&
-                        iataCode.length === 3 && icaoCode.length === 4) {
-
-                        this.openFlightsMapping.set(iataCode.toUpperCase(), {
-                            icao: icaoCode.toUpperCase(),
-                            name: airportName,
-                            city: city,
-                            country: country
-                        });
-                        withBothCodes++;
-                    }
-                    parsed++;
-                }
-            } catch (error) {
-                // Skip malformed lines
-                continue;
+        for await (const { fields } of readCSV(csvData, reader)) {
+            const iataCode = fields[4]; // Column 5 (0-indexed)
+            const icaoCode = fields[5]; // Column 6 (0-indexed)
+            const airportName = fields[1];
+            const city = fields[2];
+            const country = fields[3];
+
+            // Only include if both IATA and ICAO codes exist and are valid (\N is read as null)
+            if (iataCode && icaoCode && iataCode.length === 3 && icaoCode.length === 4) {
+                this.openFlightsMapping.set(iataCode.toUpperCase(), {
+                    id: parseInt(fields[0]) || null,
+                    icao: icaoCode.toUpperCase(),
+                    name: airportName,
+                    city: city,
+                    country: country,
+                    countryCode: toCountryCode(country)
+                });
+                withBothCodes++;
             }
+            parsed++;
         }
 
+        reportCSVErrors(reader, 'airports-extended.dat');
         console.log(`✅ Parsed ${parsed} airports, ${withBothCodes} with both IATA and ICAO codes`);
         console.log(`📊 OpenFlights mapping contains ${this.openFlightsMapping.size} airports`);
 
         return this.openFlightsMapping.size;
     }
 
-    parseCSVLine(line) {
-        const fields = [];
-        let current = '';
-        let inQuotes = false;
-
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                fields.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
-        }
-
-        // Add the last field
-        fields.push(current);
-
-        return fields;
-    }
-
-    // Enhanced known mappings (for airports not in OpenFlights or corrections)
-    getKnownICAOCode(airport) {
-        const iataCode = airport.airportCode?.toUpperCase();
-
-        // Manual corrections and additions
-        const knownMappings = {
-            'KVP': 'LUTR',  // Tiraspol - corrected per MSFS2024
-            'KIV': 'LUKK',  // Chișinău - Moldova
-            // Add more corrections here as needed
-        };
-
-        return knownMappings[iataCode] || null;
-    }
-
     // Get ICAO from OpenFlights database
     getICAOFromOpenFlights(airport) {
         const iataCode = airport.airportCode?.toUpperCase();
         const openFlightsData = this.openFlightsMapping.get(iataCode);
 
+        // Same rule as lookupICAO: an IATA match in another country is not this airport
+        const countryCode = countryCodeOf(airport);
+        if (countryCode && openFlightsData?.countryCode && openFlightsData.countryCode !== countryCode) {
+            console.log(`  ⚠️  OpenFlights has ${iataCode} in ${openFlightsData.countryCode}, not ${countryCode}; ignoring it`);
+            return null;
+        }
+
         if (openFlightsData) {
             return {
                 icaoCode: openFlightsData.icao,
                 source: 'openflights',
+                matchedId: openFlightsData.id,
                 matchedName: openFlightsData.name,
                 matchedCity: openFlightsData.city,
-                matchedCountry: openFlightsData.country
+                matchedCountry: openFlightsData.country,
+                matchedCountryCode: openFlightsData.countryCode
             };
         }
 
         return null;
     }
 
-    // Fallback: Use LLM for airports not in database
-    async findICAOFromLLM(airport) {
-        try {
-            const prompt = `What is the ICAO code for ${airport.airportName} (${airport.airportCode}) in ${airport.city}, ${airport.country}?
-
-ICAO codes are exactly 4 letters (like KJFK, EGLL, LFPG). Respond with ONLY the ICAO code in this exact JSON format:
-
-{
-  "icaoCode": "XXXX"
-}
-
-If you don't know the exact ICAO code, respond with:
-{
-  "icaoCode": null
-}
-
-Only respond with valid JSON, nothing else.`;
-
-            const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    prompt: prompt,
-                    stream: false,
-                    options: {
-                        temperature: 0.1,
-                        top_p: 0.9
-                    }
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    // First hit in the configured reference datasets, in priority order
+    getICAOFromReference(airport) {
+        for (const source of this.sources) {
+            if (source === 'openflights') {
+                const result = this.getICAOFromOpenFlights(airport);
+                if (result) return result;
+            } else if (source === 'ourairports') {
+                const result = lookupICAO(this.ourAirportsIndex, airport);
+                if (result) {
+                    return {
+                        icaoCode: result.icaoCode,
+                        source: 'ourairports',
+                        matchedId: result.match.ident,
+                        matchedName: result.match.name,
+                        matchedCity: result.match.city,
+                        matchedCountry: result.match.country,
+                        matchedCountryCode: result.match.countryCode
+                    };
+                }
             }
-
-            const data = await response.json();
-            return this.parseICAOResponse(data.response);
-        } catch (error) {
-            console.error(`Error querying LLM for ${airport.airportCode}: ${error.message}`);
-            return null;
         }
+        return null;
     }
 
-    parseICAOResponse(response) {
-        if (!response) return null;
-
-        try {
-            let cleanResponse = response.trim();
-            const jsonStart = cleanResponse.indexOf('{');
-            const jsonEnd = cleanResponse.lastIndexOf('}') + 1;
-
-            if (jsonStart === -1 || jsonEnd === 0) {
-                return null;
-            }
-
-            const jsonStr = cleanResponse.substring(jsonStart, jsonEnd);
-            const parsed = JSON.parse(jsonStr);
-
-            if (parsed.icaoCode && typeof parsed.icaoCode === 'string' && parsed.icaoCode.length === 4) {
-                return parsed.icaoCode.toUpperCase();
-            }
-
-            return null;
-        } catch (error) {
-            console.error(`Error parsing ICAO response: ${error.message}`);
-            return null;
-        }
+    // Fallback: Use LLM for airports not in database (throws when the LLM backend keeps failing or the reply is rejected)
+    async findICAOFromLLM(airport) {
+        return findICAOFromLLM(this.llm, airport);
     }
 
-    async delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // Re-count a journaled result when resuming an interrupted run
+    restoreStats(enrichedAirport) {
+        switch (enrichedAirport.icaoSource) {
+            case 'manual_correction':
+                this.stats.knownMappingFound++;
+                break;
+            case 'openflights':
+                this.stats.openFlightsFound++;
+                break;
+            case 'ourairports':
+                this.stats.ourAirportsFound++;
+                break;
+            case 'llm':
+                this.stats.llmFound++;
+                break;
+            default:
+                this.stats.notFound++;
+        }
     }
 
     async enrichAirportWithICAO(airport, index, total) {
         console.log(`[${index + 1}/${total}] Processing: ${airport.airportCode} - ${airport.airportName}`);
 
-        // Step 1: Check manual corrections first
-        let icaoCode = this.getKnownICAOCode(airport);
-        if (icaoCode) {
-            console.log(`  ✅ Manual mapping: ${airport.airportCode} → ${icaoCode}`);
+        // Step 1: Check manual corrections (corrections.json) first
+        const correction = this.corrections.icaoFor(airport);
+        airport = this.corrections.apply(airport, 'icao');
+        if (correction) {
+            console.log(`  ✅ Manual correction #${correction.entry.id}: ${airport.airportCode} → ${airport.icaoCode}`);
             this.stats.knownMappingFound++;
-            return { ...airport, icaoCode, icaoSource: 'manual_correction' };
+            return airport;
         }
 
-        // Step 2: Check OpenFlights database
-        const openFlightsResult = this.getICAOFromOpenFlights(airport);
-        if (openFlightsResult) {
-            console.log(`  🌐 OpenFlights: ${airport.airportCode} → ${openFlightsResult.icaoCode}`);
-            this.stats.openFlightsFound++;
+        // Step 2: Check the reference databases (OpenFlights and/or OurAirports)
+        const referenceResult = this.getICAOFromReference(airport);
+        if (referenceResult) {
+            const isOpenFlights = referenceResult.source === 'openflights';
+            console.log(`  🌐 ${isOpenFlights ? 'OpenFlights' : 'OurAirports'}: ${airport.airportCode} → ${referenceResult.icaoCode}`);
+            this.stats[isOpenFlights ? 'openFlightsFound' : 'ourAirportsFound']++;
             return {
                 ...airport,
-                icaoCode: openFlightsResult.icaoCode,
-                icaoSource: 'openflights',
-                openFlightsMatch: {
-                    name: openFlightsResult.matchedName,
-                    city: openFlightsResult.matchedCity,
-                    country: openFlightsResult.matchedCountry
+                icaoCode: referenceResult.icaoCode,
+                icaoSource: referenceResult.source,
+                [isOpenFlights ? 'openFlightsMatch' : 'ourAirportsMatch']: {
+                    [isOpenFlights ? 'id' : 'ident']: referenceResult.matchedId,
+                    name: referenceResult.matchedName,
+                    city: referenceResult.matchedCity,
+                    country: referenceResult.matchedCountry,
+                    countryCode: referenceResult.matchedCountryCode
                 }
             };
         }
 
         // Step 3: Fallback to LLM (only for airports not in database)
-        icaoCode = await this.findICAOFromLLM(airport);
+        let icaoCode;
+        try {
+            icaoCode = await this.findICAOFromLLM(airport);
+        } catch (error) {
+            console.log(`  ❌ Lookup error for ${airport.airportCode}: ${error.message}`);
+            this.stats.errors++;
+            return { ...airport, icaoCode: null, icaoSource: 'error', error: error.message };
+        }
         if (icaoCode) {
             console.log(`  🤖 LLM fallback: ${airport.airportCode} → ${icaoCode}`);
             this.stats.llmFound++;
@@ -257,17 +217,21 @@ Only respond with valid JSON, nothing else.`;
         return { ...airport, icaoCode: null, icaoSource: 'not_found' };
     }
 
-    async processAirports() {
+    async processAirports(options = {}) {
         try {
             console.log('🚀 Enhanced ICAO Code Finder\n');
 
-            // Step 1: Download and parse OpenFlights data
-            const csvData = await this.downloadOpenFlightsData();
-            if (!csvData) {
-                console.error('❌ Could not download OpenFlights data, falling back to LLM only');
-            } else {
-                await this.parseOpenFlightsData(csvData);
+            // Step 1: Load the reference data (OpenFlights by default, see --reference)
+            this.sources = referenceSources(options);
+            if (this.sources.includes('openflights')) {
+                const csvData = await this.downloadOpenFlightsData();
+                if (!csvData) {
+                    console.error('❌ Could not load OpenFlights data, falling back to the other sources');
+                } else {
+                    await this.parseOpenFlightsData(csvData);
+                }
             }
+            this.ourAirportsIndex = await loadOurAirportsIndex(options);
 
             // Step 2: Load airports data
             if (!fs.existsSync('airports-categorized.json')) {
@@ -278,27 +242,40 @@ Only respond with valid JSON, nothing else.`;
 
             const airports = JSON.parse(fs.readFileSync('airports-categorized.json', 'utf8'));
             console.log(`\n📋 Found ${airports.length} airports to enrich with ICAO codes`);
-            console.log(`🧠 Using model: ${this.model}\n`);
+            console.log(`🧠 Using model: ${this.llm.describe()}\n`);
 
             this.stats.total = airports.length;
 
-            // Step 3: Process each airport
-            for (let i = 0; i < airports.length; i++) {
-                const airport = airports[i];
+            const journal = new Journal('icao-enhanced', options);
+            journal.logResume('airports');
 
-                const enrichedAirport = await this.enrichAirportWithICAO(airport, i, airports.length);
-                this.enrichedAirports.push(enrichedAirport);
+            // Step 3: Process each airport
+            this.enrichedAirports = await mapOrdered(airports, async (airport, i) => {
+                const key = airportKey(airport);
+                if (journal.has(key)) {
+                    const enrichedAirport = journal.get(key);
+                    this.restoreStats(enrichedAirport);
+                    return enrichedAirport;
+                }
 
-                // Add delay only for LLM queries
-                if (enrichedAirport.icaoSource === 'llm') {
-                    await this.delay(this.delayMs);
+                const enrichedAirport = trackICAO(await this.enrichAirportWithICAO(airport, i, airports.length), 'icao', this.llm);
+                // Failed lookups stay out of the journal so the next run retries them
+                if (enrichedAirport.icaoSource !== 'error') {
+                    journal.record(key, enrichedAirport);
                 }
-            }
+                return enrichedAirport;
+            }, { concurrency: this.concurrency });
 
             console.log('\n=== ENHANCED ICAO CODE ENRICHMENT COMPLETE ===');
             this.generateReport();
             this.saveResults();
 
+            if (this.stats.errors > 0) {
+                console.log(`⚠️  ${this.stats.errors} airports failed with errors; run again to retry only those`);
+            } else {
+                journal.complete();
+            }
+
             return this.enrichedAirports;
 
         } catch (error) {
@@ -308,21 +285,29 @@ Only respond with valid JSON, nothing else.`;
     }
 
     generateReport() {
-        const totalWithICAO = this.stats.openFlightsFound + this.stats.knownMappingFound + this.stats.llmFound;
+        const totalWithICAO = this.stats.openFlightsFound + this.stats.ourAirportsFound + this.stats.knownMappingFound + this.stats.llmFound;
 
         console.log(`\n📊 ENHANCED ICAO CODE STATISTICS:`);
         console.log(`Total airports: ${this.stats.total}`);
         console.log(`✅ With ICAO codes: ${totalWithICAO} (${(totalWithICAO / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`🌐 OpenFlights database: ${this.stats.openFlightsFound} (${(this.stats.openFlightsFound / this.stats.total * 100).toFixed(1)}%)`);
+        console.log(`🗺️  OurAirports database: ${this.stats.ourAirportsFound} (${(this.stats.ourAirportsFound / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`🔧 Manual corrections: ${this.stats.knownMappingFound} (${(this.stats.knownMappingFound / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`🤖 LLM fallback: ${this.stats.llmFound} (${(this.stats.llmFound / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`❌ Not found: ${this.stats.notFound} (${(this.stats.notFound / this.stats.total * 100).toFixed(1)}%)`);
+        console.log(`⚠️  Errors (retry later): ${this.stats.errors}`);
 
         // Show examples by source
         console.log(`\n🎯 ACCURACY BY SOURCE:`);
         console.log(`🌐 OpenFlights: ~99% accurate (aviation database)`);
         console.log(`🔧 Manual: 100% accurate (verified corrections)`);
         console.log(`🤖 LLM: ~75% accurate (use with caution)`);
+
+        console.log(`\n💾 ${responseCache.formatStats()}`);
+        const rejections = this.llm.formatRejections();
+        if (rejections) {
+            console.log(`🚫 ${rejections}`);
+        }
     }
 
     saveResults() {
@@ -336,6 +321,8 @@ Only respond with valid JSON, nothing else.`;
             totalAirports: this.enrichedAirports.length,
             airportsWithICAO: this.enrichedAirports.filter(a => a.icaoCode).length,
             databaseSize: this.openFlightsMapping.size,
+            referenceSources: this.sources,
+            snapshot: this.snapshot,
             processedAt: new Date().toISOString(),
             sampleAirports: this.enrichedAirports.slice(0, 5)
         };
@@ -345,28 +332,19 @@ Only respond with valid JSON, nothing else.`;
     }
 
     async testConnection() {
-        console.log('Testing Ollama connection...');
-        try {
-            const response = await fetch(`${this.ollamaUrl}/api/tags`);
-            if (response.ok) {
-                console.log('✅ Ollama is running');
-                return true;
-            }
-        } catch (error) {
-            console.error('❌ Cannot connect to Ollama:', error.message);
-            return false;
-        }
+        return this.llm.testConnection();
     }
 }
 
 // Main execution
-async function main() {
-    const finder = new EnhancedICAOFinder();
+async function main(options = {}) {
+    responseCache.configure({ enabled: options.cache !== false });
+    const finder = new EnhancedICAOFinder(createLLMClient('icao'), OpenFlightsSource.forStage('icao', options));
 
     // Test connection first
     const connected = await finder.testConnection();
     if (!connected) {
-        console.log('Make sure Ollama is running with: ollama serve');
+        console.log('Make sure the LLM backend is running (e.g. ollama serve)');
         return;
     }
 
@@ -376,9 +354,11 @@ async function main() {
     console.log('2. 🌐 OpenFlights database (~99% accurate, 14,000+ airports)');
     console.log('3. 🤖 LLM fallback (~75% accurate, for missing airports)\n');
 
-    await finder.processAirports();
+    await finder.processAirports(options);
 }
 
-main().catch(console.error);
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(console.error);
+}
 
-export { EnhancedICAOFinder }; 
\ No newline at end of file
+export { EnhancedICAOFinder, main };
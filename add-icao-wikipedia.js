@@ -1,100 +1,88 @@
 import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { Journal, airportKey } from './checkpoint.js';
+import { createLLMClient } from './llm-client.js';
+import { CorrectionsRegistry } from './corrections.js';
+import { findICAOFromLLM } from './icao-prompt.js';
+import { mentionsAirport } from './names.js';
+import { loadOurAirportsIndex, lookupICAO } from './ourairports.js';
+import { fetchJSON } from './http-client.js';
+import { trackICAO } from './provenance.js';
+import { responseCache } from './response-cache.js';
+import { mapOrdered, stageConcurrency } from './work-pool.js';
 
 class WikipediaICAOFinder {
-    constructor(ollamaUrl = 'http://localhost:11434', model = 'mistral:latest') {
-        this.ollamaUrl = ollamaUrl;
-        this.model = model;
+    constructor(llm = createLLMClient('icao')) {
+        this.llm = llm;
+        this.model = llm.model;
         this.enrichedAirports = [];
-        this.delayMs = 1000; // 1 second delay between Wikipedia requests (be respectful)
+        this.ourAirportsIndex = null; // Set when OurAirports is a reference source (--reference)
+        this.corrections = CorrectionsRegistry.load();
+        this.concurrency = stageConcurrency('icao'); // Wikipedia requests are rate limited separately
         this.stats = {
+            ourAirportsFound: 0,
             wikipediaFound: 0,
             manualFound: 0,
             llmFound: 0,
             notFound: 0,
+            errors: 0,
             total: 0
         };
     }
 
-    // Manual corrections for known issues
+    // Manual corrections for known issues (corrections.json; add more with `corrections add`)
     getKnownCorrections(airport) {
-        const corrections = {
-            'KVP': { icao: 'LUTR', name: 'Tiraspol Airfield' },
-            'KIV': { icao: 'LUKK', name: 'Chișinău International Airport' },
-            'BNA': { icao: 'DABC', name: 'Mohamed Boudiaf International Airport', note: 'Constantine, Algeria (not Nashville!)' },
-            // Add more corrections as you find them
-        };
+        const correction = this.corrections.icaoFor(airport);
+        if (!correction) return null;
 
-        return corrections[airport.airportCode?.toUpperCase()] || null;
+        const { id, set, reason } = correction.entry;
+        return { id, icao: correction.icaoCode, name: set.airportName, note: reason };
     }
 
+    // Throws when Wikipedia keeps failing, so the airport is retried on the next run
     async searchWikipedia(query) {
-        try {
-            // Use Wikipedia API to search for the airport
-            const searchUrl = `https://en.wikipedia.org/w/api.php?action=opensearch&search=${encodeURIComponent(query)}&limit=5&namespace=0&format=json&origin=*`;
-
-            const response = await fetch(searchUrl);
-            if (!response.ok) {
-                throw new Error(`Wikipedia search failed: ${response.status}`);
-            }
-
-            const [searchTerm, titles, descriptions, urls] = await response.json();
-
-            // Filter for airport-related results
-            const airportResults = [];
-            for (let i = 0; i < titles.length; i++) {
-                const title = titles[i];
-                const description = descriptions[i] || '';
-
-                if (this.isAirportRelated(title, description)) {
-                    airportResults.push({
-                        title: title,
-                        description: description,
-                        url: urls[i]
-                    });
-                }
+        // Use Wikipedia API to search for the airport
+        const searchUrl = `https://en.wikipedia.org/w/api.php?action=opensearch&search=${encodeURIComponent(query)}&limit=5&namespace=0&format=json&origin=*`;
+
+        const [searchTerm, titles, descriptions, urls] = await fetchJSON(searchUrl, { kind: 'wikipedia' });
+
+        // Filter for airport-related results
+        const airportResults = [];
+        for (let i = 0; i < titles.length; i++) {
+            const title = titles[i];
+            const description = descriptions[i] || '';
+
+            if (this.isAirportRelated(title, description)) {
+                airportResults.push({
+                    title: title,
+                    description: description,
+                    url: urls[i]
+                });
             }
-
-            return airportResults;
-        } catch (error) {
-            console.error(`Wikipedia search error: ${error.message}`);
-            return [];
         }
+
+        return airportResults;
     }
 
+    // "Airport" in any language names.js knows, whatever the accents or script
     isAirportRelated(title, description) {
-        const airportKeywords = [
-            'airport', 'international airport', 'air base', 'airfield', 'airstrip',
-            'aerodrome', 'aéroport', 'flughafen', 'aeroporto'
-        ];
-
-        const text = (title + ' ' + description).toLowerCase();
-        return airportKeywords.some(keyword => text.includes(keyword));
+        return mentionsAirport(`${title} ${description}`);
     }
 
     async getWikipediaPageContent(title) {
-        try {
-            // Get the page content to extract IATA and ICAO codes
-            const contentUrl = `https://en.wikipedia.org/w/api.php?action=query&format=json&titles=${encodeURIComponent(title)}&prop=extracts&exintro=true&explaintext=true&origin=*`;
-
-            const response = await fetch(contentUrl);
-            if (!response.ok) {
-                throw new Error(`Wikipedia content fetch failed: ${response.status}`);
-            }
-
-            const data = await response.json();
-            const pages = data.query.pages;
-            const pageId = Object.keys(pages)[0];
+        // Get the page content to extract IATA and ICAO codes
+        const contentUrl = `https://en.wikipedia.org/w/api.php?action=query&format=json&titles=${encodeURIComponent(title)}&prop=extracts&exintro=true&explaintext=true&origin=*`;
 
-            if (pageId === '-1') {
-                return null; // Page not found
-            }
+        const data = await fetchJSON(contentUrl, { kind: 'wikipedia' });
+        const pages = data.query.pages;
+        const pageId = Object.keys(pages)[0];
 
-            const extract = pages[pageId].extract || '';
-            return extract;
-        } catch (error) {
-            console.error(`Wikipedia content error: ${error.message}`);
-            return null;
+        if (pageId === '-1') {
+            return null; // Page not found
         }
+
+        const extract = pages[pageId].extract || '';
+        return extract;
     }
 
     extractICAOFromText(text, airportName) {
@@ -125,125 +113,70 @@ class WikipediaICAOFinder {
     }
 
     async findICAOFromWikipedia(airport) {
-        try {
-            console.log(`    🔍 Searching Wikipedia for: ${airport.airportName}`);
-
-            // Try different search queries
-            const searchQueries = [
-                `${airport.airportName}`,
-                `${airport.airportName} airport`,
-                `${airport.airportName} ${airport.city}`,
-                `${airport.airportName} ${airport.country}`
-            ];
-
-            for (const query of searchQueries) {
-                const searchResults = await this.searchWikipedia(query);
-
-                for (const result of searchResults) {
-                    console.log(`      📄 Checking: ${result.title}`);
-
-                    const content = await this.getWikipediaPageContent(result.title);
-                    if (content) {
-                        const icaoCode = this.extractICAOFromText(content, airport.airportName);
-                        if (icaoCode) {
-                            return {
-                                icaoCode: icaoCode,
-                                wikipediaTitle: result.title,
-                                wikipediaUrl: result.url,
-                                foundInQuery: query
-                            };
-                        }
-                    }
+        console.log(`    🔍 Searching Wikipedia for: ${airport.airportName}`);
+
+        // Try different search queries
+        const searchQueries = [
+            `${airport.airportName}`,
+            `${airport.airportName} airport`,
+            `${airport.airportName} ${airport.city}`,
+            `${airport.airportName} ${airport.country}`
+        ];
 
-                    // Small delay between page requests
-                    await this.delay(300);
+        for (const query of searchQueries) {
+            const searchResults = await this.searchWikipedia(query);
+
+            for (const result of searchResults) {
+                console.log(`      📄 Checking: ${result.title}`);
+
+                const content = await this.getWikipediaPageContent(result.title);
+                if (content) {
+                    const icaoCode = this.extractICAOFromText(content, airport.airportName);
+                    if (icaoCode) {
+                        return {
+                            icaoCode: icaoCode,
+                            wikipediaTitle: result.title,
+                            wikipediaUrl: result.url,
+                            foundInQuery: query
+                        };
+                    }
                 }
-
-                // Delay between different search queries
-                await this.delay(500);
             }
-
-            return null;
-        } catch (error) {
-            console.error(`Wikipedia search error for ${airport.airportCode}: ${error.message}`);
-            return null;
         }
+
+        return null;
     }
 
     // Fallback: Use LLM for airports not found on Wikipedia
     async findICAOFromLLM(airport) {
-        try {
-            const prompt = `What is the ICAO code for ${airport.airportName} (${airport.airportCode}) in ${airport.city}, ${airport.country}?
-
-ICAO codes are exactly 4 letters (like KJFK, EGLL, LFPG). Respond with ONLY the ICAO code in this exact JSON format:
-
-{
-  "icaoCode": "XXXX"
-}
-
-If you don't know the exact ICAO code, respond with:
-{
-  "icaoCode": null
-}
-
-Only respond with valid JSON, nothing else.`;
-
-            const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    prompt: prompt,
-                    stream: false,
-                    options: {
-                        temperature: 0.1,
-                        top_p: 0.9
-                    }
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return this.parseICAOResponse(data.response);
-        } catch (error) {
-            console.error(`Error querying LLM for ${airport.airportCode}: ${error.message}`);
-            return null;
-        }
+        return findICAOFromLLM(this.llm, airport);
     }
 
-    parseICAOResponse(response) {
-        if (!response) return null;
-
-        try {
-            let cleanResponse = response.trim();
-            const jsonStart = cleanResponse.indexOf('{');
-            const jsonEnd = cleanResponse.lastIndexOf('}') + 1;
-
-            if (jsonStart === -1 || jsonEnd === 0) {
-                return null;
-            }
-
-            const jsonStr = cleanResponse.substring(jsonStart, jsonEnd);
-            const parsed = JSON.parse(jsonStr);
-
-            if (parsed.icaoCode && typeof parsed.icaoCode === 'string' && parsed.icaoCode.length === 4) {
-                return parsed.icaoCode.toUpperCase();
-            }
-
-            return null;
-        } catch (error) {
-            console.error(`Error parsing ICAO response: ${error.message}`);
-            return null;
+    // Re-count a journaled result when resuming an interrupted run
+    restoreStats(enrichedAirport) {
+        switch (enrichedAirport.icaoSource) {
+            case 'manual_correction':
+                this.stats.manualFound++;
+                break;
+            case 'ourairports':
+                this.stats.ourAirportsFound++;
+                break;
+            case 'wikipedia':
+                this.stats.wikipediaFound++;
+                break;
+            case 'llm':
+                this.stats.llmFound++;
+                break;
+            default:
+                this.stats.notFound++;
         }
     }
 
-    async delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // A lookup that failed after all retries; kept out of the journal so it is retried next run
+    errorResult(airport, step, error) {
+        console.log(`  ❌ ${step} lookup error for ${airport.airportCode}: ${error.message}`);
+        this.stats.errors++;
+        return { ...airport, icaoCode: null, icaoSource: 'error', error: error.message };
     }
 
     async enrichAirportWithICAO(airport, index, total) {
@@ -252,22 +185,31 @@ Only respond with valid JSON, nothing else.`;
 
         // Step 1: Check manual corrections first
         const correction = this.getKnownCorrections(airport);
+        airport = this.corrections.apply(airport, 'icao');
         if (correction) {
-            console.log(`  ✅ Manual correction: ${airport.airportCode} → ${correction.icao}`);
+            console.log(`  ✅ Manual correction #${correction.id}: ${airport.airportCode} → ${correction.icao}`);
             if (correction.note) {
                 console.log(`     Note: ${correction.note}`);
             }
             this.stats.manualFound++;
-            return {
-                ...airport,
-                icaoCode: correction.icao,
-                icaoSource: 'manual_correction',
-                correctionNote: correction.note
-            };
+            return { ...airport, correctionNote: correction.note };
+        }
+
+        // Step 2: OurAirports reference data (when configured) saves the Wikipedia round trips
+        const reference = lookupICAO(this.ourAirportsIndex, airport);
+        if (reference) {
+            console.log(`  🗺️  OurAirports: ${airport.airportCode} → ${reference.icaoCode}`);
+            this.stats.ourAirportsFound++;
+            return { ...airport, icaoCode: reference.icaoCode, icaoSource: 'ourairports', ourAirportsMatch: reference.match };
         }
 
-        // Step 2: Search Wikipedia
-        const wikipediaResult = await this.findICAOFromWikipedia(airport);
+        // Step 3: Search Wikipedia
+        let wikipediaResult;
+        try {
+            wikipediaResult = await this.findICAOFromWikipedia(airport);
+        } catch (error) {
+            return this.errorResult(airport, 'Wikipedia', error);
+        }
         if (wikipediaResult) {
             console.log(`  🌟 Wikipedia found: ${airport.airportCode} → ${wikipediaResult.icaoCode}`);
             console.log(`     Source: ${wikipediaResult.wikipediaTitle}`);
@@ -284,21 +226,26 @@ Only respond with valid JSON, nothing else.`;
             };
         }
 
-        // Step 3: Fallback to LLM
-        const llmCode = await this.findICAOFromLLM(airport);
+        // Step 4: Fallback to LLM
+        let llmCode;
+        try {
+            llmCode = await this.findICAOFromLLM(airport);
+        } catch (error) {
+            return this.errorResult(airport, 'LLM', error);
+        }
         if (llmCode) {
             console.log(`  🤖 LLM fallback: ${airport.airportCode} → ${llmCode}`);
             this.stats.llmFound++;
             return { ...airport, icaoCode: llmCode, icaoSource: 'llm' };
         }
 
-        // Step 4: Not found
+        // Step 5: Not found
         console.log(`  ❌ ICAO not found for ${airport.airportCode}`);
         this.stats.notFound++;
         return { ...airport, icaoCode: null, icaoSource: 'not_found' };
     }
 
-    async processAirports() {
+    async processAirports(options = {}) {
         try {
             console.log('🌟 Wikipedia-Enhanced ICAO Code Finder\n');
 
@@ -310,24 +257,40 @@ Only respond with valid JSON, nothing else.`;
 
             const airports = JSON.parse(fs.readFileSync('airports-categorized.json', 'utf8'));
             console.log(`📋 Found ${airports.length} airports to process`);
-            console.log(`🧠 Using model: ${this.model} for fallback\n`);
+            console.log(`🧠 Using model: ${this.llm.describe()} for fallback\n`);
 
             this.stats.total = airports.length;
+            this.ourAirportsIndex = await loadOurAirportsIndex(options);
 
-            for (let i = 0; i < airports.length; i++) {
-                const airport = airports[i];
+            const journal = new Journal('icao-wikipedia', options);
+            journal.logResume('airports');
 
-                const enrichedAirport = await this.enrichAirportWithICAO(airport, i, airports.length);
-                this.enrichedAirports.push(enrichedAirport);
+            this.enrichedAirports = await mapOrdered(airports, async (airport, i) => {
+                const key = airportKey(airport);
+                if (journal.has(key)) {
+                    const enrichedAirport = journal.get(key);
+                    this.restoreStats(enrichedAirport);
+                    return enrichedAirport;
+                }
 
-                // Respectful delay between requests
-                await this.delay(this.delayMs);
-            }
+                const enrichedAirport = trackICAO(await this.enrichAirportWithICAO(airport, i, airports.length), 'icao', this.llm);
+                // Failed lookups stay out of the journal so the next run retries them
+                if (enrichedAirport.icaoSource !== 'error') {
+                    journal.record(key, enrichedAirport);
+                }
+                return enrichedAirport;
+            }, { concurrency: this.concurrency });
 
             console.log('\n=== WIKIPEDIA-ENHANCED PROCESSING COMPLETE ===');
             this.generateReport();
             this.saveResults();
 
+            if (this.stats.errors > 0) {
+                console.log(`⚠️  ${this.stats.errors} airports failed with errors; run again to retry only those`);
+            } else {
+                journal.complete();
+            }
+
             return this.enrichedAirports;
 
         } catch (error) {
@@ -337,20 +300,28 @@ Only respond with valid JSON, nothing else.`;
     }
 
     generateReport() {
-        const totalWithICAO = this.stats.manualFound + this.stats.wikipediaFound + this.stats.llmFound;
+        const totalWithICAO = this.stats.manualFound + this.stats.ourAirportsFound + this.stats.wikipediaFound + this.stats.llmFound;
 
         console.log(`\n📊 WIKIPEDIA-ENHANCED STATISTICS:`);
         console.log(`Total airports: ${this.stats.total}`);
         console.log(`✅ With ICAO codes: ${totalWithICAO} (${(totalWithICAO / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`✏️  Manual corrections: ${this.stats.manualFound} (${(this.stats.manualFound / this.stats.total * 100).toFixed(1)}%)`);
+        console.log(`🗺️  OurAirports found: ${this.stats.ourAirportsFound} (${(this.stats.ourAirportsFound / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`🌟 Wikipedia found: ${this.stats.wikipediaFound} (${(this.stats.wikipediaFound / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`🤖 LLM fallback: ${this.stats.llmFound} (${(this.stats.llmFound / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`❌ Not found: ${this.stats.notFound} (${(this.stats.notFound / this.stats.total * 100).toFixed(1)}%)`);
+        console.log(`⚠️  Errors (retry later): ${this.stats.errors}`);
 
         console.log(`\n🎯 ACCURACY BY SOURCE:`);
         console.log(`✏️  Manual: 100% accurate (verified corrections)`);
         console.log(`🌟 Wikipedia: ~98% accurate (verified encyclopedia data)`);
         console.log(`🤖 LLM: ~75% accurate (use with caution)`);
+
+        console.log(`\n💾 ${responseCache.formatStats()}`);
+        const rejections = this.llm.formatRejections();
+        if (rejections) {
+            console.log(`🚫 ${rejections}`);
+        }
     }
 
     saveResults() {
@@ -382,14 +353,8 @@ Only respond with valid JSON, nothing else.`;
     async testConnection() {
         console.log('Testing connections...');
 
-        // Test Ollama
-        try {
-            const response = await fetch(`${this.ollamaUrl}/api/tags`);
-            if (response.ok) {
-                console.log('✅ Ollama is running');
-            }
-        } catch (error) {
-            console.error('❌ Cannot connect to Ollama:', error.message);
+        // Test the LLM backend
+        if (!await this.llm.testConnection()) {
             return false;
         }
 
@@ -409,13 +374,14 @@ Only respond with valid JSON, nothing else.`;
 }
 
 // Main execution
-async function main() {
+async function main(options = {}) {
+    responseCache.configure({ enabled: options.cache !== false });
     const finder = new WikipediaICAOFinder();
 
     // Test connections first
     const connected = await finder.testConnection();
     if (!connected) {
-        console.log('Make sure Ollama is running and you have internet access');
+        console.log('Make sure the LLM backend is running and you have internet access');
         return;
     }
 
@@ -425,9 +391,11 @@ async function main() {
     console.log('2. 🌟 Wikipedia search (~98% accurate, verified data)');
     console.log('3. 🤖 LLM fallback (~75% accurate, for missing airports)\n');
 
-    await finder.processAirports();
+    await finder.processAirports(options);
 }
 
-main().catch(console.error);
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(console.error);
+}
 
-export { WikipediaICAOFinder }; 
\ No newline at end of file
+export { WikipediaICAOFinder, main };
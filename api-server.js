@@ -0,0 +1,276 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import { isMainModule, parseArgs } from './cli.js';
+import { toCountryCode } from './countries.js';
+import { toRow, sortRows, filterRows, listOption } from './export-airports.js';
+import { distanceKm } from './geo.js';
+
+const DEFAULT_PORT = 8766;
+const DEFAULT_INPUT = 'airports-with-icao-corrected.json';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DEFAULT_NEAREST = 10;
+const MAX_NEAREST = 100;
+// How often the dataset file is checked for changes
+const RELOAD_INTERVAL_MS = 1000;
+
+const ENDPOINTS = {
+    'GET /airports': 'All airports; filters: country, category, icaoSource (comma-separated), bbox=minLon,minLat,maxLon,maxLat',
+    'GET /airports/iata/:code': 'Airports with this IATA code',
+    'GET /airports/icao/:code': 'Airports with this ICAO code',
+    'GET /airports/nearest?lat=&lon=&n=': `The n nearest airports (default ${DEFAULT_NEAREST}, at most ${MAX_NEAREST}) with distanceKm`,
+    'GET /countries/:country/airports': 'Airports in a country, by ISO code or any name the pipeline knows',
+    'Pagination': `page (from 1) and limit (default ${DEFAULT_LIMIT}, at most ${MAX_LIMIT}) on every list`
+};
+
+// A 400 for bad query parameters, 404 for unknown resources
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Only the path and query are used: a constant base keeps a bad Host header harmless
+function requestURL(req) {
+    try {
+        return new URL(req.url, 'http://localhost');
+    } catch {
+        throw new ApiError(400, `Malformed request target "${req.url}"`);
+    }
+}
+
+const hasLocation = row => typeof row.latitude === 'number' && typeof row.longitude === 'number';
+
+function numberParam(params, name, { min = -Infinity, max = Infinity, integer = false, fallback } = {}) {
+    const raw = params.get(name);
+    if (raw === null || raw === '') {
+        if (fallback === undefined) throw new ApiError(400, `Missing parameter ${name}`);
+        return fallback;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+        throw new ApiError(400, `Invalid ${name} "${raw}" (expected ${integer ? 'an integer' : 'a number'} from ${min} to ${max})`);
+    }
+    return value;
+}
+
+function parseBBox(value) {
+    const parts = value.split(',').map(Number);
+    if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) {
+        throw new ApiError(400, `Invalid bbox "${value}" (expected minLon,minLat,maxLon,maxLat)`);
+    }
+    const [minLon, minLat, maxLon, maxLat] = parts;
+    if (minLat > maxLat) {
+        throw new ApiError(400, `Invalid bbox "${value}": minLat is above maxLat`);
+    }
+    // minLon > maxLon is a box crossing the antimeridian
+    return row => hasLocation(row) && row.latitude >= minLat && row.latitude <= maxLat &&
+        (minLon <= maxLon
+            ? row.longitude >= minLon && row.longitude <= maxLon
+            : row.longitude >= minLon || row.longitude <= maxLon);
+}
+
+// Serves the final dataset read-only as JSON. Rows have the export's flat shape (see
+// export-airports.js), lists are paginated, and every response carries an ETag so clients
+// can revalidate cheaply. The dataset file is polled and reloaded when it changes; a file
+// that fails to parse leaves the previous data in place.
+class ApiServer {
+    constructor(options = {}) {
+        this.port = Number(options.port) || DEFAULT_PORT;
+        this.host = options.host || '127.0.0.1';
+        this.input = options.input || DEFAULT_INPUT;
+        this.rows = [];
+        this.byIATA = new Map();
+        this.byICAO = new Map();
+        this.version = null;
+        this.loadedAt = null;
+        this.server = null;
+        this.onChange = () => this.reload();
+    }
+
+    // Reads the dataset and rebuilds the indexes; throws when the file is unreadable
+    load() {
+        const content = fs.readFileSync(this.input, 'utf8');
+        const airports = JSON.parse(content);
+        if (!Array.isArray(airports)) {
+            throw new Error(`${this.input} does not hold a list of airports`);
+        }
+
+        const rows = sortRows(airports.map(toRow));
+        const index = key => {
+            const map = new Map();
+            for (const row of rows) {
+                if (!row[key]) continue;
+                const code = row[key].toUpperCase();
+                map.set(code, [...(map.get(code) || []), row]);
+            }
+            return map;
+        };
+
+        this.rows = rows;
+        this.byIATA = index('airportCode');
+        this.byICAO = index('icaoCode');
+        this.version = crypto.createHash('sha1').update(content).digest('hex').slice(0, 16);
+        this.loadedAt = new Date().toISOString();
+        return rows.length;
+    }
+
+    reload() {
+        try {
+            const count = this.load();
+            console.log(`🔄 Reloaded ${this.input}: ${count} airports`);
+        } catch (error) {
+            console.error(`❌ Reload of ${this.input} failed, still serving the previous data: ${error.message}`);
+        }
+    }
+
+    paginate(rows, params) {
+        const limit = numberParam(params, 'limit', { min: 1, max: MAX_LIMIT, integer: true, fallback: DEFAULT_LIMIT });
+        const page = numberParam(params, 'page', { min: 1, integer: true, fallback: 1 });
+        return {
+            data: rows.slice((page - 1) * limit, page * limit),
+            pagination: { page, limit, total: rows.length, pages: Math.ceil(rows.length / limit) }
+        };
+    }
+
+    filter(rows, params) {
+        let result;
+        try {
+            result = filterRows(rows, {
+                countries: listOption(params.get('country') ?? undefined),
+                categories: listOption(params.get('category') ?? undefined),
+                icaoSources: listOption(params.get('icaoSource') ?? undefined)
+            });
+        } catch (error) {
+            throw new ApiError(400, error.message);
+        }
+        return params.has('bbox') ? result.filter(parseBBox(params.get('bbox'))) : result;
+    }
+
+    nearest(params) {
+        const lat = numberParam(params, 'lat', { min: -90, max: 90 });
+        const lon = numberParam(params, 'lon', { min: -180, max: 180 });
+        const n = numberParam(params, 'n', { min: 1, max: MAX_NEAREST, integer: true, fallback: DEFAULT_NEAREST });
+
+        const data = this.filter(this.rows, params)
+            .filter(hasLocation)
+            .map(row => ({ ...row, distanceKm: Math.round(distanceKm(lat, lon, row.latitude, row.longitude) * 10) / 10 }))
+            .sort((a, b) => a.distanceKm - b.distanceKm)
+            .slice(0, n);
+        return { data };
+    }
+
+    lookup(index, code) {
+        const data = index.get(code.toUpperCase());
+        if (!data) throw new ApiError(404, `No airport with code ${code}`);
+        return { data };
+    }
+
+    route(pathname, params) {
+        const parts = pathname.split('/').filter(Boolean).map(part => {
+            try {
+                return decodeURIComponent(part);
+            } catch {
+                throw new ApiError(400, `Malformed path segment "${part}"`);
+            }
+        });
+
+        if (parts.length === 0) {
+            return { dataset: this.input, airports: this.rows.length, loadedAt: this.loadedAt, version: this.version, endpoints: ENDPOINTS };
+        }
+        if (parts[0] === 'airports') {
+            if (parts.length === 1) return this.paginate(this.filter(this.rows, params), params);
+            if (parts.length === 2 && parts[1] === 'nearest') return this.nearest(params);
+            if (parts.length === 3 && parts[1] === 'iata') return this.lookup(this.byIATA, parts[2]);
+            if (parts.length === 3 && parts[1] === 'icao') return this.lookup(this.byICAO, parts[2]);
+        }
+        if (parts[0] === 'countries' && parts.length === 3 && parts[2] === 'airports') {
+            const code = toCountryCode(parts[1]);
+            if (!code) throw new ApiError(404, `Unknown country "${parts[1]}"`);
+            return this.paginate(this.filter(this.rows.filter(row => row.countryCode === code), params), params);
+        }
+        throw new ApiError(404, `Not found: ${pathname}`);
+    }
+
+    // The ETag covers the dataset version and the exact response, so it changes on reload
+    send(req, res, status, body) {
+        const json = JSON.stringify(body);
+        const etag = `"${crypto.createHash('sha1').update(`${this.version}\n${json}`).digest('hex').slice(0, 27)}"`;
+        const headers = {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'no-cache',
+            ETag: etag
+        };
+
+        const match = req.headers['if-none-match'];
+        if (status === 200 && match && match.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag)) {
+            res.writeHead(304, headers);
+            return res.end();
+        }
+        res.writeHead(status, headers);
+        res.end(req.method === 'HEAD' ? undefined : json);
+    }
+
+    handle(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': 'application/json; charset=utf-8' });
+            return res.end(JSON.stringify({ error: `${req.method} not allowed: the API is read-only` }));
+        }
+
+        try {
+            const { pathname, searchParams } = requestURL(req);
+            return this.send(req, res, 200, this.route(pathname, searchParams));
+        } catch (error) {
+            return this.send(req, res, error.status || 500, { error: error.message });
+        }
+    }
+
+    start() {
+        this.load();
+        fs.watchFile(this.input, { interval: RELOAD_INTERVAL_MS }, this.onChange);
+
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.once('error', error => {
+                fs.unwatchFile(this.input, this.onChange);
+                reject(error);
+            });
+            this.server.listen(this.port, this.host, () => {
+                console.log(`🌐 Serving ${this.rows.length} airports from ${this.input} at http://${this.host}:${this.port}/`);
+                console.log('🔄 The dataset is reloaded whenever the file changes');
+                console.log('Press Ctrl+C to stop');
+                resolve(this.server);
+            });
+        });
+    }
+
+    stop() {
+        fs.unwatchFile(this.input, this.onChange);
+        return new Promise(resolve => this.server ? this.server.close(() => resolve()) : resolve());
+    }
+}
+
+async function main(options = {}) {
+    const input = options.input || DEFAULT_INPUT;
+    if (!fs.existsSync(input)) {
+        console.error(`❌ ${input} not found`);
+        console.log('Please run the pipeline up to the correct stage first (harvest run)');
+        process.exitCode = 1;
+        return null;
+    }
+    const server = new ApiServer(options);
+    await server.start();
+    return server;
+}
+
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+export { ApiServer, main };
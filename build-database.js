@@ -0,0 +1,458 @@
+import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { COUNTRIES, countryCodeOf, toCountryCode } from './countries.js';
+import { CorrectionsRegistry } from './corrections.js';
+
+const DATABASE_FILE = 'airports.db';
+
+// Airport records from the most complete stage output available
+const AIRPORT_SOURCES = ['airports-with-icao-corrected.json', 'airports-with-icao.json', 'airports-categorized.json'];
+
+// Schema migrations in order; PRAGMA user_version is the last one applied. A released
+// migration is never edited: schema changes go into the next one, so an existing
+// database is brought up to date instead of rebuilt.
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'countries, cities, airports, runways, ICAO sources, corrections, full-text search and views',
+        sql: `
+            CREATE TABLE build_info (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+
+            CREATE TABLE countries (
+                code TEXT PRIMARY KEY,              -- ISO 3166-1 alpha-2
+                alpha3 TEXT NOT NULL,
+                name TEXT NOT NULL,
+                official_name TEXT,
+                input_name TEXT                     -- Spelling in countries.json, when listed there
+            );
+
+            CREATE TABLE cities (
+                id INTEGER PRIMARY KEY,
+                country_code TEXT REFERENCES countries(code),
+                country_name TEXT NOT NULL,
+                name TEXT NOT NULL,
+                rank INTEGER NOT NULL,              -- Position in the LLM's list for the country
+                UNIQUE (country_name, name)
+            );
+
+            CREATE TABLE airports (
+                id INTEGER PRIMARY KEY,
+                iata_code TEXT,
+                icao_code TEXT,
+                name TEXT NOT NULL,
+                city TEXT,
+                city_id INTEGER REFERENCES cities(id),
+                country TEXT,
+                country_code TEXT REFERENCES countries(code),
+                category TEXT,                      -- small, medium, large
+                size TEXT,
+                icao_source TEXT,
+                icao_confidence REAL,
+                correction_status TEXT,
+                match_type TEXT,
+                unverified INTEGER NOT NULL DEFAULT 0,
+                latitude REAL,
+                longitude REAL,
+                altitude_ft INTEGER
+            );
+            CREATE INDEX airports_iata_code ON airports(iata_code);
+            CREATE INDEX airports_icao_code ON airports(icao_code);
+            CREATE INDEX airports_country_code ON airports(country_code);
+
+            CREATE TABLE runways (
+                airport_id INTEGER PRIMARY KEY REFERENCES airports(id) ON DELETE CASCADE,
+                length_m INTEGER,
+                length_ft INTEGER,
+                runway_count INTEGER,
+                ident TEXT,
+                surface TEXT,
+                surface_type TEXT,
+                lighted INTEGER,
+                source TEXT,                        -- runways_file or llm
+                confidence TEXT
+            );
+
+            -- Every ICAO code a source gave an airport: the provenance history plus the
+            -- evidence the consensus resolver weighed
+            CREATE TABLE icao_sources (
+                id INTEGER PRIMARY KEY,
+                airport_id INTEGER NOT NULL REFERENCES airports(id) ON DELETE CASCADE,
+                icao_code TEXT,
+                source TEXT NOT NULL,
+                stage TEXT,
+                recorded_at TEXT,
+                evidence TEXT,                      -- JSON
+                is_current INTEGER NOT NULL DEFAULT 0
+            );
+            CREATE INDEX icao_sources_airport ON icao_sources(airport_id);
+
+            -- corrections.json
+            CREATE TABLE manual_corrections (
+                id INTEGER PRIMARY KEY,
+                iata_code TEXT NOT NULL,
+                country_code TEXT,
+                changes TEXT NOT NULL,              -- JSON object of field → value
+                reason TEXT,
+                author TEXT,
+                added_at TEXT
+            );
+
+            -- Field changes made by the validate and correct stages and by hand corrections
+            CREATE TABLE corrections (
+                id INTEGER PRIMARY KEY,
+                airport_id INTEGER NOT NULL REFERENCES airports(id) ON DELETE CASCADE,
+                field TEXT NOT NULL,
+                old_value TEXT,
+                new_value TEXT,
+                source TEXT NOT NULL,
+                stage TEXT,
+                manual_correction_id INTEGER REFERENCES manual_corrections(id),
+                reference_id TEXT,                  -- OpenFlights id or OurAirports ident
+                recorded_at TEXT
+            );
+            CREATE INDEX corrections_airport ON corrections(airport_id);
+
+            CREATE VIRTUAL TABLE airports_fts USING fts5(
+                name, city, country,
+                content='airports', content_rowid='id', tokenize='unicode61 remove_diacritics 2'
+            );
+            CREATE VIRTUAL TABLE cities_fts USING fts5(
+                name, country_name,
+                content='cities', content_rowid='id', tokenize='unicode61 remove_diacritics 2'
+            );
+
+            CREATE VIEW airports_per_country AS
+                SELECT a.country_code, c.name AS country,
+                       COUNT(*) AS airports,
+                       SUM(a.category = 'large') AS large,
+                       SUM(a.category = 'medium') AS medium,
+                       SUM(a.category = 'small') AS small,
+                       SUM(a.icao_code IS NOT NULL) AS with_icao
+                FROM airports a LEFT JOIN countries c ON c.code = a.country_code
+                GROUP BY a.country_code;
+
+            CREATE VIEW large_airports_per_country AS
+                SELECT a.country_code, c.name AS country, COUNT(*) AS airports,
+                       GROUP_CONCAT(a.iata_code, ', ') AS iata_codes
+                FROM airports a LEFT JOIN countries c ON c.code = a.country_code
+                WHERE a.category = 'large'
+                GROUP BY a.country_code;
+
+            -- ICAO codes no source other than the LLM ever gave
+            CREATE VIEW llm_only_icao_airports AS
+                SELECT a.* FROM airports a
+                WHERE a.icao_code IS NOT NULL AND a.icao_source = 'llm'
+                  AND NOT EXISTS (
+                      SELECT 1 FROM icao_sources s
+                      WHERE s.airport_id = a.id AND s.icao_code = a.icao_code AND s.source <> 'llm'
+                  );
+
+            CREATE VIEW corrected_airports AS
+                SELECT a.id, a.iata_code, a.icao_code, a.name, a.country_code,
+                       COUNT(k.id) AS changes, GROUP_CONCAT(DISTINCT k.source) AS sources
+                FROM airports a JOIN corrections k ON k.airport_id = a.id
+                GROUP BY a.id;
+        `
+    },
+    {
+        version: 2,
+        description: 'name match score of the corrector',
+        sql: `
+            ALTER TABLE airports ADD COLUMN match_score REAL;
+        `
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function readJSON(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// SQLite parameters: no undefined, booleans as 0/1, objects as JSON
+function sqlValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+// better-sqlite3 is loaded on demand so the other commands work without the native module
+async function openDatabase(file) {
+    let Database;
+    try {
+        ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+        throw new Error(`better-sqlite3 is not available (run npm install): ${error.message}`);
+    }
+    const db = new Database(file);
+    db.pragma('foreign_keys = ON');
+    return db;
+}
+
+// Applies the migrations newer than the database's user_version
+function migrate(db) {
+    const current = db.pragma('user_version', { simple: true });
+    if (current > SCHEMA_VERSION) {
+        throw new Error(`Database schema version ${current} is newer than this code supports (${SCHEMA_VERSION})`);
+    }
+
+    for (const migration of MIGRATIONS.filter(m => m.version > current)) {
+        db.transaction(() => {
+            db.exec(migration.sql);
+            db.pragma(`user_version = ${migration.version}`);
+        })();
+        console.log(`🗄️  Schema migrated to version ${migration.version}: ${migration.description}`);
+    }
+}
+
+class DatabaseBuilder {
+    constructor(db) {
+        this.db = db;
+        this.stats = { countries: 0, cities: 0, airports: 0, runways: 0, icaoSources: 0, corrections: 0, manualCorrections: 0 };
+    }
+
+    insert(table, row) {
+        const columns = Object.keys(row);
+        const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`;
+        return this.db.prepare(sql).run(Object.fromEntries(columns.map(c => [c, sqlValue(row[c])]))).lastInsertRowid;
+    }
+
+    clear() {
+        for (const table of ['corrections', 'icao_sources', 'runways', 'airports', 'cities', 'countries', 'manual_corrections', 'build_info']) {
+            this.db.prepare(`DELETE FROM ${table}`).run();
+        }
+    }
+
+    loadCountries(inputNames = []) {
+        const inputByCode = new Map(inputNames.map(name => [toCountryCode(name), name]));
+        for (const country of COUNTRIES) {
+            this.insert('countries', {
+                code: country.alpha2,
+                alpha3: country.alpha3,
+                name: country.name,
+                official_name: country.officialName,
+                input_name: inputByCode.get(country.alpha2)
+            });
+            this.stats.countries++;
+        }
+    }
+
+    // country|city → city id, for linking airports to the city they were found for
+    loadCities(entries = []) {
+        const ids = new Map();
+        for (const entry of entries) {
+            const countryCode = entry.countryCode || toCountryCode(entry.country);
+            (entry.cities || []).forEach((name, rank) => {
+                const key = `${entry.country}|${name}`;
+                if (ids.has(key)) return;
+                const id = this.insert('cities', { country_code: countryCode, country_name: entry.country, name, rank: rank + 1 });
+                ids.set(key, id);
+                if (countryCode) ids.set(`${countryCode}|${name}`, id);
+                this.stats.cities++;
+            });
+        }
+        return ids;
+    }
+
+    loadManualCorrections(registry) {
+        for (const entry of registry.corrections) {
+            this.insert('manual_corrections', {
+                id: entry.id,
+                iata_code: entry.iata,
+                country_code: entry.countryCode,
+                changes: entry.set,
+                reason: entry.reason,
+                author: entry.author,
+                added_at: entry.addedAt
+            });
+            this.stats.manualCorrections++;
+        }
+    }
+
+    loadAirport(airport, cityIds) {
+        const reference = airport.openFlightsData || {};
+        const countryCode = countryCodeOf(airport);
+        const airportId = this.insert('airports', {
+            iata_code: airport.airportCode,
+            icao_code: airport.icaoCode,
+            name: airport.airportName,
+            city: airport.city,
+            city_id: cityIds.get(`${countryCode}|${airport.city}`) ?? cityIds.get(`${airport.country}|${airport.city}`),
+            country: airport.country,
+            country_code: countryCode,
+            category: airport.category,
+            size: airport.size,
+            icao_source: airport.icaoSource,
+            icao_confidence: airport.icaoConfidence,
+            correction_status: airport.correctionStatus,
+            match_type: airport.matchType,
+            match_score: airport.matchScore,
+            unverified: Boolean(airport.unverified),
+            latitude: airport.latitude ?? reference.latitude,
+            longitude: airport.longitude ?? reference.longitude,
+            altitude_ft: reference.altitude
+        });
+        this.stats.airports++;
+
+        if (airport.runwaySource && airport.runwaySource !== 'none') {
+            this.insert('runways', {
+                airport_id: airportId,
+                length_m: airport.runwayLengthMeters,
+                length_ft: airport.runwayLengthFeet,
+                runway_count: airport.runwayCount,
+                ident: airport.runwayIdent,
+                surface: airport.surface,
+                surface_type: airport.surfaceType,
+                lighted: airport.lighted,
+                source: airport.runwaySource,
+                confidence: airport.confidence
+            });
+            this.stats.runways++;
+        }
+
+        this.loadICAOSources(airportId, airport);
+        this.loadCorrections(airportId, airport);
+    }
+
+    loadICAOSources(airportId, airport) {
+        const history = airport.provenance?.icaoCode ||
+            (airport.icaoSource ? [{ value: airport.icaoCode, source: airport.icaoSource }] : []);
+
+        history.forEach((entry, i) => {
+            this.insert('icao_sources', {
+                airport_id: airportId,
+                icao_code: entry.value,
+                source: entry.source,
+                stage: entry.stage,
+                recorded_at: entry.at,
+                evidence: entry.evidence,
+                is_current: i === history.length - 1
+            });
+            this.stats.icaoSources++;
+        });
+
+        // Everything the consensus resolver heard, agreeing or not
+        const { winner, losers = [] } = airport.icaoResolution || {};
+        for (const candidate of [winner, ...losers].filter(Boolean)) {
+            for (const { source, ...evidence } of candidate.sources || []) {
+                this.insert('icao_sources', {
+                    airport_id: airportId,
+                    icao_code: candidate.icaoCode,
+                    source,
+                    stage: 'consensus',
+                    evidence
+                });
+                this.stats.icaoSources++;
+            }
+        }
+    }
+
+    // Changes from the provenance history; records from before provenance tracking fall back to originalData
+    loadCorrections(airportId, airport) {
+        const rows = [];
+        for (const [field, history] of Object.entries(airport.provenance || {})) {
+            history.forEach((entry, i) => {
+                if (i === 0 || !['validate', 'correct'].includes(entry.stage) && entry.source !== 'manual_correction') return;
+                rows.push({
+                    field,
+                    old_value: history[i - 1].value,
+                    new_value: entry.value,
+                    source: entry.source,
+                    stage: entry.stage,
+                    manual_correction_id: entry.evidence?.correctionId,
+                    reference_id: entry.evidence?.id ?? entry.evidence?.ident,
+                    recorded_at: entry.at
+                });
+            });
+        }
+
+        if (!airport.provenance && airport.originalData) {
+            for (const [field, oldValue] of Object.entries(airport.originalData)) {
+                if (oldValue === airport[field]) continue;
+                rows.push({
+                    field,
+                    old_value: oldValue,
+                    new_value: airport[field],
+                    source: airport.openFlightsData?.dataset || 'openflights',
+                    stage: 'correct',
+                    reference_id: airport.openFlightsData?.id
+                });
+            }
+        }
+
+        for (const row of rows) {
+            // Values are stored as text whatever their JSON type
+            const text = value => value === null || value === undefined ? null : String(value);
+            this.insert('corrections', { airport_id: airportId, ...row, old_value: text(row.old_value), new_value: text(row.new_value) });
+            this.stats.corrections++;
+        }
+    }
+
+    build({ countries, cities, airports, airportsFile, registry }) {
+        this.db.transaction(() => {
+            this.clear();
+            this.loadCountries(countries);
+            this.loadManualCorrections(registry);
+            const cityIds = this.loadCities(cities);
+            airports.forEach(airport => this.loadAirport(airport, cityIds));
+
+            // External-content FTS tables are rebuilt from their tables in one go
+            this.db.prepare("INSERT INTO airports_fts(airports_fts) VALUES ('rebuild')").run();
+            this.db.prepare("INSERT INTO cities_fts(cities_fts) VALUES ('rebuild')").run();
+
+            this.insert('build_info', { key: 'built_at', value: new Date().toISOString() });
+            this.insert('build_info', { key: 'airports_file', value: airportsFile });
+            this.insert('build_info', { key: 'schema_version', value: String(SCHEMA_VERSION) });
+        })();
+    }
+}
+
+async function buildDatabase(options = {}) {
+    const airportsFile = options.input || AIRPORT_SOURCES.find(file => fs.existsSync(file));
+    if (!airportsFile) {
+        throw new Error(`No airport data found (looked for ${AIRPORT_SOURCES.join(', ')}); run the pipeline first`);
+    }
+    if (!fs.existsSync(airportsFile)) {
+        throw new Error(`${airportsFile} not found`);
+    }
+
+    const file = options.db || DATABASE_FILE;
+    console.log(`🗄️  Building ${file} from ${airportsFile}`);
+    const db = await openDatabase(file);
+    try {
+        migrate(db);
+        const builder = new DatabaseBuilder(db);
+        builder.build({
+            countries: readJSON('countries.json') || [],
+            cities: readJSON('beautiful-cities-cleaned.json') || [],
+            airports: readJSON(airportsFile),
+            airportsFile,
+            registry: CorrectionsRegistry.load()
+        });
+
+        const { stats } = builder;
+        console.log(`✅ ${stats.airports} airports, ${stats.cities} cities, ${stats.countries} countries, ${stats.runways} runway records`);
+        console.log(`   ${stats.icaoSources} ICAO source records, ${stats.corrections} field corrections, ${stats.manualCorrections} hand corrections`);
+        console.log(`💾 Saved to ${file} (schema version ${SCHEMA_VERSION})`);
+        return stats;
+    } finally {
+        db.close();
+    }
+}
+
+async function main(options = {}) {
+    return buildDatabase(options);
+}
+
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+export { buildDatabase, openDatabase, migrate, MIGRATIONS, SCHEMA_VERSION, DATABASE_FILE, main };
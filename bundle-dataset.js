@@ -0,0 +1,47 @@
+import fs from 'fs';
+import path from 'path';
+import { isMainModule, parseArgs } from './cli.js';
+import { toRow, sortRows } from './export-airports.js';
+import { BUNDLED_DATASET } from './index.js';
+
+const DEFAULT_INPUT = 'airports-with-icao-corrected.json';
+const BUNDLE_VERSION = 1;
+
+// Writes the final dataset as data/airports.json, the file index.js queries and npm pack
+// ships. Runs before every pack (npm prepack), so a published package always carries the
+// dataset of the working tree it was packed from.
+function bundleDataset(airports, { input = DEFAULT_INPUT, out = BUNDLED_DATASET } = {}) {
+    const bundle = {
+        version: BUNDLE_VERSION,
+        builtAt: new Date().toISOString(),
+        source: path.basename(input),
+        airports: sortRows(airports.map(toRow))
+    };
+
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(bundle) + '\n');
+    console.log(`📦 Bundled ${bundle.airports.length} airports from ${input} into ${out}`);
+    return bundle;
+}
+
+async function main(options = {}) {
+    const input = options.input || DEFAULT_INPUT;
+    if (!fs.existsSync(input)) {
+        console.error(`❌ ${input} not found`);
+        console.log('Please run the pipeline up to the correct stage first (harvest run)');
+        process.exitCode = 1;
+        return null;
+    }
+
+    const airports = JSON.parse(fs.readFileSync(input, 'utf8'));
+    return bundleDataset(airports, { input, out: options.out });
+}
+
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+export { bundleDataset, main };
@@ -1,12 +1,31 @@
 import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { Journal, airportKey } from './checkpoint.js';
+import { createLLMClient } from './llm-client.js';
+import { responseCache } from './response-cache.js';
+import { mapOrdered, stageConcurrency } from './work-pool.js';
+import { loadRunwayIndex } from './ourairports.js';
+import { track } from './provenance.js';
+
+const RUNWAY_SCHEMA = {
+    type: 'object',
+    properties: {
+        runwayLengthMeters: { type: ['number', 'null'], minimum: 0 },
+        confidence: { type: 'string', enum: ['high', 'medium', 'low'] }
+    },
+    required: ['runwayLengthMeters']
+};
 
 class AirportCategorizer {
-    constructor(ollamaUrl = 'http://localhost:11434', model = 'mistral:latest') {
-        this.ollamaUrl = ollamaUrl;
-        this.model = model;
+    // runwayIndex maps IATA codes to real runway data (see loadRunwayIndex); without it
+    // every airport goes to the LLM
+    constructor(llm = createLLMClient('categorize'), runwayIndex = null) {
+        this.llm = llm;
+        this.model = llm.model;
+        this.runwayIndex = runwayIndex;
         this.categorizedAirports = [];
         this.processedCount = 0;
-        this.delayMs = 1000; // 1 second delay between requests
+        this.concurrency = stageConcurrency('categorize');
 
         // Size criteria
         this.criteria = {
@@ -16,34 +35,10 @@ class AirportCategorizer {
         };
     }
 
+    // Throws when the LLM backend keeps failing or the reply does not match RUNWAY_SCHEMA,
+    // so neither is ever mistaken for "no data"
     async queryLLM(prompt) {
-        try {
-            const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    prompt: prompt,
-                    stream: false,
-                    options: {
-                        temperature: 0.1, // Low temperature for factual responses
-                        top_p: 0.9
-                    }
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return data.response;
-        } catch (error) {
-            console.error(`Error querying LLM: ${error.message}`);
-            return null;
-        }
+        return this.llm.generateJSON(prompt, RUNWAY_SCHEMA);
     }
 
     createRunwayPrompt(airport) {
@@ -59,47 +54,25 @@ If you're not certain about the exact length, use "confidence": "low". If no dat
 Only respond with valid JSON, nothing else.`;
     }
 
-    parseRunwayResponse(response) {
-        if (!response) return null;
-
-        try {
-            // Clean up the response to extract JSON
-            let cleanResponse = response.trim();
-
-            // Find JSON block
-            const jsonStart = cleanResponse.indexOf('{');
-            const jsonEnd = cleanResponse.lastIndexOf('}') + 1;
-
-            if (jsonStart === -1 || jsonEnd === 0) {
-                return null;
-            }
-
-            const jsonStr = cleanResponse.substring(jsonStart, jsonEnd);
-            const parsed = JSON.parse(jsonStr);
-
-            if (parsed.runwayLengthMeters !== null && !isNaN(parsed.runwayLengthMeters)) {
-                const length = parseInt(parsed.runwayLengthMeters);
+    // Validated reply → { lengthMeters, confidence }, or null when the LLM has no data
+    parseRunwayResponse(reply) {
+        if (reply.runwayLengthMeters === null) return null;
 
-                // Validate reasonable runway length (100m - 6000m)
-                if (length < 100 || length > 6000) {
-                    console.log(`    ⚠️  Suspicious runway length: ${length}m (out of range 100-6000m)`);
-                    return {
-                        lengthMeters: length,
-                        confidence: 'low' // Mark as low confidence due to unrealistic length
-                    };
-                }
+        const length = Math.round(reply.runwayLengthMeters);
 
-                return {
-                    lengthMeters: length,
-                    confidence: parsed.confidence || 'unknown'
-                };
-            }
-
-            return null;
-        } catch (error) {
-            console.error(`Error parsing runway response: ${error.message}`);
-            return null;
+        // Validate reasonable runway length (100m - 6000m)
+        if (length < 100 || length > 6000) {
+            console.log(`    ⚠️  Suspicious runway length: ${length}m (out of range 100-6000m)`);
+            return {
+                lengthMeters: length,
+                confidence: 'low' // Mark as low confidence due to unrealistic length
+            };
         }
+
+        return {
+            lengthMeters: length,
+            confidence: reply.confidence || 'unknown'
+        };
     }
 
     categorizeByLength(lengthMeters) {
@@ -127,30 +100,82 @@ Only respond with valid JSON, nothing else.`;
         }
     }
 
-    async delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // Real runway data from the runways file: { runwayCount, longestUsableMeters, surface, ... } or undefined
+    getRunwayRecord(airport) {
+        return this.runwayIndex?.get(airport.airportCode.toUpperCase());
+    }
+
+    categorizeFromRunways(airport, runways) {
+        const details = {
+            runwaySource: 'runways_file',
+            runwayCount: runways.runwayCount,
+            runwayIdent: runways.runwayIdent,
+            surface: runways.surface,
+            surfaceType: runways.surfaceType,
+            lighted: runways.lighted
+        };
+
+        if (runways.longestUsableMeters === null) {
+            console.log(`  ⚪ ${airport.airportCode}: no usable runway in the runways file`);
+            return { ...airport, size: 'Unknown', runwayLengthMeters: null, confidence: 'none', ...details };
+        }
+
+        const sizeInfo = this.categorizeByLength(runways.longestUsableMeters);
+        console.log(`  📏 ${airport.airportCode}: ${runways.longestUsableMeters}m ${runways.surfaceType}${runways.lighted ? ', lit' : ''} (${runways.runwayCount} runway${runways.runwayCount === 1 ? '' : 's'}) → ${sizeInfo.size}`);
+        return {
+            ...airport,
+            runwayLengthMeters: runways.longestUsableMeters,
+            runwayLengthFeet: runways.longestUsableFeet,
+            size: sizeInfo.size,
+            category: sizeInfo.category,
+            lengthRange: sizeInfo.lengthRange,
+            typicalUse: sizeInfo.typicalUse,
+            confidence: 'high',
+            ...details
+        };
+    }
+
+    // Provenance for the runway fields: the runways file or the LLM
+    trackRunway(airport) {
+        if (airport.status === 'error' || !['runways_file', 'llm'].includes(airport.runwaySource)) return airport;
+
+        const fromFile = airport.runwaySource === 'runways_file';
+        return track(airport, ['runwayLengthMeters', 'runwayLengthFeet', 'size', 'category'], {
+            source: fromFile ? 'ourairports' : 'llm',
+            stage: 'categorize',
+            evidence: fromFile ? { runwayIdent: airport.runwayIdent } : { model: this.llm.model, confidence: airport.confidence }
+        });
     }
 
     async categorizeAirport(airport) {
         // Validate airport data
         if (!airport.airportCode || !airport.airportName || !airport.city || !airport.country) {
             console.log(`  ⚠️  Skipping invalid airport data: ${JSON.stringify(airport)}`);
-            return { ...airport, size: 'Unknown', runwayLengthMeters: null, confidence: 'none' };
+            return { ...airport, size: 'Unknown', runwayLengthMeters: null, confidence: 'none', runwaySource: 'none' };
         }
 
-        const prompt = this.createRunwayPrompt(airport);
         console.log(`Checking: ${airport.airportCode} - ${airport.airportName}`);
 
-        const response = await this.queryLLM(prompt);
-        if (!response) {
-            console.log(`  ❌ No response for ${airport.airportCode}`);
-            return { ...airport, size: 'Unknown', runwayLengthMeters: null, confidence: 'none' };
+        // Real runway data wins; the LLM is only asked when the file has no record
+        const runways = this.getRunwayRecord(airport);
+        if (runways) {
+            return this.categorizeFromRunways(airport, runways);
+        }
+
+        const prompt = this.createRunwayPrompt(airport);
+
+        let response;
+        try {
+            response = await this.queryLLM(prompt);
+        } catch (error) {
+            console.log(`  ❌ LLM error for ${airport.airportCode}: ${error.message}`);
+            return { ...airport, size: 'Unknown', runwayLengthMeters: null, confidence: 'none', runwaySource: 'llm', status: 'error', error: error.message };
         }
 
         const runwayData = this.parseRunwayResponse(response);
         if (!runwayData) {
             console.log(`  ⚪ No runway data for ${airport.airportCode}`);
-            return { ...airport, size: 'Unknown', runwayLengthMeters: null, confidence: 'none' };
+            return { ...airport, size: 'Unknown', runwayLengthMeters: null, confidence: 'none', runwaySource: 'llm' };
         }
 
         const sizeInfo = this.categorizeByLength(runwayData.lengthMeters);
@@ -162,14 +187,15 @@ Only respond with valid JSON, nothing else.`;
             category: sizeInfo.category,
             lengthRange: sizeInfo.lengthRange,
             typicalUse: sizeInfo.typicalUse,
-            confidence: runwayData.confidence
+            confidence: runwayData.confidence,
+            runwaySource: 'llm'
         };
 
         console.log(`  ✅ ${airport.airportCode}: ${runwayData.lengthMeters}m → ${sizeInfo.size}`);
         return categorizedAirport;
     }
 
-    async processAirports() {
+    async processAirports(options = {}) {
         try {
             console.log('Reading airports data...');
 
@@ -181,24 +207,46 @@ Only respond with valid JSON, nothing else.`;
 
             const airports = JSON.parse(fs.readFileSync('airports-flat.json', 'utf8'));
             console.log(`Found ${airports.length} airports to categorize`);
-            console.log(`Using model: ${this.model}\n`);
+            if (this.runwayIndex) {
+                console.log(`Runway data: ${this.runwayIndex.size} airports from the runways file, LLM for the rest`);
+            } else {
+                console.log('Runway data: none configured (--ourairports-path / --runways-path), asking the LLM');
+            }
+            console.log(`Using model: ${this.llm.describe()}\n`);
+
+            const journal = new Journal('categorize', options);
+            journal.logResume('airports');
+
+            // Results keep the input order even though airports are processed concurrently
+            this.categorizedAirports = await mapOrdered(airports, async (airport, i) => {
+                const key = airportKey(airport);
+                if (journal.has(key)) {
+                    this.processedCount++;
+                    return journal.get(key);
+                }
 
-            for (let i = 0; i < airports.length; i++) {
-                const airport = airports[i];
                 console.log(`[${i + 1}/${airports.length}]`);
 
-                const categorizedAirport = await this.categorizeAirport(airport);
-                this.categorizedAirports.push(categorizedAirport);
+                const categorizedAirport = this.trackRunway(await this.categorizeAirport(airport));
+                // Failed lookups stay out of the journal so the next run retries them
+                if (categorizedAirport.status !== 'error') {
+                    journal.record(key, categorizedAirport);
+                }
                 this.processedCount++;
-
-                // Add delay to avoid overwhelming the LLM
-                await this.delay(this.delayMs);
-            }
+                return categorizedAirport;
+            }, { concurrency: this.concurrency });
 
             console.log('\n=== CATEGORIZATION COMPLETE ===');
             this.generateReport();
             this.saveResults();
 
+            const failed = this.categorizedAirports.filter(a => a.status === 'error').length;
+            if (failed > 0) {
+                console.log(`⚠️  ${failed} airports failed with errors; run again to retry only those`);
+            } else {
+                journal.complete();
+            }
+
             return this.categorizedAirports;
 
         } catch (error) {
@@ -213,7 +261,10 @@ Only respond with valid JSON, nothing else.`;
             small: this.categorizedAirports.filter(a => a.category === 'small').length,
             medium: this.categorizedAirports.filter(a => a.category === 'medium').length,
             large: this.categorizedAirports.filter(a => a.category === 'large').length,
-            unknown: this.categorizedAirports.filter(a => a.size === 'Unknown').length
+            unknown: this.categorizedAirports.filter(a => a.size === 'Unknown').length,
+            errors: this.categorizedAirports.filter(a => a.status === 'error').length,
+            fromRunwaysFile: this.categorizedAirports.filter(a => a.runwaySource === 'runways_file').length,
+            fromLLM: this.categorizedAirports.filter(a => a.runwaySource === 'llm').length
         };
 
         console.log(`\nAIRPORT SIZE DISTRIBUTION:`);
@@ -222,6 +273,8 @@ Only respond with valid JSON, nothing else.`;
         console.log(`✈️  Medium airports: ${stats.medium} (${(stats.medium / stats.total * 100).toFixed(1)}%)`);
         console.log(`🛫 Large airports: ${stats.large} (${(stats.large / stats.total * 100).toFixed(1)}%)`);
         console.log(`❓ Unknown: ${stats.unknown} (${(stats.unknown / stats.total * 100).toFixed(1)}%)`);
+        console.log(`⚠️  Errors (included in unknown): ${stats.errors}`);
+        console.log(`📏 Runway length from runways file: ${stats.fromRunwaysFile}, from LLM: ${stats.fromLLM}`);
 
         // Show examples of each category
         console.log(`\nEXAMPLES BY CATEGORY:`);
@@ -240,6 +293,12 @@ Only respond with valid JSON, nothing else.`;
         if (largeExample) {
             console.log(`🛫 Large: ${largeExample.airportCode} - ${largeExample.runwayLengthMeters}m`);
         }
+
+        console.log(`\n💾 ${responseCache.formatStats()}`);
+        const rejections = this.llm.formatRejections();
+        if (rejections) {
+            console.log(`🚫 ${rejections}`);
+        }
     }
 
     saveResults() {
@@ -252,7 +311,8 @@ Only respond with valid JSON, nothing else.`;
             small: this.categorizedAirports.filter(a => a.category === 'small'),
             medium: this.categorizedAirports.filter(a => a.category === 'medium'),
             large: this.categorizedAirports.filter(a => a.category === 'large'),
-            unknown: this.categorizedAirports.filter(a => a.size === 'Unknown')
+            unknown: this.categorizedAirports.filter(a => a.size === 'Unknown'),
+            errors: this.categorizedAirports.filter(a => a.status === 'error')
         };
 
         fs.writeFileSync('airports-by-category.json', JSON.stringify(byCategory, null, 2));
@@ -260,28 +320,19 @@ Only respond with valid JSON, nothing else.`;
     }
 
     async testConnection() {
-        console.log('Testing Ollama connection...');
-        try {
-            const response = await fetch(`${this.ollamaUrl}/api/tags`);
-            if (response.ok) {
-                console.log('✅ Ollama is running');
-                return true;
-            }
-        } catch (error) {
-            console.error('❌ Cannot connect to Ollama:', error.message);
-            return false;
-        }
+        return this.llm.testConnection();
     }
 }
 
 // Main execution
-async function main() {
-    const categorizer = new AirportCategorizer();
+async function main(options = {}) {
+    responseCache.configure({ enabled: options.cache !== false });
+    const categorizer = new AirportCategorizer(createLLMClient('categorize'), await loadRunwayIndex(options));
 
-    // Test connection first
+    // Test connection first; with runway data the LLM is only a fallback
     const connected = await categorizer.testConnection();
-    if (!connected) {
-        console.log('Make sure Ollama is running with: ollama serve');
+    if (!connected && !categorizer.runwayIndex) {
+        console.log('Make sure the LLM backend is running (e.g. ollama serve)');
         return;
     }
 
@@ -291,9 +342,11 @@ async function main() {
     console.log('✈️  Medium: 800-1,800m - Regional/turboprop, small jet operations');
     console.log('🛫 Large: ≥ 1,800m - Commercial jets, wide‑body, international\n');
 
-    await categorizer.processAirports();
+    await categorizer.processAirports(options);
 }
 
-main().catch(console.error);
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(console.error);
+}
 
-export { AirportCategorizer }; 
\ No newline at end of file
+export { AirportCategorizer, RUNWAY_SCHEMA, main };
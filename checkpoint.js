@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+
+const JOURNAL_DIR = path.join('.harvest', 'journal');
+
+// Append-only log of finished work items for one stage. Each completed item is
+// written to disk immediately, so an interrupted run can skip it on restart.
+class Journal {
+    constructor(stage, { restart = false, dir = JOURNAL_DIR } = {}) {
+        this.stage = stage;
+        this.file = path.join(dir, `${stage}.jsonl`);
+        this.entries = new Map();
+
+        if (restart) {
+            this.discard();
+        } else {
+            this.load();
+        }
+    }
+
+    load() {
+        if (!fs.existsSync(this.file)) return;
+
+        const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            try {
+                const { key, value } = JSON.parse(line);
+                this.entries.set(key, value);
+            } catch (error) {
+                // A crash mid-write can leave a truncated last line; that item is simply redone
+                continue;
+            }
+        }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    get(key) {
+        return this.entries.get(key);
+    }
+
+    record(key, value) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, JSON.stringify({ key, value }) + '\n');
+        this.entries.set(key, value);
+    }
+
+    discard() {
+        fs.rmSync(this.file, { force: true });
+        this.entries.clear();
+    }
+
+    // Call once the stage's outputs are safely written
+    complete() {
+        this.discard();
+    }
+
+    logResume(unit = 'items') {
+        if (this.size > 0) {
+            console.log(`♻️  Resuming ${this.stage}: ${this.size} ${unit} already done (use --restart to start over)`);
+        }
+    }
+}
+
+function airportKey(airport) {
+    return [airport.airportCode, airport.airportName, airport.city, airport.country].join('|');
+}
+
+export { Journal, airportKey, JOURNAL_DIR };
@@ -1,4 +1,8 @@
 import fs from 'fs';
+import { isMainModule } from './cli.js';
+import { toCountryCode } from './countries.js';
+import { foldText } from './names.js';
+import { track } from './provenance.js';
 
 function cleanCityName(cityText) {
     if (!cityText || typeof cityText !== 'string') return null;
@@ -38,6 +42,8 @@ function cleanCityName(cityText) {
     return cleaned || null;
 }
 
+const isPlainASCII = text => /^[\x00-\x7f]*$/.test(text);
+
 function extractCitiesFromArray(citiesArray) {
     if (!Array.isArray(citiesArray)) return [];
 
@@ -77,12 +83,18 @@ function extractCitiesFromArray(citiesArray) {
         }
     }
 
-    // Remove duplicates and filter out invalid entries
-    const uniqueCities = [...new Set(cities)]
-        .filter(city => city && city.length >= 2)
-        .sort();
+    // Remove duplicates, spelling variants included ("Chisinau" and "Chișinău"), and filter out
+    // invalid entries. Of two spellings the one with diacritics is kept
+    const byKey = new Map();
+    for (const city of cities.filter(city => city && city.length >= 2)) {
+        const key = foldText(city);
+        const kept = byKey.get(key);
+        if (!kept || (isPlainASCII(kept) && !isPlainASCII(city))) {
+            byKey.set(key, city);
+        }
+    }
 
-    return uniqueCities;
+    return [...byKey.values()].sort();
 }
 
 function cleanBeautifulCitiesData() {
@@ -109,10 +121,12 @@ function cleanBeautifulCitiesData() {
                 console.log(`Removed: ${entry.country} (no cities after cleaning)`);
             } else {
                 // Valid entry with cities
-                cleanedData.push({
+                cleanedData.push(track({
                     country: entry.country,
-                    cities: cities
-                });
+                    countryCode: entry.countryCode || toCountryCode(entry.country),
+                    cities: cities,
+                    provenance: entry.provenance
+                }, ['cities'], { source: 'cleanup', stage: 'clean' }));
                 cleanedCount++;
                 console.log(`Cleaned: ${entry.country} (${cities.length} cities)`);
             }
@@ -141,6 +155,12 @@ function cleanBeautifulCitiesData() {
 }
 
 // Run the cleaning process
-cleanBeautifulCitiesData();
+function main() {
+    return cleanBeautifulCitiesData();
+}
+
+if (isMainModule(import.meta.url)) {
+    main();
+}
 
-export { cleanBeautifulCitiesData, cleanCityName, extractCitiesFromArray }; 
\ No newline at end of file
+export { cleanBeautifulCitiesData, cleanCityName, extractCitiesFromArray, main };
@@ -0,0 +1,40 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// True when the module at `metaUrl` was started directly with `node <file>`
+// rather than imported by another module (e.g. the harvest orchestrator)
+function isMainModule(metaUrl) {
+    if (!process.argv[1]) return false;
+    return path.resolve(process.argv[1]) === fileURLToPath(metaUrl);
+}
+
+// Minimal argv parser: positionals, `--flag`, `--no-flag`, `--key value` and `--key=value`
+function parseArgs(argv) {
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+            continue;
+        }
+
+        const [rawKey, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        const key = rawKey.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+        if (inlineValue !== undefined) {
+            args[key] = inlineValue;
+        } else if (rawKey.startsWith('no-')) {
+            args[key.slice(2, 3).toLowerCase() + key.slice(3)] = false;
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            args[key] = argv[++i];
+        } else {
+            args[key] = true;
+        }
+    }
+
+    return args;
+}
+
+export { isMainModule, parseArgs };
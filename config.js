@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+
+const CONFIG_FILE = 'harvest.config.json';
+
+// Defaults reproduce the original hardcoded setup; override them in harvest.config.json
+const DEFAULT_CONFIG = {
+    llm: {
+        provider: 'ollama', // ollama | ollama-chat | openai
+        baseUrl: 'http://localhost:11434',
+        model: 'mistral:latest',
+        apiKey: null,
+        // Send each prompt's JSON Schema as the output format: 'schema', 'json' (any JSON) or 'none'
+        structuredOutput: 'schema',
+        options: {
+            temperature: 0.1, // Low temperature for consistent, factual responses
+            top_p: 0.9
+        },
+        // Per-stage overrides, shallow-merged over the settings above
+        stages: {
+            cities: { model: 'llama2', options: {} }
+        }
+    },
+    cache: {
+        // Days before a cached response is refetched; null keeps it until pruned
+        ttlDays: {
+            llm: null,
+            wikipedia: 30,
+            openflights: 7,
+            http: 30
+        }
+    },
+    sources: {
+        // Reference datasets for corrections and ICAO lookups, in priority order: openflights, ourairports
+        reference: ['openflights'],
+        openflights: {
+            // Local airports.dat / airports-extended.dat instead of downloading: a file, a directory or a .gz
+            path: null,
+            // Stored snapshot to use instead of downloading: an id like '2026-10-19', or 'latest'
+            snapshot: null,
+            snapshotDir: path.join('.harvest', 'snapshots', 'openflights'),
+            // Per-stage overrides, e.g. { icao: { snapshot: '2026-10-01' } }
+            stages: {}
+        },
+        ourairports: {
+            // Directory holding airports.csv, countries.csv and regions.csv from ourairports.com/data
+            path: null,
+            // runways.csv for the categorizer; defaults to runways.csv in the directory above
+            runwaysPath: null
+        }
+    },
+    resolver: {
+        // Evidence sources the consensus resolver (--icao consensus) asks about every airport
+        sources: ['manual_correction', 'known_mapping', 'openflights', 'ourairports', 'wikipedia', 'llm'],
+        // How far each source is trusted on its own (0-1); agreeing sources add up
+        weights: {
+            manual_correction: 0.9,
+            known_mapping: 0.85,
+            openflights: 0.85,
+            ourairports: 0.9,
+            wikipedia: 0.75,
+            llm: 0.4
+        },
+        // Weight multiplier for a code whose prefix is not registered to the airport's country
+        prefixMismatchPenalty: 0.3,
+        // Resolutions below this confidence are counted as low confidence in the report
+        minConfidence: 0.5
+    },
+    scheduler: {
+        // Items each stage keeps in flight at once
+        stages: {
+            default: 4
+        },
+        // Per-backend limits shared by all stages: concurrent requests, a token-bucket rate,
+        // per-request timeout, retries with backoff and the circuit breaker
+        backends: {
+            ollama: {
+                concurrency: 2,
+                ratePerSecond: 5,
+                burst: 2,
+                timeoutMs: 120000,
+                retry: { retries: 3, baseDelayMs: 1000, maxDelayMs: 15000 },
+                breaker: { failureThreshold: 5, cooldownMs: 30000, maxDownMs: 600000 }
+            },
+            openai: {
+                concurrency: 4,
+                ratePerSecond: 10,
+                burst: 4,
+                timeoutMs: 120000,
+                retry: { retries: 3, baseDelayMs: 1000, maxDelayMs: 15000 },
+                breaker: { failureThreshold: 5, cooldownMs: 30000, maxDownMs: 600000 }
+            },
+            wikipedia: {
+                concurrency: 1,
+                ratePerSecond: 2, // Be respectful
+                burst: 2,
+                timeoutMs: 15000,
+                retry: { retries: 4, baseDelayMs: 2000, maxDelayMs: 30000 },
+                breaker: { failureThreshold: 5, cooldownMs: 60000, maxDownMs: 600000 }
+            },
+            openflights: { concurrency: 1, timeoutMs: 60000 },
+            http: { concurrency: 2, ratePerSecond: 2, timeoutMs: 30000 }
+        }
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override || {})) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? deepMerge(base[key], value)
+            : value;
+    }
+    return merged;
+}
+
+let cachedConfig = null;
+
+function loadConfig(file = CONFIG_FILE) {
+    if (cachedConfig) return cachedConfig;
+
+    let fileConfig = {};
+    if (fs.existsSync(file)) {
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`${file} parse error: ${error.message}`);
+        }
+    }
+
+    const config = deepMerge(DEFAULT_CONFIG, fileConfig);
+
+    // Environment variables win over the config file
+    if (process.env.HARVEST_LLM_PROVIDER) config.llm.provider = process.env.HARVEST_LLM_PROVIDER;
+    if (process.env.HARVEST_LLM_URL) config.llm.baseUrl = process.env.HARVEST_LLM_URL;
+    if (process.env.HARVEST_LLM_MODEL) config.llm.model = process.env.HARVEST_LLM_MODEL;
+    if (process.env.HARVEST_LLM_API_KEY) config.llm.apiKey = process.env.HARVEST_LLM_API_KEY;
+
+    cachedConfig = config;
+    return config;
+}
+
+function getStageLLMConfig(stage) {
+    const { stages, ...base } = loadConfig().llm;
+    return { ...base, ...(stages?.[stage] || {}) };
+}
+
+export { loadConfig, getStageLLMConfig, deepMerge, DEFAULT_CONFIG, CONFIG_FILE };
@@ -1,22 +1,46 @@
 import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { countryCodeOf } from './countries.js';
+import { CorrectionsRegistry } from './corrections.js';
+import { NameIndex, jaroWinkler } from './fuzzy.js';
+import { foldText, normalizeName } from './names.js';
+import { track } from './provenance.js';
+import { ReviewDecisions, CORRECTION_TYPES, correctionKey } from './review-decisions.js';
+import { loadOurAirports, ourAirportsPath, referenceSources } from './ourairports.js';
+
+// Lowest score a partial name match needs
+const MIN_PARTIAL_SCORE = 0.8;
+// A runner-up this close to the best candidate makes the match ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+// Candidates kept on the record for review
+const KEPT_CANDIDATES = 3;
 
 class AirportCorrector {
-    constructor() {
+    // options.reference picks the reference datasets (OpenFlights, OurAirports or both)
+    constructor(options = {}) {
+        this.options = options;
+        this.sources = referenceSources(options);
         this.correctedAirports = [];
         this.openFlightsData = [];
+        this.openFlightsSnapshot = null;
         this.openFlightsByName = new Map();
         this.openFlightsByIATA = new Map();
+        this.nameIndex = null;
+        this.corrections = CorrectionsRegistry.load();
+        this.decisions = ReviewDecisions.load();
         this.stats = {
             total: 0,
             exactNameMatch: 0,
             partialNameMatch: 0,
             iataMatch: 0,
+            ambiguousMatch: 0,
             corrected: 0,
+            revertedInReview: 0,
             noMatch: 0
         };
     }
 
-    loadData() {
+    async loadData() {
         try {
             // Load your existing airport data
             if (!fs.existsSync('airports-with-icao.json')) {
@@ -24,18 +48,16 @@ class AirportCorrector {
                 return false;
             }
 
-            // Load clean OpenFlights data
-            if (!fs.existsSync('openflights-airports-only.json')) {
-                console.error('❌ openflights-airports-only.json not found');
-                console.log('Please run download-openflights.js first');
-                return false;
-            }
-
             const yourAirports = JSON.parse(fs.readFileSync('airports-with-icao.json', 'utf8'));
-            this.openFlightsData = JSON.parse(fs.readFileSync('openflights-airports-only.json', 'utf8'));
-
             console.log(`📋 Loaded ${yourAirports.length} airports from your data`);
-            console.log(`📋 Loaded ${this.openFlightsData.length} airports from OpenFlights`);
+
+            // Reference records from every configured source, highest priority first
+            this.openFlightsData = [];
+            for (const source of this.sources) {
+                const records = await this.loadReferenceSource(source);
+                if (!records) return false;
+                this.openFlightsData.push(...records);
+            }
 
             // Create lookup maps for OpenFlights data
             this.createLookupMaps();
@@ -49,108 +71,151 @@ class AirportCorrector {
         }
     }
 
+    async loadReferenceSource(source) {
+        if (source === 'ourairports') {
+            // Same filter as openflights-airports-only.json: airports with both codes
+            const airports = (await loadOurAirports(ourAirportsPath(this.options)))
+                .filter(a => a.iataCode && a.icaoCode);
+            console.log(`📋 Loaded ${airports.length} airports from OurAirports`);
+            return airports;
+        }
+
+        // Load clean OpenFlights data
+        if (!fs.existsSync('openflights-airports-only.json')) {
+            console.error('❌ openflights-airports-only.json not found');
+            console.log('Please run download-openflights.js first');
+            return null;
+        }
+
+        const airports = JSON.parse(fs.readFileSync('openflights-airports-only.json', 'utf8'))
+            .map(airport => ({ ...airport, countryCode: countryCodeOf(airport), dataset: 'openflights' }));
+        console.log(`📋 Loaded ${airports.length} airports from OpenFlights`);
+
+        // Which copy of airports.dat that was, as the openflights stage recorded it
+        if (fs.existsSync('openflights-summary.json')) {
+            const { snapshot } = JSON.parse(fs.readFileSync('openflights-summary.json', 'utf8'));
+            if (snapshot) {
+                this.openFlightsSnapshot = { id: snapshot.snapshot, origin: snapshot.origin, sha256: snapshot.sha256 };
+            }
+        }
+        return airports;
+    }
+
     createLookupMaps() {
-        console.log('🔄 Creating OpenFlights lookup maps...');
+        console.log(`🔄 Creating reference lookup maps (${this.sources.join(', ')})...`);
 
         for (const airport of this.openFlightsData) {
             // Map by name (normalize for better matching)
             if (airport.name) {
-                const normalizedName = this.normalizeName(airport.name);
+                const normalizedName = normalizeName(airport.name);
                 if (!this.openFlightsByName.has(normalizedName)) {
                     this.openFlightsByName.set(normalizedName, []);
                 }
                 this.openFlightsByName.get(normalizedName).push(airport);
             }
 
-            // Map by IATA code
-            if (airport.iataCode) {
+            // Map by IATA code; the first source listed wins
+            if (airport.iataCode && !this.openFlightsByIATA.has(airport.iataCode.toUpperCase())) {
                 this.openFlightsByIATA.set(airport.iataCode.toUpperCase(), airport);
             }
         }
 
+        // Fuzzy name matching, confined to the airport's country
+        this.nameIndex = new NameIndex(this.openFlightsData, {
+            nameOf: airport => airport.name,
+            blockOf: airport => airport.countryCode,
+            normalize: normalizeName
+        });
+
         console.log(`✅ Created name lookup for ${this.openFlightsByName.size} unique names`);
         console.log(`✅ Created IATA lookup for ${this.openFlightsByIATA.size} IATA codes`);
     }
 
-    normalizeName(name) {
-        return name
-            .toLowerCase()
-            .replace(/international|airport|air base|airfield|aerodrome/gi, '')
-            .replace(/[^\w\s]/g, '') // Remove special characters
-            .replace(/\s+/g, ' ') // Normalize spaces
-            .trim();
-    }
-
+    // { match, type, score, candidates } or { ambiguous: true, type, score, candidates }; null without a match
     findOpenFlightsMatch(yourAirport) {
-        // Strategy 1: Exact name match
-        const normalizedYourName = this.normalizeName(yourAirport.airportName || '');
-        const exactMatches = this.openFlightsByName.get(normalizedYourName);
-
-        if (exactMatches && exactMatches.length > 0) {
-            // If multiple matches, prefer one from same country
-            const countryMatch = exactMatches.find(match =>
-                this.normalizeCountry(match.country) === this.normalizeCountry(yourAirport.country)
-            );
-
-            if (countryMatch) {
-                return { match: countryMatch, type: 'exactNameCountry' };
-            }
-
-            return { match: exactMatches[0], type: 'exactName' };
+        // Strategy 1: Exact name match in the airport's own country
+        const normalizedYourName = normalizeName(yourAirport.airportName || '');
+        const exactMatches = this.openFlightsByName.get(normalizedYourName) || [];
+        const countryCode = countryCodeOf(yourAirport);
+        const countryMatch = exactMatches.find(match => countryCode && match.countryCode === countryCode);
+        if (countryMatch) {
+            return { match: countryMatch, type: 'exactNameCountry', score: 1 };
         }
 
         // Strategy 2: Partial name match (fuzzy)
-        const partialMatch = this.findPartialNameMatch(normalizedYourName, yourAirport.country);
+        const partialMatch = this.findPartialNameMatch(yourAirport);
         if (partialMatch) {
-            return { match: partialMatch, type: 'partialName' };
+            return { ...partialMatch, type: 'partialName' };
         }
 
         // Strategy 3: IATA code match (as fallback, since IATA might be wrong)
         if (yourAirport.airportCode) {
             const iataMatch = this.openFlightsByIATA.get(yourAirport.airportCode.toUpperCase());
             if (iataMatch) {
-                return { match: iataMatch, type: 'iata' };
+                return { match: iataMatch, type: 'iata', score: this.nameIndex.similarity(yourAirport.airportName, iataMatch.name) };
             }
         }
 
+        // Strategy 4: Exact name match elsewhere. Generic words are dropped from names, so
+        // unrelated airports can share one: it counts only when it is the only airport of
+        // that name and ours has no country to contradict it; otherwise a reviewer decides
+        const seen = new Set();
+        const elsewhere = exactMatches.filter(match => {
+            const key = `${match.iataCode}|${match.icaoCode}`;
+            return !seen.has(key) && seen.add(key);
+        });
+        if (elsewhere.length === 1 && !countryCode) {
+            return { match: elsewhere[0], type: 'exactName', score: 1 };
+        }
+        if (elsewhere.length > 0) {
+            const candidates = elsewhere.slice(0, KEPT_CANDIDATES).map(match => ({ match, score: 1 }));
+            return { ambiguous: true, type: 'exactName', score: 1, candidates };
+        }
+
         return null;
     }
 
-    findPartialNameMatch(normalizedName, country) {
-        if (normalizedName.length < 4) return null; // Too short to fuzzy match
-
-        const words = normalizedName.split(' ').filter(word => word.length > 2);
-        if (words.length === 0) return null;
-
-        for (const [openFlightsName, airports] of this.openFlightsByName.entries()) {
-            // Check if significant words overlap
-            const openFlightsWords = openFlightsName.split(' ').filter(word => word.length > 2);
-            const commonWords = words.filter(word =>
-                openFlightsWords.some(ofWord => ofWord.includes(word) || word.includes(ofWord))
-            );
-
-            // If at least half the words match, consider it a partial match
-            if (commonWords.length >= Math.min(2, Math.ceil(words.length / 2))) {
-                // Prefer matches from same country
-                const countryMatch = airports.find(airport =>
-                    this.normalizeCountry(airport.country) === this.normalizeCountry(country)
-                );
+    // Ranked reference airports in the same country (a country-less airport gets no partial
+    // match). The name score is weighted by how well the cities agree, so of two similar
+    // names the one in our city wins
+    rankCandidates(yourAirport) {
+        const countryCode = countryCodeOf(yourAirport);
+        if (!countryCode) return [];
+
+        const city = foldText(yourAirport.city);
+        return this.nameIndex.search(yourAirport.airportName, { block: countryCode, limit: 10 })
+            .map(({ item, score }) => {
+                const citySimilarity = city && item.city ? jaroWinkler(city, foldText(item.city)) : 1;
+                return { match: item, score: score * (0.8 + 0.2 * citySimilarity) };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
 
-                if (countryMatch) {
-                    return countryMatch;
-                }
-            }
+    // The best candidate, unless another airport scores within AMBIGUITY_MARGIN of it and the
+    // IATA code does not settle which one is meant
+    findPartialNameMatch(yourAirport) {
+        if (normalizeName(yourAirport.airportName || '').length < 4) return null; // Too short to fuzzy match
+
+        // The same airport from two reference datasets is one candidate
+        const seen = new Set();
+        const ranked = this.rankCandidates(yourAirport).filter(({ match }) => {
+            const key = `${match.iataCode}|${match.icaoCode}`;
+            return !seen.has(key) && seen.add(key);
+        });
+        if (ranked.length === 0 || ranked[0].score < MIN_PARTIAL_SCORE) return null;
+
+        const candidates = ranked.slice(0, KEPT_CANDIDATES);
+        const close = ranked.filter(candidate => candidate.score >= ranked[0].score - AMBIGUITY_MARGIN);
+        if (close.length === 1) {
+            return { ...ranked[0], candidates };
         }
 
-        return null;
-    }
-
-    normalizeCountry(country) {
-        return (country || '')
-            .toLowerCase()
-            .replace(/republic of|kingdom of|people's democratic republic of|democratic republic of/gi, '')
-            .replace(/\s+/g, ' ')
-            .trim();
+        const code = yourAirport.airportCode?.toUpperCase();
+        const byCode = close.filter(candidate => code && candidate.match.iataCode?.toUpperCase() === code);
+        if (byCode.length === 1) {
+            return { ...byCode[0], candidates };
+        }
+        return { ambiguous: true, score: ranked[0].score, candidates };
     }
 
     needsCorrection(yourAirport, openFlightsMatch) {
@@ -166,14 +231,14 @@ class AirportCorrector {
             corrections.push(`ICAO: ${yourAirport.icaoCode} → ${openFlightsMatch.icaoCode}`);
         }
 
-        // Check city
-        if (yourAirport.city !== openFlightsMatch.city) {
+        // Check city (spellings that differ only in accents or script are the same city)
+        if (foldText(yourAirport.city) !== foldText(openFlightsMatch.city)) {
             corrections.push(`City: ${yourAirport.city} → ${openFlightsMatch.city}`);
         }
 
         // Check airport name (allow some flexibility)
-        const yourNormalized = this.normalizeName(yourAirport.airportName);
-        const openFlightsNormalized = this.normalizeName(openFlightsMatch.name);
+        const yourNormalized = normalizeName(yourAirport.airportName);
+        const openFlightsNormalized = normalizeName(openFlightsMatch.name);
         if (yourNormalized !== openFlightsNormalized) {
             corrections.push(`Name: ${yourAirport.airportName} → ${openFlightsMatch.name}`);
         }
@@ -181,14 +246,42 @@ class AirportCorrector {
         return corrections;
     }
 
-    correctAirport(yourAirport, openFlightsMatch, matchType) {
+    // matchScore and, for fuzzy matches, the ranked candidates behind it
+    matchDetails({ score, candidates }) {
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            matchScore: round(score),
+            ...(candidates && {
+                matchCandidates: candidates.map(({ match, score }) => ({
+                    dataset: match.dataset,
+                    id: match.id ?? match.ident,
+                    iataCode: match.iataCode,
+                    icaoCode: match.icaoCode,
+                    name: match.name,
+                    city: match.city,
+                    score: round(score)
+                }))
+            })
+        };
+    }
+
+    correctAirport(yourAirport, openFlightsMatch, matchType, details = {}) {
         const corrections = this.needsCorrection(yourAirport, openFlightsMatch);
 
+        // Location from the reference record, kept on every matched airport (used by export)
+        const openFlightsData = {
+            dataset: openFlightsMatch.dataset,
+            id: openFlightsMatch.id,
+            latitude: openFlightsMatch.latitude,
+            longitude: openFlightsMatch.longitude,
+            altitude: openFlightsMatch.altitude
+        };
+
         if (corrections.length === 0) {
-            return { ...yourAirport, correctionStatus: 'no_correction_needed', matchType };
+            return { ...yourAirport, correctionStatus: 'no_correction_needed', matchType, ...details, openFlightsData };
         }
 
-        const correctedAirport = {
+        let correctedAirport = {
             ...yourAirport,
             // Update with OpenFlights data
             airportCode: openFlightsMatch.iataCode,
@@ -196,27 +289,61 @@ class AirportCorrector {
             airportName: openFlightsMatch.name,
             city: openFlightsMatch.city,
             country: openFlightsMatch.country,
+            countryCode: openFlightsMatch.countryCode,
             // Add metadata
             correctionStatus: 'corrected',
             matchType,
+            ...details,
             corrections,
             originalData: {
                 airportCode: yourAirport.airportCode,
                 icaoCode: yourAirport.icaoCode,
                 airportName: yourAirport.airportName,
                 city: yourAirport.city,
-                country: yourAirport.country
+                country: yourAirport.country,
+                countryCode: yourAirport.countryCode
             },
-            openFlightsData: {
-                id: openFlightsMatch.id,
-                latitude: openFlightsMatch.latitude,
-                longitude: openFlightsMatch.longitude,
-                altitude: openFlightsMatch.altitude
-            }
+            openFlightsData
         };
 
-        this.stats.corrected++;
-        return correctedAirport;
+        correctedAirport = this.revertRejected(correctedAirport, yourAirport);
+
+        // Only the fields the reference data actually changed get a history entry; an airport
+        // whose every change was reverted in review counts as uncorrected
+        const changed = ['airportCode', 'icaoCode', 'airportName', 'city', 'country', 'countryCode']
+            .filter(field => correctedAirport[field] !== yourAirport[field]);
+        if (changed.length > 0) this.stats.corrected++;
+        return track(correctedAirport, changed, {
+            source: openFlightsMatch.dataset,
+            stage: 'correct',
+            evidence: { id: openFlightsMatch.id, ident: openFlightsMatch.ident, matchType, matchScore: details.matchScore }
+        });
+    }
+
+    // Hand corrections (corrections.json) win over the reference data
+    applyHandCorrections(airport) {
+        const changes = this.corrections.changesFor(airport);
+        if (changes.length > 0) {
+            console.log(`  ✏️  Hand corrections: ${changes.join(', ')}`);
+        }
+        return this.corrections.apply(airport, 'correct');
+    }
+
+    // Changes a reviewer rejected (review-decisions.json) keep the original value; the
+    // reference values stay in revertedInReview so the change can still be reviewed again
+    revertRejected(correctedAirport, yourAirport) {
+        const key = correctionKey(correctedAirport);
+        const fields = [...Object.keys(CORRECTION_TYPES), 'country', 'countryCode']
+            .filter(field => this.decisions.isRejected(key, field) && correctedAirport[field] !== yourAirport[field]);
+        if (fields.length === 0) return correctedAirport;
+
+        console.log(`  ↩️  Reverted in review: ${fields.join(', ')}`);
+        this.stats.revertedInReview++;
+        return {
+            ...correctedAirport,
+            ...Object.fromEntries(fields.map(field => [field, yourAirport[field]])),
+            revertedInReview: Object.fromEntries(fields.map(field => [field, correctedAirport[field]]))
+        };
     }
 
     processAirports(yourAirports) {
@@ -230,12 +357,26 @@ class AirportCorrector {
 
             const matchResult = this.findOpenFlightsMatch(yourAirport);
 
-            if (matchResult) {
-                const { match, type } = matchResult;
-                console.log(`  ✅ Found match (${type}): ${match.iataCode}/${match.icaoCode} - ${match.name}`);
+            if (matchResult?.ambiguous) {
+                // Left as it is for a reviewer: correcting it against either candidate would be a guess
+                console.log(`  ⚠️  Ambiguous match, not corrected:`);
+                matchResult.candidates.forEach(({ match, score }) => {
+                    console.log(`     ${score.toFixed(3)} ${match.iataCode}/${match.icaoCode} - ${match.name} (${match.city})`);
+                });
+                this.correctedAirports.push(this.applyHandCorrections({
+                    ...yourAirport,
+                    unverified: true,
+                    correctionStatus: 'ambiguous_match',
+                    matchType: matchResult.type,
+                    ...this.matchDetails(matchResult)
+                }));
+                this.stats.ambiguousMatch++;
+            } else if (matchResult) {
+                const { match, type, score } = matchResult;
+                console.log(`  ✅ Found ${match.dataset} match (${type}, score ${score.toFixed(3)}): ${match.iataCode}/${match.icaoCode} - ${match.name}`);
                 console.log(`     📍 ${match.city}, ${match.country}`);
 
-                const correctedAirport = this.correctAirport(yourAirport, match, type);
+                const correctedAirport = this.correctAirport(yourAirport, match, type, this.matchDetails(matchResult));
 
                 if (correctedAirport.correctionStatus === 'corrected') {
                     console.log(`  🔧 Corrections needed:`);
@@ -246,7 +387,7 @@ class AirportCorrector {
                     console.log(`  ✅ No corrections needed`);
                 }
 
-                this.correctedAirports.push(correctedAirport);
+                this.correctedAirports.push(this.applyHandCorrections(correctedAirport));
 
                 // Update statistics
                 switch (type) {
@@ -262,13 +403,13 @@ class AirportCorrector {
                         break;
                 }
             } else {
-                console.log(`  ❌ No OpenFlights match found - marking as unverified`);
-                this.correctedAirports.push({
+                console.log(`  ❌ No reference match found - marking as unverified`);
+                this.correctedAirports.push(this.applyHandCorrections({
                     ...yourAirport,
                     unverified: true,
                     correctionStatus: 'no_match',
                     matchType: 'none'
-                });
+                }));
                 this.stats.noMatch++;
             }
 
@@ -282,7 +423,9 @@ class AirportCorrector {
         console.log(`✅ Exact name matches: ${this.stats.exactNameMatch} (${(this.stats.exactNameMatch / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`🔍 Partial name matches: ${this.stats.partialNameMatch} (${(this.stats.partialNameMatch / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`🏷️  IATA code matches: ${this.stats.iataMatch} (${(this.stats.iataMatch / this.stats.total * 100).toFixed(1)}%)`);
+        console.log(`⚠️  Ambiguous matches left for review: ${this.stats.ambiguousMatch} (${(this.stats.ambiguousMatch / this.stats.total * 100).toFixed(1)}%)`);
         console.log(`🔧 Total corrections made: ${this.stats.corrected} (${(this.stats.corrected / this.stats.total * 100).toFixed(1)}%)`);
+        console.log(`↩️  Partly or fully reverted in review: ${this.stats.revertedInReview}`);
         console.log(`❌ Unverified (no match): ${this.stats.noMatch} (${(this.stats.noMatch / this.stats.total * 100).toFixed(1)}%)`);
 
         // Show examples of corrections
@@ -313,7 +456,7 @@ class AirportCorrector {
 
         // Count unverified airports
         const unverifiedCount = this.correctedAirports.filter(a => a.unverified === true).length;
-        console.log(`💾 ${unverifiedCount} airports marked as unverified (no OpenFlights match)`);
+        console.log(`💾 ${unverifiedCount} airports marked as unverified (no reference match or an ambiguous one)`);
 
         // Save summary
         const unverifiedAirports = this.correctedAirports.filter(a => a.unverified === true);
@@ -321,8 +464,11 @@ class AirportCorrector {
         const summary = {
             statistics: this.stats,
             totalAirports: this.correctedAirports.length,
-            correctionsMade: correctionsOnly.length,
+            // corrections-made.json also lists airports fully reverted in review, for re-review
+            correctionsMade: this.stats.corrected,
             unverifiedCount: unverifiedAirports.length,
+            referenceSources: this.sources,
+            openFlightsSnapshot: this.openFlightsSnapshot,
             processedAt: new Date().toISOString(),
             sampleCorrections: correctionsOnly.slice(0, 10).map(a => ({
                 original: a.originalData,
@@ -343,10 +489,10 @@ class AirportCorrector {
 
     async process() {
         try {
-            console.log('🔧 Airport Data Corrector using OpenFlights\n');
+            console.log(`🔧 Airport Data Corrector using ${this.sources.join(' + ')}\n`);
 
             // Load data
-            const yourAirports = this.loadData();
+            const yourAirports = await this.loadData();
             if (!yourAirports) {
                 return null;
             }
@@ -373,11 +519,13 @@ class AirportCorrector {
 }
 
 // Main execution
-async function main() {
-    const corrector = new AirportCorrector();
+async function main(options = {}) {
+    const corrector = new AirportCorrector(options);
     await corrector.process();
 }
 
-main().catch(console.error);
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(console.error);
+}
 
-export { AirportCorrector }; 
\ No newline at end of file
+export { AirportCorrector, main };
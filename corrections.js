@@ -0,0 +1,302 @@
+import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { toCountryCode, sameCountry } from './countries.js';
+import { OpenFlightsProcessor } from './download-openflights.js';
+import { distanceKm } from './geo.js';
+import { foldText, normalizeName } from './names.js';
+import { OpenFlightsSource } from './openflights-source.js';
+import { track } from './provenance.js';
+
+const CORRECTIONS_FILE = 'corrections.json';
+const CORRECTIONS_VERSION = 1;
+
+// Command-line option → record field a correction can set
+const CORRECTABLE_FIELDS = {
+    iata: 'airportCode',
+    icao: 'icaoCode',
+    name: 'airportName',
+    city: 'city',
+    country: 'country',
+    lat: 'latitude',
+    lon: 'longitude'
+};
+
+const NUMERIC_FIELDS = new Set(['latitude', 'longitude']);
+
+// Record field → OpenFlights field it is verified against
+const OPENFLIGHTS_FIELDS = {
+    airportCode: 'iataCode',
+    icaoCode: 'icaoCode',
+    airportName: 'name',
+    city: 'city',
+    country: 'country'
+};
+
+// Hand corrections shared by every stage, kept in corrections.json under version control.
+// Each entry matches airports by the IATA code the pipeline holds (optionally only in one
+// ISO country, since LLMs reuse real IATA codes for other airports) and sets any of the
+// fields in CORRECTABLE_FIELDS, with the reason and author behind it.
+class CorrectionsRegistry {
+    constructor(data = {}, file = CORRECTIONS_FILE) {
+        if (data.version !== undefined && data.version > CORRECTIONS_VERSION) {
+            throw new Error(`${file} is version ${data.version}; this code understands up to version ${CORRECTIONS_VERSION}`);
+        }
+        this.file = file;
+        this.corrections = data.corrections || [];
+    }
+
+    static load(file = CORRECTIONS_FILE) {
+        if (!fs.existsSync(file)) {
+            return new CorrectionsRegistry({}, file);
+        }
+        try {
+            return new CorrectionsRegistry(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+        } catch (error) {
+            throw new Error(`${file} parse error: ${error.message}`);
+        }
+    }
+
+    save() {
+        const data = { version: CORRECTIONS_VERSION, corrections: this.corrections };
+        fs.writeFileSync(this.file, JSON.stringify(data, null, 2) + '\n');
+    }
+
+    // Corrections that apply to an airport record, in file order
+    find(airport) {
+        const iataCode = airport.airportCode?.toUpperCase();
+        if (!iataCode) return [];
+
+        return this.corrections.filter(entry =>
+            entry.iata === iataCode && (!entry.countryCode || sameCountry(entry.countryCode, airport)));
+    }
+
+    // The corrected ICAO code and the entry behind it, or null
+    icaoFor(airport) {
+        const entry = this.find(airport).filter(e => e.set.icaoCode).pop();
+        return entry ? { icaoCode: entry.set.icaoCode, entry } : null;
+    }
+
+    // Fields a matching correction would change: ['icaoCode LUXX → LUKK', ...]
+    changesFor(airport) {
+        return this.find(airport).flatMap(entry => Object.entries(entry.set))
+            .filter(([field, value]) => airport[field] !== value)
+            .map(([field, value]) => `${field} ${airport[field]} → ${value}`);
+    }
+
+    // Copy of the record with every matching correction applied and tracked as provenance
+    apply(airport, stage) {
+        const entries = this.find(airport);
+        if (entries.length === 0) return airport;
+
+        let corrected = { ...airport };
+        for (const entry of entries) {
+            corrected = track({ ...corrected, ...entry.set }, Object.keys(entry.set), {
+                source: 'manual_correction',
+                stage,
+                evidence: { correctionId: entry.id, reason: entry.reason, author: entry.author }
+            });
+        }
+        if (entries.some(entry => entry.set.icaoCode)) {
+            corrected.icaoSource = 'manual_correction';
+        }
+        if (entries.some(entry => entry.set.country)) {
+            corrected.countryCode = toCountryCode(corrected.country);
+        }
+        corrected.correctionIds = [...new Set([...(airport.correctionIds || []), ...entries.map(e => e.id)])];
+        return corrected;
+    }
+
+    nextId() {
+        return this.corrections.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+    }
+
+    add({ iata, countryCode = null, set, reason, author }) {
+        if (!/^[A-Z]{3}$/.test(iata || '')) {
+            throw new Error('A correction needs the IATA code it applies to (corrections add <IATA>)');
+        }
+        if (Object.keys(set).length === 0) {
+            throw new Error(`Nothing to correct: pass at least one of ${Object.keys(CORRECTABLE_FIELDS).map(o => `--${o}`).join(', ')}`);
+        }
+        if (!reason) {
+            throw new Error('Every correction needs a --reason');
+        }
+        if (set.icaoCode && !/^[A-Z]{4}$/.test(set.icaoCode)) {
+            throw new Error(`Invalid ICAO code ${set.icaoCode}`);
+        }
+
+        const entry = {
+            id: this.nextId(),
+            iata,
+            ...(countryCode && { countryCode }),
+            set,
+            reason,
+            author: author || process.env.USER || 'unknown',
+            addedAt: new Date().toISOString()
+        };
+        this.corrections.push(entry);
+        return entry;
+    }
+
+    remove(id) {
+        const index = this.corrections.findIndex(entry => entry.id === Number(id));
+        if (index === -1) {
+            throw new Error(`No correction with id ${id}`);
+        }
+        return this.corrections.splice(index, 1)[0];
+    }
+
+    // Entries whose values disagree with OpenFlights' record for the same IATA code:
+    // [{ entry, reference, conflicts: ['icaoCode: LUTR vs LUXX', ...] }]
+    verify(openFlightsAirports) {
+        const byIATA = new Map(openFlightsAirports.filter(a => a.iataCode).map(a => [a.iataCode, a]));
+        const findings = [];
+
+        for (const entry of this.corrections) {
+            const reference = byIATA.get(entry.set.airportCode || entry.iata);
+            if (!reference) {
+                findings.push({ entry, reference: null, conflicts: [] });
+                continue;
+            }
+            if (entry.countryCode && !sameCountry(entry.countryCode, reference)) {
+                continue; // OpenFlights' airport with this IATA code is not the one corrected
+            }
+
+            const conflicts = [];
+            for (const [field, value] of Object.entries(entry.set)) {
+                const referenceValue = reference[OPENFLIGHTS_FIELDS[field]];
+                if (referenceValue === null || referenceValue === undefined) continue;
+
+                if (field === 'country') {
+                    if (!sameCountry(value, reference)) conflicts.push(`country: ${value} vs ${referenceValue}`);
+                } else if (comparisonKey(field, value) !== comparisonKey(field, referenceValue)) {
+                    conflicts.push(`${field}: ${value} vs ${referenceValue}`);
+                }
+            }
+
+            if (entry.set.latitude !== undefined && entry.set.longitude !== undefined && reference.latitude !== null) {
+                const km = distanceKm(entry.set.latitude, entry.set.longitude, reference.latitude, reference.longitude);
+                if (km > 5) conflicts.push(`coordinates: ${km.toFixed(1)} km from OpenFlights`);
+            }
+
+            if (conflicts.length > 0) {
+                findings.push({ entry, reference, conflicts });
+            }
+        }
+        return findings;
+    }
+}
+
+// Sources spell names and cities differently ("Chișinău" vs "Chişinău", "Intl" vs
+// "International"); only a different key is a real disagreement
+function comparisonKey(field, value) {
+    if (field === 'airportName') return normalizeName(value);
+    if (field === 'city') return foldText(value);
+    return String(value).toLowerCase();
+}
+
+function describeEntry(entry) {
+    const changes = Object.entries(entry.set).map(([field, value]) => `${field}=${value}`).join(', ');
+    const scope = entry.countryCode ? ` in ${entry.countryCode}` : '';
+    return `#${entry.id} ${entry.iata}${scope}: ${changes}\n     ${entry.reason} (${entry.author}, ${entry.addedAt?.slice(0, 10) || 'undated'})`;
+}
+
+// --icao LUTR --name "..." ... → { icaoCode: 'LUTR', airportName: '...' }
+function fieldsFromOptions(options) {
+    const set = {};
+    for (const [option, field] of Object.entries(CORRECTABLE_FIELDS)) {
+        if (options[option] === undefined || options[option] === true) continue;
+
+        let value = String(options[option]).trim();
+        if (field === 'airportCode' || field === 'icaoCode') value = value.toUpperCase();
+        if (NUMERIC_FIELDS.has(field)) {
+            value = Number(value);
+            if (Number.isNaN(value)) throw new Error(`--${option} expects a number`);
+        }
+        set[field] = value;
+    }
+    return set;
+}
+
+async function loadOpenFlightsAirports(options) {
+    const processor = new OpenFlightsProcessor(OpenFlightsSource.forStage('openflights', options));
+    const csvData = await processor.downloadOpenFlightsData();
+    if (!csvData) {
+        throw new Error('OpenFlights data unavailable; cannot verify');
+    }
+    await processor.processOpenFlightsData(csvData);
+    return processor.cleanedAirports;
+}
+
+async function verifyCorrections(registry, options) {
+    const findings = registry.verify(await loadOpenFlightsAirports(options));
+    const contradictions = findings.filter(f => f.reference);
+    const unknown = findings.filter(f => !f.reference);
+
+    console.log(`\n🔎 Checked ${registry.corrections.length} corrections against OpenFlights`);
+    for (const { entry, conflicts } of contradictions) {
+        console.log(`⚠️  ${describeEntry(entry)}`);
+        conflicts.forEach(conflict => console.log(`     ✗ ${conflict}`));
+    }
+    for (const { entry } of unknown) {
+        console.log(`❔ #${entry.id} ${entry.set.airportCode || entry.iata} is not in OpenFlights (nothing to compare)`);
+    }
+    if (contradictions.length === 0) {
+        console.log('✅ No correction contradicts OpenFlights');
+    } else {
+        process.exitCode = 1;
+    }
+    return findings;
+}
+
+// corrections add|list|remove|verify
+async function main(options = {}) {
+    const [action, ...rest] = options._ || [];
+    const registry = CorrectionsRegistry.load(options.correctionsFile);
+
+    switch (action) {
+        case 'add': {
+            const countryCode = options.in ? toCountryCode(options.in) : null;
+            if (options.in && !countryCode) {
+                throw new Error(`Unknown country "${options.in}"`);
+            }
+            const entry = registry.add({
+                iata: String(rest[0] || '').toUpperCase(),
+                countryCode,
+                set: fieldsFromOptions(options),
+                reason: options.reason,
+                author: options.author
+            });
+            registry.save();
+            console.log(`✅ Added correction ${describeEntry(entry)}`);
+            return entry;
+        }
+        case 'list': {
+            if (registry.corrections.length === 0) {
+                console.log(`📋 No corrections in ${registry.file}`);
+            } else {
+                console.log(`📋 ${registry.corrections.length} corrections in ${registry.file}:\n`);
+                registry.corrections.forEach(entry => console.log(describeEntry(entry)));
+            }
+            return registry.corrections;
+        }
+        case 'remove': {
+            const entry = registry.remove(rest[0]);
+            registry.save();
+            console.log(`🗑️  Removed correction ${describeEntry(entry)}`);
+            return entry;
+        }
+        case 'verify':
+            return verifyCorrections(registry, options);
+        default:
+            throw new Error(`Unknown corrections command "${action || ''}" (expected add, list, remove or verify)`);
+    }
+}
+
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+export { CorrectionsRegistry, CORRECTIONS_FILE, CORRECTABLE_FIELDS, main };
@@ -0,0 +1,313 @@
+// ISO 3166-1 reference table: alpha-2, alpha-3, common name, official name and aliases.
+// Official names follow countries.json (the list the cities stage starts from); common
+// names and aliases cover OpenFlights, OurAirports and what LLMs tend to answer.
+// Every stage resolves country names to alpha-2 codes here and compares codes only.
+const COUNTRY_ROWS = [
+    ['AD', 'AND', 'Andorra', 'Principality of Andorra'],
+    ['AE', 'ARE', 'United Arab Emirates', 'United Arab Emirates', 'UAE', 'Emirates'],
+    ['AF', 'AFG', 'Afghanistan', 'Islamic Republic of Afghanistan'],
+    ['AG', 'ATG', 'Antigua and Barbuda', 'Antigua and Barbuda', 'Antigua'],
+    ['AI', 'AIA', 'Anguilla', 'Anguilla'],
+    ['AL', 'ALB', 'Albania', 'Republic of Albania'],
+    ['AM', 'ARM', 'Armenia', 'Republic of Armenia'],
+    ['AO', 'AGO', 'Angola', 'Republic of Angola'],
+    ['AQ', 'ATA', 'Antarctica', 'Antarctica'],
+    ['AR', 'ARG', 'Argentina', 'Argentine Republic'],
+    ['AS', 'ASM', 'American Samoa', 'American Samoa'],
+    ['AT', 'AUT', 'Austria', 'Republic of Austria'],
+    ['AU', 'AUS', 'Australia', 'Commonwealth of Australia'],
+    ['AW', 'ABW', 'Aruba', 'Aruba'],
+    ['AX', 'ALA', 'Åland Islands', 'Åland Islands', 'Aland'],
+    ['AZ', 'AZE', 'Azerbaijan', 'Republic of Azerbaijan'],
+    ['BA', 'BIH', 'Bosnia and Herzegovina', 'Bosnia and Herzegovina', 'Bosnia'],
+    ['BB', 'BRB', 'Barbados', 'Barbados'],
+    ['BD', 'BGD', 'Bangladesh', "People's Republic of Bangladesh"],
+    ['BE', 'BEL', 'Belgium', 'Kingdom of Belgium'],
+    ['BF', 'BFA', 'Burkina Faso', 'Burkina Faso'],
+    ['BG', 'BGR', 'Bulgaria', 'Republic of Bulgaria'],
+    ['BH', 'BHR', 'Bahrain', 'Kingdom of Bahrain'],
+    ['BI', 'BDI', 'Burundi', 'Republic of Burundi'],
+    ['BJ', 'BEN', 'Benin', 'Republic of Benin'],
+    ['BL', 'BLM', 'Saint Barthélemy', 'Collectivity of Saint Barthélemy', 'St Barts'],
+    ['BM', 'BMU', 'Bermuda', 'Bermuda'],
+    ['BN', 'BRN', 'Brunei', 'Nation of Brunei, Abode of Peace', 'Brunei Darussalam'],
+    ['BO', 'BOL', 'Bolivia', 'Plurinational State of Bolivia'],
+    ['BQ', 'BES', 'Caribbean Netherlands', 'Bonaire, Sint Eustatius and Saba', 'Bonaire'],
+    ['BR', 'BRA', 'Brazil', 'Federative Republic of Brazil'],
+    ['BS', 'BHS', 'Bahamas', 'Commonwealth of the Bahamas', 'The Bahamas'],
+    ['BT', 'BTN', 'Bhutan', 'Kingdom of Bhutan'],
+    ['BV', 'BVT', 'Bouvet Island', 'Bouvet Island'],
+    ['BW', 'BWA', 'Botswana', 'Republic of Botswana'],
+    ['BY', 'BLR', 'Belarus', 'Republic of Belarus', 'Byelorussia'],
+    ['BZ', 'BLZ', 'Belize', 'Belize'],
+    ['CA', 'CAN', 'Canada', 'Canada'],
+    ['CC', 'CCK', 'Cocos (Keeling) Islands', 'Territory of the Cocos (Keeling) Islands', 'Cocos Islands'],
+    ['CD', 'COD', 'DR Congo', 'Democratic Republic of the Congo', 'Congo (Kinshasa)', 'Congo-Kinshasa', 'DRC', 'Zaire'],
+    ['CF', 'CAF', 'Central African Republic', 'Central African Republic'],
+    ['CG', 'COG', 'Republic of the Congo', 'Republic of the Congo', 'Congo (Brazzaville)', 'Congo-Brazzaville', 'Congo'],
+    ['CH', 'CHE', 'Switzerland', 'Swiss Confederation'],
+    ['CI', 'CIV', "Côte d'Ivoire", "Republic of Côte d'Ivoire", 'Ivory Coast'],
+    ['CK', 'COK', 'Cook Islands', 'Cook Islands'],
+    ['CL', 'CHL', 'Chile', 'Republic of Chile'],
+    ['CM', 'CMR', 'Cameroon', 'Republic of Cameroon'],
+    ['CN', 'CHN', 'China', "People's Republic of China", 'PRC', 'Mainland China'],
+    ['CO', 'COL', 'Colombia', 'Republic of Colombia'],
+    ['CR', 'CRI', 'Costa Rica', 'Republic of Costa Rica'],
+    ['CU', 'CUB', 'Cuba', 'Republic of Cuba'],
+    ['CV', 'CPV', 'Cabo Verde', 'Republic of Cabo Verde', 'Cape Verde'],
+    ['CW', 'CUW', 'Curaçao', 'Country of Curaçao'],
+    ['CX', 'CXR', 'Christmas Island', 'Territory of Christmas Island'],
+    ['CY', 'CYP', 'Cyprus', 'Republic of Cyprus'],
+    ['CZ', 'CZE', 'Czechia', 'Czech Republic'],
+    ['DE', 'DEU', 'Germany', 'Federal Republic of Germany'],
+    ['DJ', 'DJI', 'Djibouti', 'Republic of Djibouti'],
+    ['DK', 'DNK', 'Denmark', 'Kingdom of Denmark'],
+    ['DM', 'DMA', 'Dominica', 'Commonwealth of Dominica'],
+    ['DO', 'DOM', 'Dominican Republic', 'Dominican Republic'],
+    ['DZ', 'DZA', 'Algeria', "People's Democratic Republic of Algeria"],
+    ['EC', 'ECU', 'Ecuador', 'Republic of Ecuador'],
+    ['EE', 'EST', 'Estonia', 'Republic of Estonia'],
+    ['EG', 'EGY', 'Egypt', 'Arab Republic of Egypt'],
+    ['EH', 'ESH', 'Western Sahara', 'Sahrawi Arab Democratic Republic'],
+    ['ER', 'ERI', 'Eritrea', 'State of Eritrea'],
+    ['ES', 'ESP', 'Spain', 'Kingdom of Spain'],
+    ['ET', 'ETH', 'Ethiopia', 'Federal Democratic Republic of Ethiopia'],
+    ['FI', 'FIN', 'Finland', 'Republic of Finland'],
+    ['FJ', 'FJI', 'Fiji', 'Republic of Fiji'],
+    ['FK', 'FLK', 'Falkland Islands', 'Falkland Islands', 'Falkland Islands (Malvinas)', 'Malvinas'],
+    ['FM', 'FSM', 'Micronesia', 'Federated States of Micronesia'],
+    ['FO', 'FRO', 'Faroe Islands', 'Faroe Islands', 'Faeroe Islands'],
+    ['FR', 'FRA', 'France', 'French Republic'],
+    ['GA', 'GAB', 'Gabon', 'Gabonese Republic'],
+    ['GB', 'GBR', 'United Kingdom', 'United Kingdom of Great Britain and Northern Ireland', 'UK', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'],
+    ['GD', 'GRD', 'Grenada', 'Grenada'],
+    ['GE', 'GEO', 'Georgia', 'Georgia'],
+    ['GF', 'GUF', 'French Guiana', 'Guiana'],
+    ['GG', 'GGY', 'Guernsey', 'Bailiwick of Guernsey'],
+    ['GH', 'GHA', 'Ghana', 'Republic of Ghana'],
+    ['GI', 'GIB', 'Gibraltar', 'Gibraltar'],
+    ['GL', 'GRL', 'Greenland', 'Greenland'],
+    ['GM', 'GMB', 'Gambia', 'Republic of the Gambia', 'The Gambia'],
+    ['GN', 'GIN', 'Guinea', 'Republic of Guinea'],
+    ['GP', 'GLP', 'Guadeloupe', 'Guadeloupe'],
+    ['GQ', 'GNQ', 'Equatorial Guinea', 'Republic of Equatorial Guinea'],
+    ['GR', 'GRC', 'Greece', 'Hellenic Republic'],
+    ['GS', 'SGS', 'South Georgia and the South Sandwich Islands', 'South Georgia and the South Sandwich Islands', 'South Georgia'],
+    ['GT', 'GTM', 'Guatemala', 'Republic of Guatemala'],
+    ['GU', 'GUM', 'Guam', 'Guam'],
+    ['GW', 'GNB', 'Guinea-Bissau', 'Republic of Guinea-Bissau'],
+    ['GY', 'GUY', 'Guyana', 'Co-operative Republic of Guyana'],
+    ['HK', 'HKG', 'Hong Kong', "Hong Kong Special Administrative Region of the People's Republic of China"],
+    ['HM', 'HMD', 'Heard Island and McDonald Islands', 'Heard Island and McDonald Islands'],
+    ['HN', 'HND', 'Honduras', 'Republic of Honduras'],
+    ['HR', 'HRV', 'Croatia', 'Republic of Croatia'],
+    ['HT', 'HTI', 'Haiti', 'Republic of Haiti'],
+    ['HU', 'HUN', 'Hungary', 'Hungary'],
+    ['ID', 'IDN', 'Indonesia', 'Republic of Indonesia'],
+    ['IE', 'IRL', 'Ireland', 'Republic of Ireland', 'Eire'],
+    ['IL', 'ISR', 'Israel', 'State of Israel'],
+    ['IM', 'IMN', 'Isle of Man', 'Isle of Man'],
+    ['IN', 'IND', 'India', 'Republic of India'],
+    ['IO', 'IOT', 'British Indian Ocean Territory', 'British Indian Ocean Territory', 'Chagos Islands'],
+    ['IQ', 'IRQ', 'Iraq', 'Republic of Iraq'],
+    ['IR', 'IRN', 'Iran', 'Islamic Republic of Iran', 'Persia'],
+    ['IS', 'ISL', 'Iceland', 'Iceland'],
+    ['IT', 'ITA', 'Italy', 'Italian Republic'],
+    ['JE', 'JEY', 'Jersey', 'Bailiwick of Jersey'],
+    ['JM', 'JAM', 'Jamaica', 'Jamaica'],
+    ['JO', 'JOR', 'Jordan', 'Hashemite Kingdom of Jordan'],
+    ['JP', 'JPN', 'Japan', 'Japan'],
+    ['KE', 'KEN', 'Kenya', 'Republic of Kenya'],
+    ['KG', 'KGZ', 'Kyrgyzstan', 'Kyrgyz Republic', 'Kirghizia'],
+    ['KH', 'KHM', 'Cambodia', 'Kingdom of Cambodia'],
+    ['KI', 'KIR', 'Kiribati', 'Independent and Sovereign Republic of Kiribati'],
+    ['KM', 'COM', 'Comoros', 'Union of the Comoros'],
+    ['KN', 'KNA', 'Saint Kitts and Nevis', 'Federation of Saint Christopher and Nevis', 'St Kitts'],
+    ['KP', 'PRK', 'North Korea', "Democratic People's Republic of Korea", 'DPRK', 'Korea, North'],
+    ['KR', 'KOR', 'South Korea', 'Republic of Korea', 'Korea', 'Korea, South'],
+    ['KW', 'KWT', 'Kuwait', 'State of Kuwait'],
+    ['KY', 'CYM', 'Cayman Islands', 'Cayman Islands'],
+    ['KZ', 'KAZ', 'Kazakhstan', 'Republic of Kazakhstan'],
+    ['LA', 'LAO', 'Laos', "Lao People's Democratic Republic"],
+    ['LB', 'LBN', 'Lebanon', 'Lebanese Republic'],
+    ['LC', 'LCA', 'Saint Lucia', 'Saint Lucia'],
+    ['LI', 'LIE', 'Liechtenstein', 'Principality of Liechtenstein'],
+    ['LK', 'LKA', 'Sri Lanka', 'Democratic Socialist Republic of Sri Lanka', 'Ceylon'],
+    ['LR', 'LBR', 'Liberia', 'Republic of Liberia'],
+    ['LS', 'LSO', 'Lesotho', 'Kingdom of Lesotho'],
+    ['LT', 'LTU', 'Lithuania', 'Republic of Lithuania'],
+    ['LU', 'LUX', 'Luxembourg', 'Grand Duchy of Luxembourg'],
+    ['LV', 'LVA', 'Latvia', 'Republic of Latvia'],
+    ['LY', 'LBY', 'Libya', 'State of Libya'],
+    ['MA', 'MAR', 'Morocco', 'Kingdom of Morocco'],
+    ['MC', 'MCO', 'Monaco', 'Principality of Monaco'],
+    ['MD', 'MDA', 'Moldova', 'Republic of Moldova', 'Moldavia'],
+    ['ME', 'MNE', 'Montenegro', 'Montenegro'],
+    ['MF', 'MAF', 'Saint Martin', 'Saint Martin', 'Saint-Martin', 'Collectivity of Saint Martin'],
+    ['MG', 'MDG', 'Madagascar', 'Republic of Madagascar'],
+    ['MH', 'MHL', 'Marshall Islands', 'Republic of the Marshall Islands'],
+    ['MK', 'MKD', 'North Macedonia', 'Republic of North Macedonia', 'Macedonia'],
+    ['ML', 'MLI', 'Mali', 'Republic of Mali'],
+    ['MM', 'MMR', 'Myanmar', 'Republic of the Union of Myanmar', 'Burma'],
+    ['MN', 'MNG', 'Mongolia', 'Mongolia'],
+    ['MO', 'MAC', 'Macao', "Macao Special Administrative Region of the People's Republic of China", 'Macau'],
+    ['MP', 'MNP', 'Northern Mariana Islands', 'Commonwealth of the Northern Mariana Islands', 'Saipan'],
+    ['MQ', 'MTQ', 'Martinique', 'Martinique'],
+    ['MR', 'MRT', 'Mauritania', 'Islamic Republic of Mauritania'],
+    ['MS', 'MSR', 'Montserrat', 'Montserrat'],
+    ['MT', 'MLT', 'Malta', 'Republic of Malta'],
+    ['MU', 'MUS', 'Mauritius', 'Republic of Mauritius'],
+    ['MV', 'MDV', 'Maldives', 'Republic of the Maldives'],
+    ['MW', 'MWI', 'Malawi', 'Republic of Malawi'],
+    ['MX', 'MEX', 'Mexico', 'United Mexican States'],
+    ['MY', 'MYS', 'Malaysia', 'Malaysia'],
+    ['MZ', 'MOZ', 'Mozambique', 'Republic of Mozambique'],
+    ['NA', 'NAM', 'Namibia', 'Republic of Namibia'],
+    ['NC', 'NCL', 'New Caledonia', 'New Caledonia'],
+    ['NE', 'NER', 'Niger', 'Republic of Niger'],
+    ['NF', 'NFK', 'Norfolk Island', 'Territory of Norfolk Island'],
+    ['NG', 'NGA', 'Nigeria', 'Federal Republic of Nigeria'],
+    ['NI', 'NIC', 'Nicaragua', 'Republic of Nicaragua'],
+    ['NL', 'NLD', 'Netherlands', 'Kingdom of the Netherlands', 'Holland', 'The Netherlands'],
+    ['NO', 'NOR', 'Norway', 'Kingdom of Norway'],
+    ['NP', 'NPL', 'Nepal', 'Federal Democratic Republic of Nepal'],
+    ['NR', 'NRU', 'Nauru', 'Republic of Nauru'],
+    ['NU', 'NIU', 'Niue', 'Niue'],
+    ['NZ', 'NZL', 'New Zealand', 'New Zealand', 'Aotearoa'],
+    ['OM', 'OMN', 'Oman', 'Sultanate of Oman'],
+    ['PA', 'PAN', 'Panama', 'Republic of Panama'],
+    ['PE', 'PER', 'Peru', 'Republic of Peru'],
+    ['PF', 'PYF', 'French Polynesia', 'French Polynesia', 'Tahiti'],
+    ['PG', 'PNG', 'Papua New Guinea', 'Independent State of Papua New Guinea'],
+    ['PH', 'PHL', 'Philippines', 'Republic of the Philippines'],
+    ['PK', 'PAK', 'Pakistan', 'Islamic Republic of Pakistan'],
+    ['PL', 'POL', 'Poland', 'Republic of Poland'],
+    ['PM', 'SPM', 'Saint Pierre and Miquelon', 'Saint Pierre and Miquelon'],
+    ['PN', 'PCN', 'Pitcairn Islands', 'Pitcairn Group of Islands', 'Pitcairn'],
+    ['PR', 'PRI', 'Puerto Rico', 'Commonwealth of Puerto Rico'],
+    ['PS', 'PSE', 'Palestine', 'State of Palestine', 'West Bank', 'Gaza Strip', 'Palestinian Territories'],
+    ['PT', 'PRT', 'Portugal', 'Portuguese Republic'],
+    ['PW', 'PLW', 'Palau', 'Republic of Palau'],
+    ['PY', 'PRY', 'Paraguay', 'Republic of Paraguay'],
+    ['QA', 'QAT', 'Qatar', 'State of Qatar'],
+    ['RE', 'REU', 'Réunion', 'Réunion Island'],
+    ['RO', 'ROU', 'Romania', 'Romania'],
+    ['RS', 'SRB', 'Serbia', 'Republic of Serbia'],
+    ['RU', 'RUS', 'Russia', 'Russian Federation'],
+    ['RW', 'RWA', 'Rwanda', 'Republic of Rwanda'],
+    ['SA', 'SAU', 'Saudi Arabia', 'Kingdom of Saudi Arabia'],
+    ['SB', 'SLB', 'Solomon Islands', 'Solomon Islands'],
+    ['SC', 'SYC', 'Seychelles', 'Republic of Seychelles'],
+    ['SD', 'SDN', 'Sudan', 'Republic of the Sudan'],
+    ['SE', 'SWE', 'Sweden', 'Kingdom of Sweden'],
+    ['SG', 'SGP', 'Singapore', 'Republic of Singapore'],
+    ['SH', 'SHN', 'Saint Helena', 'Saint Helena, Ascension and Tristan da Cunha', 'Ascension Island'],
+    ['SI', 'SVN', 'Slovenia', 'Republic of Slovenia'],
+    ['SJ', 'SJM', 'Svalbard and Jan Mayen', 'Svalbard og Jan Mayen', 'Svalbard'],
+    ['SK', 'SVK', 'Slovakia', 'Slovak Republic'],
+    ['SL', 'SLE', 'Sierra Leone', 'Republic of Sierra Leone'],
+    ['SM', 'SMR', 'San Marino', 'Republic of San Marino'],
+    ['SN', 'SEN', 'Senegal', 'Republic of Senegal'],
+    ['SO', 'SOM', 'Somalia', 'Federal Republic of Somalia'],
+    ['SR', 'SUR', 'Suriname', 'Republic of Suriname'],
+    ['SS', 'SSD', 'South Sudan', 'Republic of South Sudan'],
+    ['ST', 'STP', 'São Tomé and Príncipe', 'Democratic Republic of São Tomé and Príncipe', 'Sao Tome'],
+    ['SV', 'SLV', 'El Salvador', 'Republic of El Salvador'],
+    ['SX', 'SXM', 'Sint Maarten', 'Sint Maarten'],
+    ['SY', 'SYR', 'Syria', 'Syrian Arab Republic'],
+    ['SZ', 'SWZ', 'Eswatini', 'Kingdom of Eswatini', 'Swaziland'],
+    ['TC', 'TCA', 'Turks and Caicos Islands', 'Turks and Caicos Islands'],
+    ['TD', 'TCD', 'Chad', 'Republic of Chad'],
+    ['TF', 'ATF', 'French Southern Territories', 'Territory of the French Southern and Antarctic Lands', 'French Southern and Antarctic Lands'],
+    ['TG', 'TGO', 'Togo', 'Togolese Republic'],
+    ['TH', 'THA', 'Thailand', 'Kingdom of Thailand', 'Siam'],
+    ['TJ', 'TJK', 'Tajikistan', 'Republic of Tajikistan'],
+    ['TK', 'TKL', 'Tokelau', 'Tokelau'],
+    ['TL', 'TLS', 'Timor-Leste', 'Democratic Republic of Timor-Leste', 'East Timor'],
+    ['TM', 'TKM', 'Turkmenistan', 'Turkmenistan'],
+    ['TN', 'TUN', 'Tunisia', 'Tunisian Republic'],
+    ['TO', 'TON', 'Tonga', 'Kingdom of Tonga'],
+    ['TR', 'TUR', 'Türkiye', 'Republic of Turkey', 'Turkey', 'Republic of Türkiye'],
+    ['TT', 'TTO', 'Trinidad and Tobago', 'Republic of Trinidad and Tobago', 'Trinidad'],
+    ['TV', 'TUV', 'Tuvalu', 'Tuvalu'],
+    ['TW', 'TWN', 'Taiwan', 'Republic of China (Taiwan)', 'Republic of China', 'Chinese Taipei'],
+    ['TZ', 'TZA', 'Tanzania', 'United Republic of Tanzania', 'Zanzibar'],
+    ['UA', 'UKR', 'Ukraine', 'Ukraine'],
+    ['UG', 'UGA', 'Uganda', 'Republic of Uganda'],
+    ['UM', 'UMI', 'United States Minor Outlying Islands', 'United States Minor Outlying Islands', 'Wake Island', 'Midway Islands', 'Johnston Atoll'],
+    ['US', 'USA', 'United States', 'United States of America', 'USA', 'US', 'America'],
+    ['UY', 'URY', 'Uruguay', 'Oriental Republic of Uruguay'],
+    ['UZ', 'UZB', 'Uzbekistan', 'Republic of Uzbekistan'],
+    ['VA', 'VAT', 'Vatican City', 'Vatican City State', 'Holy See', 'Vatican'],
+    ['VC', 'VCT', 'Saint Vincent and the Grenadines', 'Saint Vincent and the Grenadines', 'Saint Vincent'],
+    ['VE', 'VEN', 'Venezuela', 'Bolivarian Republic of Venezuela'],
+    ['VG', 'VGB', 'British Virgin Islands', 'Virgin Islands (British)'],
+    ['VI', 'VIR', 'U.S. Virgin Islands', 'Virgin Islands of the United States', 'US Virgin Islands', 'Virgin Islands', 'Virgin Islands (U.S.)'],
+    ['VN', 'VNM', 'Vietnam', 'Socialist Republic of Vietnam', 'Viet Nam'],
+    ['VU', 'VUT', 'Vanuatu', 'Republic of Vanuatu'],
+    ['WF', 'WLF', 'Wallis and Futuna', 'Territory of the Wallis and Futuna Islands'],
+    ['WS', 'WSM', 'Samoa', 'Independent State of Samoa', 'Western Samoa'],
+    ['XK', 'XKX', 'Kosovo', 'Republic of Kosovo'], // User-assigned code, as used by OurAirports
+    ['YE', 'YEM', 'Yemen', 'Republic of Yemen'],
+    ['YT', 'MYT', 'Mayotte', 'Department of Mayotte'],
+    ['ZA', 'ZAF', 'South Africa', 'Republic of South Africa'],
+    ['ZM', 'ZMB', 'Zambia', 'Republic of Zambia'],
+    ['ZW', 'ZWE', 'Zimbabwe', 'Republic of Zimbabwe']
+];
+
+const COUNTRIES = COUNTRY_ROWS.map(([alpha2, alpha3, name, officialName, ...aliases]) =>
+    ({ alpha2, alpha3, name, officialName, aliases }));
+
+// Comparison key for names: no accents, case, punctuation, "the" or St./Saint differences.
+// countries.json separates words with non-breaking spaces, which \s covers.
+function nameKey(name) {
+    return String(name || '')
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[’'`]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/\bst\b\.?/g, 'saint')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/^the /, '')
+        .trim();
+}
+
+const byCode = new Map();
+const byName = new Map();
+for (const country of COUNTRIES) {
+    byCode.set(country.alpha2, country);
+    byCode.set(country.alpha3, country);
+    for (const name of [country.name, country.officialName, ...country.aliases]) {
+        const key = nameKey(name);
+        if (!byName.has(key)) byName.set(key, country);
+    }
+}
+
+// Country record for an alpha-2/alpha-3 code or any known name, else null
+function findCountry(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    if (/^[A-Za-z]{2,3}$/.test(text) && byCode.has(text.toUpperCase())) {
+        return byCode.get(text.toUpperCase());
+    }
+    return byName.get(nameKey(text)) || null;
+}
+
+// ISO alpha-2 code for a country name or code, null when it is not recognized
+function toCountryCode(value) {
+    return findCountry(value)?.alpha2 || null;
+}
+
+// Record code if present, else resolved from its country name
+function countryCodeOf(record) {
+    return record?.countryCode || toCountryCode(record?.country);
+}
+
+// True when both records (or names/codes) resolve to the same country; false when either is unknown
+function sameCountry(a, b) {
+    const codeA = typeof a === 'object' ? countryCodeOf(a) : toCountryCode(a);
+    const codeB = typeof b === 'object' ? countryCodeOf(b) : toCountryCode(b);
+    return Boolean(codeA) && codeA === codeB;
+}
+
+export { COUNTRIES, findCountry, toCountryCode, countryCodeOf, sameCountry, nameKey };
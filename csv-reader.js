@@ -0,0 +1,150 @@
+import readline from 'readline';
+
+// RFC 4180 CSV reader fed one physical line at a time, so large files can be streamed.
+// Handles quoted fields with embedded commas, escaped quotes ("") and line breaks,
+// CRLF line endings and a null marker (OpenFlights writes \N for missing values). A quoted
+// null marker is text unless quotedNull is set, for sources that quote it as well.
+// Malformed records are skipped and reported with their line number and the reason.
+class CSVReader {
+    constructor({ nullValue = '\\N', quotedNull = false, minFields = 0, onError = null } = {}) {
+        this.nullValue = nullValue;
+        this.quotedNull = quotedNull;
+        this.minFields = minFields;
+        this.onError = onError;
+        this.errors = [];
+        this.pending = null; // Record whose quoted field continues on the next line
+    }
+
+    // Returns { line, fields } once a record is complete, null for blank lines, skipped
+    // lines and records continuing on the next line
+    parseLine(text, lineNumber) {
+        if (text.endsWith('\r')) {
+            text = text.slice(0, -1);
+        }
+
+        let state = this.pending;
+        if (state) {
+            state.current += '\n';
+        } else {
+            if (text.trim() === '') return null;
+            state = { line: lineNumber, fields: [], current: '', quoted: false, inQuotes: false, closed: false };
+        }
+        this.pending = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (state.inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    state.current += '"';
+                    i++;
+                } else if (char === '"') {
+                    state.inQuotes = false;
+                    state.closed = true;
+                } else {
+                    state.current += char;
+                }
+            } else if (char === ',') {
+                this.endField(state);
+            } else if (state.closed) {
+                return this.reject(state.line, `unexpected text after closing quote in field ${state.fields.length + 1}`, text);
+            } else if (char === '"' && state.current === '') {
+                state.inQuotes = true;
+                state.quoted = true;
+            } else {
+                state.current += char; // A lone quote inside an unquoted field is kept as-is
+            }
+        }
+
+        if (state.inQuotes) {
+            this.pending = state;
+            return null;
+        }
+
+        this.endField(state);
+        if (state.fields.length < this.minFields) {
+            return this.reject(state.line, `expected at least ${this.minFields} fields, got ${state.fields.length}`, text);
+        }
+        return { line: state.line, fields: state.fields };
+    }
+
+    endField(state) {
+        const isNull = state.current === this.nullValue && (!state.quoted || this.quotedNull);
+        state.fields.push(isNull ? null : state.current);
+        state.current = '';
+        state.quoted = false;
+        state.closed = false;
+    }
+
+    // Call after the last line: reports a quoted field that was never closed
+    finish() {
+        if (this.pending) {
+            this.reject(this.pending.line, 'unterminated quoted field at end of input', '');
+            this.pending = null;
+        }
+    }
+
+    reject(line, reason, text) {
+        const error = { line, reason, text: text.slice(0, 80) };
+        this.errors.push(error);
+        if (this.onError) this.onError(error);
+        return null;
+    }
+}
+
+// Physical lines of a string, without building one big array
+function* linesOf(text) {
+    let start = 0;
+    while (start < text.length) {
+        const end = text.indexOf('\n', start);
+        if (end === -1) {
+            yield text.slice(start);
+            return;
+        }
+        yield text.slice(start, end);
+        start = end + 1;
+    }
+}
+
+// Yield { line, fields } for every record of a CSV string or readable stream.
+// Pass a CSVReader (or its options) to collect the per-line errors afterwards.
+async function* readCSV(input, reader = new CSVReader()) {
+    if (!(reader instanceof CSVReader)) {
+        reader = new CSVReader(reader);
+    }
+
+    const lines = typeof input === 'string'
+        ? linesOf(input)
+        : readline.createInterface({ input, crlfDelay: Infinity });
+
+    let lineNumber = 0;
+    for await (const text of lines) {
+        lineNumber++;
+        const record = reader.parseLine(text, lineNumber);
+        if (record) yield record;
+    }
+    reader.finish();
+}
+
+// Parse one complete line, for callers that do not stream
+function parseCSVLine(line, options) {
+    const reader = new CSVReader(options);
+    const record = reader.parseLine(line, 1);
+    reader.finish();
+    return record ? record.fields : null;
+}
+
+// Log the first few problems of a CSVReader and a count of the rest
+function reportCSVErrors(reader, label, limit = 5) {
+    if (reader.errors.length === 0) return;
+
+    console.log(`⚠️  Skipped ${reader.errors.length} malformed lines in ${label}`);
+    for (const error of reader.errors.slice(0, limit)) {
+        console.log(`   line ${error.line}: ${error.reason}`);
+    }
+    if (reader.errors.length > limit) {
+        console.log(`   ... and ${reader.errors.length - limit} more`);
+    }
+}
+
+export { CSVReader, readCSV, parseCSVLine, reportCSVErrors };
@@ -1,7 +1,14 @@
 import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { OpenFlightsSource } from './openflights-source.js';
+import { CSVReader, readCSV, reportCSVErrors } from './csv-reader.js';
+import { toCountryCode } from './countries.js';
+import { responseCache } from './response-cache.js';
 
 class OpenFlightsProcessor {
-    constructor() {
+    constructor(source = new OpenFlightsSource()) {
+        this.source = source;
+        this.snapshot = null;
         this.cleanedAirports = [];
         this.stats = {
             total: 0,
@@ -10,108 +17,76 @@ class OpenFlightsProcessor {
             icaoOnly: 0,
             neitherCode: 0
         };
+        this.parseErrors = [];
     }
 
+    // Text or stream of airports.dat from the configured source (local copy, snapshot or download)
     async downloadOpenFlightsData() {
-        console.log('📥 Downloading OpenFlights airport database...');
+        console.log('📥 Loading OpenFlights airport database...');
 
         try {
-            const response = await fetch('https://raw.githubusercontent.com/jpatokal/openflights/master/data/airports.dat');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const csvData = await response.text();
-            console.log('✅ Downloaded OpenFlights database');
+            const { input, info } = await this.source.open('airports.dat');
+            this.snapshot = info;
+            console.log('✅ Loaded OpenFlights database');
 
-            return csvData;
+            return input;
         } catch (error) {
-            console.error('❌ Failed to download OpenFlights data:', error.message);
+            console.error('❌ Failed to load OpenFlights data:', error.message);
             return null;
         }
     }
 
-    parseCSVLine(line) {
-        const fields = [];
-        let current = '';
-        let inQuotes = false;
+    // csvData is the airports.dat text or a readable stream of it
+    async processOpenFlightsData(csvData) {
+        console.log('🔄 Processing OpenFlights data...');
 
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
+        // OpenFlights has no literal \N values: quoted or not, it marks a missing one
+        const reader = new CSVReader({ minFields: 13, quotedNull: true });
+
+        for await (const { fields } of readCSV(csvData, reader)) {
+            const airport = {
+                id: parseInt(fields[0]) || null,
+                name: fields[1] || null,
+                city: fields[2] || null,
+                country: fields[3] || null,
+                countryCode: toCountryCode(fields[3]),
+                iataCode: fields[4],
+                icaoCode: fields[5],
+                latitude: parseFloat(fields[6]) || null,
+                longitude: parseFloat(fields[7]) || null,
+                altitude: parseInt(fields[8]) || null,
+                timezone: parseFloat(fields[9]) || null,
+                dst: fields[10] || null,
+                timezoneDatabase: fields[11],
+                type: fields[12] || null,
+                source: fields[13] || null
+            };
+
+            // Clean up empty strings (\N is already null)
+            Object.keys(airport).forEach(key => {
+                if (airport[key] === '') {
+                    airport[key] = null;
+                }
+            });
 
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                fields.push(current);
-                current = '';
+            // Update statistics
+            this.stats.total++;
+
+            if (airport.iataCode && airport.icaoCode) {
+                this.stats.withBothCodes++;
+            } else if (airport.iataCode && !airport.icaoCode) {
+                this.stats.iataOnly++;
+            } else if (!airport.iataCode && airport.icaoCode) {
+                this.stats.icaoOnly++;
             } else {
-                current += char;
+                this.stats.neitherCode++;
             }
-        }
-
-        // Add the last field
-        fields.push(current);
 
-        return fields;
-    }
-
-    processOpenFlightsData(csvData) {
-        console.log('🔄 Processing OpenFlights data...');
-
-        const lines = csvData.split('\n');
-
-        for (const line of lines) {
-            if (!line.trim()) continue;
-
-            try {
-                const fields = this.parseCSVLine(line);
-
-                if (fields.length >= 13) {
-                    const airport = {
-                        id: parseInt(fields[0]) || null,
-                        name: fields[1] || null,
-                        city: fields[2] || null,
-                        country: fields[3] || null,
-                        iataCode: fields[4] === '\\N' ? null : fields[4],
-                        icaoCode: fields[5] === '\\N' ? null : fields[5],
-                        latitude: parseFloat(fields[6]) || null,
-                        longitude: parseFloat(fields[7]) || null,
-                        altitude: parseInt(fields[8]) || null,
-                        timezone: parseFloat(fields[9]) || null,
-                        dst: fields[10] || null,
-                        timezoneDatabase: fields[11] === '\\N' ? null : fields[11],
-                        type: fields[12] || null,
-                        source: fields[13] || null
-                    };
-
-                    // Clean up empty strings
-                    Object.keys(airport).forEach(key => {
-                        if (airport[key] === '' || airport[key] === '\\N') {
-                            airport[key] = null;
-                        }
-                    });
-
-                    // Update statistics
-                    this.stats.total++;
-
-                    if (airport.iataCode && airport.icaoCode) {
-                        this.stats.withBothCodes++;
-                    } else if (airport.iataCode && !airport.icaoCode) {
-                        this.stats.iataOnly++;
-                    } else if (!airport.iataCode && airport.icaoCode) {
-                        this.stats.icaoOnly++;
-                    } else {
-                        this.stats.neitherCode++;
-                    }
-
-                    this.cleanedAirports.push(airport);
-                }
-            } catch (error) {
-                console.error(`Error parsing line: ${line.substring(0, 50)}...`);
-                continue;
-            }
+            this.cleanedAirports.push(airport);
         }
 
+        this.parseErrors = reader.errors;
+        reportCSVErrors(reader, 'airports.dat');
         console.log(`✅ Processed ${this.stats.total} airports`);
         this.generateReport();
     }
@@ -192,7 +167,9 @@ class OpenFlightsProcessor {
             airportsWithBothCodes: datasets.withBothCodes.length,
             airportsOnly: datasets.airportsOnly.length,
             lookupTableSize: Object.keys(datasets.iataToIcao).length,
+            parseErrors: this.parseErrors,
             downloadedAt: new Date().toISOString(),
+            snapshot: this.snapshot,
             sampleAirports: datasets.withBothCodes.slice(0, 10)
         };
 
@@ -207,18 +184,19 @@ class OpenFlightsProcessor {
             // Download data
             const csvData = await this.downloadOpenFlightsData();
             if (!csvData) {
-                console.error('❌ Could not download data');
+                console.error('❌ Could not load OpenFlights data');
                 return null;
             }
 
             // Process data
-            this.processOpenFlightsData(csvData);
+            await this.processOpenFlightsData(csvData);
 
             // Save results
             this.saveResults();
 
             console.log('\n✅ Processing complete!');
             console.log('📁 Created multiple formats for different use cases');
+            console.log(`💾 ${responseCache.formatStats()}`);
 
             return this.cleanedAirports;
 
@@ -230,11 +208,14 @@ class OpenFlightsProcessor {
 }
 
 // Main execution
-async function main() {
-    const processor = new OpenFlightsProcessor();
+async function main(options = {}) {
+    responseCache.configure({ enabled: options.cache !== false });
+    const processor = new OpenFlightsProcessor(OpenFlightsSource.forStage('openflights', options));
     await processor.process();
 }
 
-main().catch(console.error);
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(console.error);
+}
 
-export { OpenFlightsProcessor }; 
\ No newline at end of file
+export { OpenFlightsProcessor, main };
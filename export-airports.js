@@ -0,0 +1,218 @@
+import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { countryCodeOf, toCountryCode } from './countries.js';
+
+// The final dataset: categorized, ICAO-enriched and corrected
+const DEFAULT_INPUT = 'airports-with-icao-corrected.json';
+const DEFAULT_OUTPUT = 'airports-export';
+
+// Exportable fields, in column order
+const EXPORT_FIELDS = [
+    'airportCode', 'icaoCode', 'airportName', 'city', 'country', 'countryCode',
+    'latitude', 'longitude', 'altitudeFeet',
+    'category', 'size', 'runwayLengthMeters', 'runwaySource',
+    'icaoSource', 'icaoConfidence', 'correctionStatus', 'matchType', 'matchScore'
+];
+
+const FORMATS = {
+    csv: { extension: 'csv', write: toCSV },
+    geojson: { extension: 'geojson', write: toGeoJSON },
+    kml: { extension: 'kml', write: toKML },
+    ndjson: { extension: 'ndjson', write: toNDJSON }
+};
+
+// Comma-separated option value → trimmed list (null when the option was not given)
+function listOption(value) {
+    if (value === undefined || value === true) return null;
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Flat export row. Coordinates come from a hand correction when there is one, else from the
+// reference record AirportCorrector matched (openFlightsData)
+function toRow(airport) {
+    const reference = airport.openFlightsData || {};
+    return {
+        airportCode: airport.airportCode ?? null,
+        icaoCode: airport.icaoCode ?? null,
+        airportName: airport.airportName ?? null,
+        city: airport.city ?? null,
+        country: airport.country ?? null,
+        countryCode: countryCodeOf(airport),
+        latitude: airport.latitude ?? reference.latitude ?? null,
+        longitude: airport.longitude ?? reference.longitude ?? null,
+        altitudeFeet: reference.altitude ?? null,
+        category: airport.category ?? null,
+        size: airport.size ?? null,
+        runwayLengthMeters: airport.runwayLengthMeters ?? null,
+        runwaySource: airport.runwaySource ?? null,
+        icaoSource: airport.icaoSource ?? null,
+        icaoConfidence: airport.icaoConfidence ?? null,
+        correctionStatus: airport.correctionStatus ?? null,
+        matchType: airport.matchType ?? null,
+        matchScore: airport.matchScore ?? null
+    };
+}
+
+// Code point order, so the output is identical whatever the machine's locale
+const compare = (a, b) => (a ?? '') < (b ?? '') ? -1 : (a ?? '') > (b ?? '') ? 1 : 0;
+
+function sortRows(rows) {
+    return [...rows].sort((a, b) =>
+        compare(a.countryCode, b.countryCode) ||
+        compare(a.airportCode, b.airportCode) ||
+        compare(a.icaoCode, b.icaoCode) ||
+        compare(a.airportName, b.airportName) ||
+        compare(a.city, b.city));
+}
+
+const hasLocation = row => typeof row.latitude === 'number' && typeof row.longitude === 'number';
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(rows, fields) {
+    const lines = [fields.join(',')];
+    for (const row of rows) {
+        lines.push(fields.map(field => csvValue(row[field])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function toNDJSON(rows, fields) {
+    return rows.map(row => JSON.stringify(pickFields(row, fields)) + '\n').join('');
+}
+
+// Airports without coordinates are kept with a null geometry, as GeoJSON allows
+function toGeoJSON(rows, fields) {
+    const collection = {
+        type: 'FeatureCollection',
+        features: rows.map(row => ({
+            type: 'Feature',
+            geometry: hasLocation(row) ? { type: 'Point', coordinates: [row.longitude, row.latitude] } : null,
+            properties: pickFields(row, fields)
+        }))
+    };
+    return JSON.stringify(collection, null, 2) + '\n';
+}
+
+function xmlEscape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// A Placemark needs a location, so airports without coordinates are left out
+function toKML(rows, fields) {
+    const placemarks = rows.filter(hasLocation).map(row => {
+        const data = fields
+            .filter(field => row[field] !== null && row[field] !== undefined)
+            .map(field => `        <Data name="${field}"><value>${xmlEscape(row[field])}</value></Data>`)
+            .join('\n');
+        const name = [row.airportCode, row.airportName].filter(Boolean).join(' - ');
+        const description = [row.city, row.country].filter(Boolean).join(', ');
+        return [
+            '    <Placemark>',
+            `      <name>${xmlEscape(name)}</name>`,
+            `      <description>${xmlEscape(description)}</description>`,
+            '      <ExtendedData>',
+            data,
+            '      </ExtendedData>',
+            `      <Point><coordinates>${row.longitude},${row.latitude}</coordinates></Point>`,
+            '    </Placemark>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '  <Document>',
+        '    <name>Airports</name>',
+        ...placemarks,
+        '  </Document>',
+        '</kml>',
+        ''
+    ].join('\n');
+}
+
+function pickFields(row, fields) {
+    return Object.fromEntries(fields.map(field => [field, row[field]]));
+}
+
+// Rows matching every given filter; country accepts names or ISO codes
+function filterRows(rows, { countries, categories, icaoSources }) {
+    const countryCodes = countries?.map(country => {
+        const code = toCountryCode(country);
+        if (!code) throw new Error(`Unknown country "${country}"`);
+        return code;
+    });
+
+    return rows.filter(row =>
+        (!countryCodes || countryCodes.includes(row.countryCode)) &&
+        (!categories || categories.includes(row.category)) &&
+        (!icaoSources || icaoSources.includes(row.icaoSource)));
+}
+
+// Writes <out>.<extension> for every format; returns { format: file }
+function exportAirports(airports, options = {}) {
+    const formats = listOption(options.format) || Object.keys(FORMATS);
+    const fields = listOption(options.fields) || EXPORT_FIELDS;
+    for (const format of formats) {
+        if (!FORMATS[format]) {
+            throw new Error(`Unknown format "${format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+        }
+    }
+    for (const field of fields) {
+        if (!EXPORT_FIELDS.includes(field)) {
+            throw new Error(`Unknown field "${field}" (expected ${EXPORT_FIELDS.join(', ')})`);
+        }
+    }
+
+    const rows = sortRows(filterRows(airports.map(toRow), {
+        countries: listOption(options.country),
+        categories: listOption(options.category),
+        icaoSources: listOption(options.icaoSource)
+    }));
+    const located = rows.filter(hasLocation).length;
+    console.log(`📦 Exporting ${rows.length} of ${airports.length} airports (${located} with coordinates)`);
+
+    const out = options.out || DEFAULT_OUTPUT;
+    const written = {};
+    for (const format of formats) {
+        const file = `${out}.${FORMATS[format].extension}`;
+        fs.writeFileSync(file, FORMATS[format].write(rows, fields));
+        written[format] = file;
+        console.log(`💾 ${format.padEnd(7)} → ${file}`);
+    }
+    if (located < rows.length && (formats.includes('kml') || formats.includes('geojson'))) {
+        console.log(`⚠️  ${rows.length - located} airports have no coordinates (no reference location): left out of KML, null geometry in GeoJSON`);
+    }
+    return written;
+}
+
+async function main(options = {}) {
+    const input = options.input || DEFAULT_INPUT;
+    if (!fs.existsSync(input)) {
+        console.error(`❌ ${input} not found`);
+        console.log('Please run the pipeline up to the correct stage first (harvest run)');
+        process.exitCode = 1;
+        return null;
+    }
+
+    const airports = JSON.parse(fs.readFileSync(input, 'utf8'));
+    return exportAirports(airports, options);
+}
+
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+export { exportAirports, toRow, sortRows, filterRows, listOption, EXPORT_FIELDS, main };
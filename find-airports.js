@@ -1,42 +1,45 @@
 import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { Journal } from './checkpoint.js';
+import { toCountryCode } from './countries.js';
+import { CorrectionsRegistry } from './corrections.js';
+import { track } from './provenance.js';
+import { createLLMClient } from './llm-client.js';
+import { SchemaValidationError } from './json-schema.js';
+import { responseCache } from './response-cache.js';
+import { mapOrdered, stageConcurrency } from './work-pool.js';
+
+const AIRPORT_SCHEMA = {
+    type: 'object',
+    properties: {
+        hasAirport: { type: 'boolean' },
+        airportCode: { type: 'string', pattern: '^[A-Za-z]{3}$' },
+        airportName: { type: 'string', minLength: 1 },
+        city: { type: 'string' },
+        country: { type: 'string' }
+    },
+    required: ['hasAirport'],
+    // Airport details are only required when there is an airport
+    if: { properties: { hasAirport: { enum: [true] } } },
+    then: { required: ['airportCode', 'airportName', 'city', 'country'] }
+};
 
 class AirportFinder {
-    constructor(ollamaUrl = 'http://localhost:11434', model = 'mistral:latest') {
-        this.ollamaUrl = ollamaUrl;
-        this.model = model;
+    constructor(llm = createLLMClient('airports')) {
+        this.llm = llm;
+        this.model = llm.model;
         this.airports = [];
+        this.failedCities = [];
+        this.rejectedCities = [];
+        this.corrections = CorrectionsRegistry.load();
         this.processedCities = 0;
-        this.delayMs = 1000; // 1 second delay between requests
+        this.concurrency = stageConcurrency('airports');
     }
 
+    // Throws when the LLM backend keeps failing or the reply does not match AIRPORT_SCHEMA,
+    // so neither is ever mistaken for "no airport"
     async queryLLM(prompt) {
-        try {
-            const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    prompt: prompt,
-                    stream: false,
-                    options: {
-                        temperature: 0.1, // Low temperature for consistent, factual responses
-                        top_p: 0.9
-                    }
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return data.response;
-        } catch (error) {
-            console.error(`Error querying LLM: ${error.message}`);
-            return null;
-        }
+        return this.llm.generateJSON(prompt, AIRPORT_SCHEMA);
     }
 
     createAirportPrompt(city, country) {
@@ -58,59 +61,53 @@ If no commercial airport exists, respond with:
 Only respond with valid JSON. Be factual and accurate. If uncertain, respond with hasAirport: false.`;
     }
 
-    parseAirportResponse(response) {
-        if (!response) return null;
-
-        try {
-            // Clean up the response to extract JSON
-            let cleanResponse = response.trim();
-
-            // Find JSON block
-            const jsonStart = cleanResponse.indexOf('{');
-            const jsonEnd = cleanResponse.lastIndexOf('}') + 1;
-
-            if (jsonStart === -1 || jsonEnd === 0) {
-                return null;
-            }
-
-            const jsonStr = cleanResponse.substring(jsonStart, jsonEnd);
-            const parsed = JSON.parse(jsonStr);
-
-            if (parsed.hasAirport === true && parsed.airportCode && parsed.airportName) {
-                return {
-                    country: parsed.country,
-                    city: parsed.city,
-                    airportCode: parsed.airportCode.toUpperCase(),
-                    airportName: parsed.airportName
-                };
-            }
-
-            return null;
-        } catch (error) {
-            console.error(`Error parsing LLM response: ${error.message}`);
-            console.error(`Response was: ${response.substring(0, 200)}...`);
-            return null;
-        }
+    // Validated reply → airport record, or null when the city has no airport
+    parseAirportResponse(reply, countryCode = null) {
+        if (!reply.hasAirport) return null;
+
+        return {
+            country: reply.country,
+            countryCode, // From the cities list; the reply's country name is free text
+            city: reply.city,
+            airportCode: reply.airportCode.toUpperCase(),
+            airportName: reply.airportName
+        };
     }
 
-    async delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // History an airport record inherits from its cities entry: the city's history is the
+    // first stage whose list already had the city in this spelling
+    inheritProvenance(entry, city) {
+        const { country, countryCode, cities = [] } = entry.provenance || {};
+        const origin = cities.find(item => Array.isArray(item.value) && item.value.includes(city));
+        return {
+            ...(country && { country }),
+            ...(countryCode && { countryCode }),
+            ...(origin && { city: [{ ...origin, value: city }] })
+        };
     }
 
-    async findAirportsInCity(city, country) {
+    async findAirportsInCity(city, country, countryCode = toCountryCode(country), provenance = {}) {
         const prompt = this.createAirportPrompt(city, country);
         console.log(`Checking: ${city}, ${country}`);
 
-        const response = await this.queryLLM(prompt);
-        if (!response) {
-            console.log(`  ❌ No response for ${city}`);
-            return null;
+        let response;
+        try {
+            response = await this.queryLLM(prompt);
+        } catch (error) {
+            if (error instanceof SchemaValidationError) {
+                console.log(`  🚫 Rejected reply for ${city}: ${error.message}`);
+                return { status: 'rejected', city, country, errors: error.errors };
+            }
+            console.log(`  ❌ LLM error for ${city}: ${error.message}`);
+            return { status: 'error', city, country, error: error.message };
         }
 
-        const airport = this.parseAirportResponse(response);
+        let airport = this.parseAirportResponse(response, countryCode);
         if (airport) {
+            airport = track({ ...airport, provenance }, ['airportCode', 'airportName', 'city', 'country'],
+                { source: 'llm', stage: 'airports', evidence: { model: this.llm.model } });
+            airport = track(airport, ['countryCode'], { source: 'countries', stage: 'airports' });
             console.log(`  ✅ Found airport: ${airport.airportCode} - ${airport.airportName}`);
-            this.airports.push(airport);
             return airport;
         } else {
             console.log(`  ⚪ No airport in ${city}`);
@@ -118,33 +115,61 @@ Only respond with valid JSON. Be factual and accurate. If uncertain, respond wit
         }
     }
 
-    async processCitiesData() {
+    async processCitiesData(options = {}) {
         try {
+            const journal = new Journal('airports', options);
+
             console.log('Reading cleaned cities data...');
             const data = JSON.parse(fs.readFileSync('beautiful-cities-cleaned.json', 'utf8'));
 
-            console.log(`Found ${data.length} countries to process`);
-            console.log(`Using model: ${this.model}`);
-            console.log(`Ollama URL: ${this.ollamaUrl}`);
-            console.log('Starting airport search...\n');
-
-            for (const countryData of data) {
-                const { country, cities } = countryData;
+            const cities = data.flatMap(entry => entry.cities.map(city => ({
+                country: entry.country,
+                countryCode: entry.countryCode || toCountryCode(entry.country),
+                city,
+                provenance: this.inheritProvenance(entry, city)
+            })));
 
-                console.log(`\n--- Processing ${country} (${cities.length} cities) ---`);
+            console.log(`Found ${data.length} countries (${cities.length} cities) to process`);
+            console.log(`Using model: ${this.llm.describe()}`);
+            console.log(`Concurrency: ${this.concurrency}`);
+            console.log('Starting airport search...\n');
+            journal.logResume('cities');
 
-                for (const city of cities) {
-                    await this.findAirportsInCity(city, country);
+            // Rate limiting happens per backend inside the LLM client
+            const results = await mapOrdered(cities, async ({ country, countryCode, city, provenance }) => {
+                const key = `${country}|${city}`;
+                if (journal.has(key)) {
                     this.processedCities++;
+                    return journal.get(key);
+                }
 
-                    // Add delay to avoid overwhelming the LLM
-                    await this.delay(this.delayMs);
+                const airport = await this.findAirportsInCity(city, country, countryCode, provenance);
+                // Failed and rejected lookups stay out of the journal so the next run retries them
+                if (!airport?.status) {
+                    journal.record(key, airport);
                 }
-            }
+                this.processedCities++;
+                return airport;
+            }, { concurrency: this.concurrency });
+
+            this.failedCities = results.filter(result => result?.status === 'error');
+            this.rejectedCities = results.filter(result => result?.status === 'rejected');
+            // Hand corrections go on after the journal so edits to corrections.json apply on resume
+            this.airports = results.filter(result => result && !result.status)
+                .map(airport => this.corrections.apply(airport, 'airports'));
+            const corrected = this.airports.filter(airport => airport.correctionIds).length;
 
             console.log('\n=== PROCESSING COMPLETE ===');
             console.log(`Total cities processed: ${this.processedCities}`);
             console.log(`Total airports found: ${this.airports.length}`);
+            console.log(`Failed lookups: ${this.failedCities.length}`);
+            console.log(`Rejected replies: ${this.rejectedCities.length}`);
+            console.log(`Hand-corrected airports: ${corrected}`);
+            console.log(responseCache.formatStats());
+            const rejections = this.llm.formatRejections();
+            if (rejections) {
+                console.log(`🚫 ${rejections}`);
+            }
 
             // Save results
             fs.writeFileSync('airports-found.json', JSON.stringify(this.airports, null, 2));
@@ -154,6 +179,8 @@ Only respond with valid JSON. Be factual and accurate. If uncertain, respond wit
             const summary = {
                 totalCitiesProcessed: this.processedCities,
                 totalAirportsFound: this.airports.length,
+                failedCities: this.failedCities,
+                rejectedCities: this.rejectedCities,
                 airportsByCountry: this.getAirportsByCountry(),
                 processedAt: new Date().toISOString()
             };
@@ -161,6 +188,13 @@ Only respond with valid JSON. Be factual and accurate. If uncertain, respond wit
             fs.writeFileSync('airports-summary.json', JSON.stringify(summary, null, 2));
             console.log('Summary saved to airports-summary.json');
 
+            const retryable = this.failedCities.length + this.rejectedCities.length;
+            if (retryable > 0) {
+                console.log(`⚠️  ${retryable} cities failed or were rejected; run again to retry only those`);
+            } else {
+                journal.complete();
+            }
+
             return this.airports;
 
         } catch (error) {
@@ -185,25 +219,13 @@ Only respond with valid JSON. Be factual and accurate. If uncertain, respond wit
     }
 
     async testConnection() {
-        console.log('Testing Ollama connection...');
-        try {
-            const response = await fetch(`${this.ollamaUrl}/api/tags`);
-            if (response.ok) {
-                const data = await response.json();
-                console.log('✅ Ollama is running');
-                console.log('Available models:', data.models.map(m => m.name));
-                return true;
-            }
-        } catch (error) {
-            console.error('❌ Cannot connect to Ollama:', error.message);
-            console.error('Make sure Ollama is running with: ollama serve');
-            return false;
-        }
+        return this.llm.testConnection();
     }
 }
 
 // Main execution
-async function main() {
+async function main(options = {}) {
+    responseCache.configure({ enabled: options.cache !== false });
     const finder = new AirportFinder();
 
     // Test connection first
@@ -211,8 +233,9 @@ async function main() {
     if (!connected) {
         console.log('\nTo set up Ollama:');
         console.log('1. Install: https://ollama.ai/');
-        console.log('2. Run: ollama pull mistral:latest');
+        console.log(`2. Run: ollama pull ${finder.model}`);
         console.log('3. Start: ollama serve');
+        console.log('Or point llm.provider/llm.baseUrl in harvest.config.json at another backend');
         return;
     }
 
@@ -224,9 +247,11 @@ async function main() {
     }
 
     console.log('\nStarting airport discovery process...');
-    await finder.processCitiesData();
+    await finder.processCitiesData(options);
 }
 
-main().catch(console.error);
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(console.error);
+}
 
-export { AirportFinder }; 
\ No newline at end of file
+export { AirportFinder, AIRPORT_SCHEMA, main };
@@ -0,0 +1,159 @@
+import { foldText, tokens } from './names.js';
+
+// Jaro-Winkler similarity of two strings, 0..1; favours strings sharing a prefix, which
+// suits names where typos rarely hit the first letters
+function jaroWinkler(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const matchedA = new Array(a.length).fill(false);
+    const matchedB = new Array(b.length).fill(false);
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+        for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+            if (!matchedB[j] && a[i] === b[j]) {
+                matchedA[i] = matchedB[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+        if (!matchedA[i]) continue;
+        while (!matchedB[j]) j++;
+        if (a[i] !== b[j++]) transpositions++;
+    }
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// How well a typed query matches a name, 0..1: every query word is scored against its best
+// word of the name (a word the query word starts, as when typing, counts almost as equal)
+// and the scores are averaged. Both sides are folded first.
+function querySimilarity(query, text) {
+    const queryTokens = tokens(query);
+    const textTokens = tokens(text);
+    if (queryTokens.length === 0 || textTokens.length === 0) return 0;
+    if (foldText(query) === foldText(text)) return 1;
+
+    const scores = queryTokens.map(word => Math.max(...textTokens.map(candidate => {
+        if (candidate === word) return 1;
+        if (word.length >= 3 && candidate.startsWith(word)) return 0.95;
+        return jaroWinkler(word, candidate);
+    })));
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+// Word pairs below this Jaro-Winkler similarity count as different words
+const WORD_MATCH = 0.9;
+// Share of the score coming from the searched name's words being found
+const QUERY_WEIGHT = 0.7;
+// Entries sharing the most trigrams with a query are scored in full; the rest are skipped
+const CANDIDATES = 50;
+
+const wordsOf = text => text.split(' ').filter(Boolean);
+
+// Padded character trigrams, so word starts and ends count too
+function trigrams(text) {
+    const padded = `  ${text} `;
+    const grams = new Set();
+    for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+    return grams;
+}
+
+// Names indexed by trigram and scored by soft TF-IDF: every word weighs by its rarity among
+// the indexed names and matches its most similar word on the other side (Jaro-Winkler, so
+// spelling variants still count). Words shared by many names, like "saint" or "regional",
+// weigh little, so two "Saint ..." airports no longer look alike. Entries can be split into
+// blocks (e.g. by country) that a search is confined to.
+class NameIndex {
+    constructor(items, { nameOf = item => item.name, blockOf = () => null, normalize = foldText } = {}) {
+        this.normalize = normalize;
+        this.entries = [];
+        this.postings = new Map(); // block → trigram → entry ids
+        this.documentFrequency = new Map();
+
+        for (const item of items) {
+            const name = normalize(nameOf(item) || '');
+            if (!name) continue;
+            const entry = { id: this.entries.length, item, words: wordsOf(name), block: blockOf(item) ?? null };
+            this.entries.push(entry);
+
+            for (const word of new Set(entry.words)) {
+                this.documentFrequency.set(word, (this.documentFrequency.get(word) || 0) + 1);
+            }
+            for (const block of new Set([null, entry.block])) {
+                if (!this.postings.has(block)) this.postings.set(block, new Map());
+                const grams = this.postings.get(block);
+                for (const gram of trigrams(name)) {
+                    if (!grams.has(gram)) grams.set(gram, []);
+                    grams.get(gram).push(entry.id);
+                }
+            }
+        }
+    }
+
+    // Inverse document frequency; words no indexed name has weigh most
+    weight(word) {
+        return Math.log((this.entries.length + 1) / ((this.documentFrequency.get(word) || 0) + 1)) + 1;
+    }
+
+    // Share of a's word weight found among b's words
+    coverage(a, b) {
+        let total = 0;
+        let found = 0;
+        for (const word of a) {
+            const weight = this.weight(word);
+            const best = Math.max(...b.map(other => other === word ? 1 : jaroWinkler(word, other)));
+            total += weight;
+            if (best >= WORD_MATCH) found += weight * best;
+        }
+        return total === 0 ? 0 : found / total;
+    }
+
+    // 0..1 for the words `a` searched for among the words `b`. Words of `a` missing from `b`
+    // count most: names we hold are often short forms of the indexed ones ("Lyon Airport")
+    wordSimilarity(a, b) {
+        if (a.length === 0 || b.length === 0) return 0;
+        return QUERY_WEIGHT * this.coverage(a, b) + (1 - QUERY_WEIGHT) * this.coverage(b, a);
+    }
+
+    // Similarity of a raw name searched for to another, normalized as the index normalizes them
+    similarity(nameA, nameB) {
+        const a = this.normalize(nameA || '');
+        const b = this.normalize(nameB || '');
+        return this.wordSimilarity(wordsOf(a), wordsOf(b));
+    }
+
+    // Best-scoring entries first: [{ item, score }]. `block` confines the search to one block
+    search(name, { block = null, limit = 10, minScore = 0 } = {}) {
+        const normalized = this.normalize(name || '');
+        const grams = this.postings.get(block);
+        if (!normalized || !grams) return [];
+
+        const shared = new Map();
+        for (const gram of trigrams(normalized)) {
+            for (const id of grams.get(gram) || []) {
+                shared.set(id, (shared.get(id) || 0) + 1);
+            }
+        }
+
+        const words = wordsOf(normalized);
+        return [...shared.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, CANDIDATES)
+            .map(([id]) => ({ item: this.entries[id].item, score: this.wordSimilarity(words, this.entries[id].words) }))
+            .filter(candidate => candidate.score >= minScore && candidate.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+export { jaroWinkler, querySimilarity, NameIndex };
@@ -1,49 +1,90 @@
 // get-beautiful-cities.js
 
 import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { createLLMClient } from './llm-client.js';
+import { Journal } from './checkpoint.js';
+import { track } from './provenance.js';
+import { toCountryCode } from './countries.js';
+import { responseCache } from './response-cache.js';
+import { mapOrdered, stageConcurrency } from './work-pool.js';
 
 // 1. Load your countries list
-let countries;
-try {
-    countries = JSON.parse(fs.readFileSync('countries.json', 'utf8'));
-} catch (err) {
-    console.error('❌ countries.json parse error:', err.message);
-    process.exit(1);
-}
-
-async function getCities(country) {
-    const prompt = `List up to 10 beautiful or famous cities in ${country}. Return the result as a comma-separated list. Be very concise. Reply with the cities names, nothing else. if you have a problem finding the country or cities, just replay with the world null.`;
+function loadCountries() {
     try {
-        const res = await fetch('http://localhost:11434/api/generate', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                model: 'llama2',
-                prompt,
-                stream: false
-            })
-        });
-        const data = await res.json();
-        if (!data.response) throw new Error('no response');
-        return data.response
-            .split(',')
-            .map(c => c.trim())
-            .filter(Boolean);
+        return JSON.parse(fs.readFileSync('countries.json', 'utf8'));
     } catch (err) {
-        console.error(`⚠️  ${country}:`, err.message);
-        return [];
+        console.error('❌ countries.json parse error:', err.message);
+        return null;
     }
 }
 
-(async () => {
-    const out = [];
-    for (let i = 0; i < countries.length; i++) {
-        const country = countries[i];
-        console.log(`(${i + 1}/${countries.length}) Fetching for ${country}`);
-        const cities = await getCities(country);
-        out.push({ country, cities });
-        await new Promise(r => setTimeout(r, 1500));
+// Throws when the LLM backend keeps failing
+async function getCities(country, llm = createLLMClient('cities')) {
+    const prompt = `List up to 10 beautiful or famous cities in ${country}. Return the result as a comma-separated list. Be very concise. Reply with the cities names, nothing else. if you have a problem finding the country or cities, just replay with the world null.`;
+    const response = await llm.generate(prompt);
+    return response
+        .split(',')
+        .map(c => c.trim())
+        .filter(Boolean);
+}
+
+// Provenance for a country entry: the name from countries.json, its ISO code and the LLM's cities
+function trackEntry(entry, llm) {
+    let tracked = track(entry, ['country'], { source: 'input', stage: 'cities', evidence: { file: 'countries.json' } });
+    tracked = track(tracked, ['countryCode'], { source: 'countries', stage: 'cities' });
+    return track(tracked, ['cities'], { source: 'llm', stage: 'cities', evidence: { model: llm.model } });
+}
+
+async function main(options = {}) {
+    responseCache.configure({ enabled: options.cache !== false });
+    const countries = loadCountries();
+    if (!countries) {
+        process.exitCode = 1;
+        return null;
     }
+
+    const llm = createLLMClient('cities');
+    console.log(`Using model: ${llm.describe()}`);
+
+    const journal = new Journal('cities', options);
+    journal.logResume('countries');
+
+    const out = await mapOrdered(countries, async (country, i) => {
+        const countryCode = toCountryCode(country);
+        if (!countryCode) {
+            console.log(`⚠️  ${country} is not in the country table (countries.js); it will have no countryCode`);
+        }
+        if (journal.has(country)) {
+            return trackEntry({ country, countryCode, cities: journal.get(country) }, llm);
+        }
+
+        console.log(`(${i + 1}/${countries.length}) Fetching for ${country}`);
+        try {
+            const cities = await getCities(country, llm);
+            journal.record(country, cities);
+            return trackEntry({ country, countryCode, cities }, llm);
+        } catch (err) {
+            // Not journaled, so the next run retries this country
+            console.error(`⚠️  ${country}:`, err.message);
+            return { country, countryCode, cities: [], status: 'error', error: err.message };
+        }
+    }, { concurrency: stageConcurrency('cities') });
     fs.writeFileSync('beautiful-cities.json', JSON.stringify(out, null, 2));
     console.log('✅ Done → beautiful-cities.json');
-})();
+    console.log(`💾 ${responseCache.formatStats()}`);
+
+    const failed = out.filter(entry => entry.status === 'error');
+    if (failed.length > 0) {
+        console.log(`⚠️  ${failed.length} countries failed with errors; run again to retry only those`);
+    } else {
+        journal.complete();
+    }
+    return out;
+}
+
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(console.error);
+}
+
+export { getCities, loadCountries, main };
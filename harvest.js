@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+import { parseArgs } from './cli.js';
+import { Pipeline } from './pipeline.js';
+import { responseCache, DAY_MS } from './response-cache.js';
+import { OpenFlightsSource } from './openflights-source.js';
+import { showHistory } from './provenance.js';
+import { main as manageCorrections } from './corrections.js';
+import { main as reviewFlagged } from './review.js';
+import { main as serveReview } from './review-server.js';
+import { main as exportAirports } from './export-airports.js';
+import { main as buildDatabase } from './build-database.js';
+import { main as serveApi } from './api-server.js';
+import { main as searchAirports } from './search-airports.js';
+
+function printUsage() {
+    console.log(`Usage: harvest <command> [options]
+
+Commands:
+  run                 Run every stage whose outputs are missing or older than its inputs
+    --from <stage>    Start at this stage (always re-run) and continue downstream
+    --until <stage>   Stop after this stage
+    --force           Re-run selected stages even when they are up to date
+    --icao <strategy> ICAO enricher to use: basic (default), enhanced, wikipedia or
+                      consensus (asks every source and reports conflicts)
+    --sources <list>  Evidence sources for --icao consensus, comma-separated: manual_correction,
+                      known_mapping, openflights, ourairports, wikipedia, llm (default: all)
+    --restart         Discard saved progress of interrupted stages instead of resuming
+    --no-cache        Bypass the LLM/HTTP response cache
+    --snapshot <id>   Read OpenFlights from a stored snapshot (e.g. 2026-10-19, or latest)
+    --openflights-path <path>
+                      Read OpenFlights from a local file, directory or .gz instead
+    --reference <list>
+                      Reference datasets for ICAO lookups and corrections, in priority
+                      order: openflights (default), ourairports or both, comma-separated
+    --ourairports-path <dir>
+                      Directory with OurAirports airports.csv, countries.csv and regions.csv
+                      (and runways.csv, used to categorize airports by real runway data)
+    --runways-path <file>
+                      OurAirports runways.csv somewhere else than the directory above
+  list                Show every stage, its dependencies and whether it is up to date
+  cache stats         Show the size of the response cache
+  cache prune         Remove expired cache entries
+    --older-than <d>  Also remove entries created more than <d> days ago
+    --all             Remove every entry
+  snapshots           List stored OpenFlights snapshots and their checksums
+  search <query>      Fuzzy search of airports and beautiful cities by name, city, IATA/ICAO code
+                      or country; ignores accents and script (Chisinau finds Chișinău, Kyiv Київ)
+                      and tolerates typos
+    --limit <n>       Number of results (default: 20)
+    --min-score <s>   Lowest similarity to show, 0 to 1 (default: 0.8)
+    --input <file>    Airports to search instead of the latest pipeline output
+  history <airport>   Show where every field of an airport came from, stage by stage
+                      (IATA code, ICAO code or part of the name)
+  corrections list    Show the hand corrections in corrections.json
+  corrections add <IATA>
+                      Add a correction; every stage applies it to airports with that IATA code
+    --in <country>    Only for airports in this country (name or ISO code)
+    --icao, --iata, --name, --city, --country, --lat, --lon <value>
+                      Values to set (at least one)
+    --reason <text>   Why the correction is needed (required)
+    --author <name>   Who vouches for it (default: $USER)
+  corrections remove <id>
+                      Remove a correction
+  corrections verify  Flag corrections that contradict OpenFlights (--snapshot and
+                      --openflights-path pick the data as for run)
+  review [suspicious] [corrections]
+                      Walk through flagged airports (suspicious-icao-codes.json and
+                      corrections-made.json; both by default) and accept, reject, edit or
+                      skip each one. Decisions are kept in review-decisions.json; accepted
+                      and edited values are added to corrections.json
+    --reviewer <name> Recorded as the author of new corrections (default: $USER)
+    --web             Review the corrector's changes in the browser instead: side-by-side
+                      diffs with filters and batch approve/revert. Reverted changes are
+                      undone by the correct stage on its next run
+    --port <n>        Port of the local review server (default: 8765)
+  export              Write the final dataset (airports-with-icao-corrected.json) for downstream use,
+                      sorted by country and IATA code
+    --format <list>   csv, geojson, kml and/or ndjson, comma-separated (default: all)
+    --fields <list>   Fields to include, comma-separated (default: all; see export-airports.js)
+    --country <list>  Only these countries (names or ISO codes)
+    --category <list> Only these categories: small, medium, large
+    --icao-source <list>
+                      Only airports whose ICAO code came from these sources (e.g. openflights)
+    --out <base>      Output path without extension (default: airports-export)
+    --input <file>    Dataset to export instead of airports-with-icao-corrected.json
+  database            Build the SQLite database (the database stage of run): countries, cities,
+                      airports, runways, ICAO sources and corrections, with full-text search on
+                      airport and city names. An existing database is migrated to the current schema
+    --db <file>       Database file (default: airports.db)
+    --input <file>    Airports to load instead of the latest pipeline output
+  serve               Serve the final dataset as a read-only JSON API (see GET / for the endpoints):
+                      lookup by IATA/ICAO code, by country, filters, bounding box and nearest
+                      airports, with pagination and ETags. Reloads when the dataset file changes
+    --port <n>        Port (default: 8766)
+    --host <addr>     Address to listen on (default: 127.0.0.1)
+    --input <file>    Dataset to serve instead of airports-with-icao-corrected.json
+`);
+}
+
+function listStages(pipeline) {
+    const icons = { fresh: '✅', stale: '🔄', missing: '⚪', blocked: '⛔' };
+
+    console.log('📋 Pipeline stages (in execution order):\n');
+    for (const stage of pipeline.order) {
+        const status = pipeline.getStatus(stage);
+        const deps = pipeline.dependenciesOf(stage).map(s => s.name);
+
+        console.log(`${icons[status.state]} ${stage.name.padEnd(12)} ${stage.description}`);
+        console.log(`   depends on: ${deps.length > 0 ? deps.join(', ') : '(none)'}`);
+        console.log(`   ${status.state}: ${status.reason}`);
+    }
+}
+
+function listSnapshots() {
+    const source = OpenFlightsSource.forStage(null);
+    const snapshots = source.listSnapshots();
+    if (snapshots.length === 0) {
+        console.log(`📸 No OpenFlights snapshots in ${source.snapshotDir} yet`);
+        return;
+    }
+
+    console.log(`📸 OpenFlights snapshots in ${source.snapshotDir}:\n`);
+    for (const snapshot of snapshots) {
+        console.log(snapshot.id);
+        for (const [file, checksum] of Object.entries(snapshot.files)) {
+            console.log(`   ${file.padEnd(22)} sha256 ${checksum}`);
+        }
+    }
+}
+
+function manageCache(args) {
+    const [, action] = args._;
+
+    switch (action) {
+        case 'stats': {
+            const { entries, bytes } = responseCache.summary();
+            console.log(`💾 ${entries} cached responses (${(bytes / 1024 / 1024).toFixed(1)} MB) in ${responseCache.dir}`);
+            break;
+        }
+        case 'prune': {
+            const olderThanMs = args.olderThan !== undefined ? Number(args.olderThan) * DAY_MS : null;
+            if (olderThanMs !== null && Number.isNaN(olderThanMs)) {
+                throw new Error('--older-than expects a number of days');
+            }
+
+            const result = responseCache.prune({ all: args.all === true, olderThanMs });
+            console.log(`🧹 Removed ${result.removed} entries (${(result.bytesFreed / 1024).toFixed(1)} KB), kept ${result.kept}`);
+            break;
+        }
+        default:
+            throw new Error(`Unknown cache command "${action || ''}" (expected stats or prune)`);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [command] = args._;
+    const pipeline = new Pipeline();
+
+    switch (command) {
+        case 'run':
+            await pipeline.run(args);
+            console.log('\n✅ Pipeline complete!');
+            console.log(`💾 ${responseCache.formatStats()}`);
+            break;
+        case 'list':
+            listStages(pipeline);
+            break;
+        case 'cache':
+            manageCache(args);
+            break;
+        case 'snapshots':
+            listSnapshots();
+            break;
+        case 'history':
+            showHistory(args._[1]);
+            break;
+        case 'corrections':
+            await manageCorrections({ ...args, _: args._.slice(1) });
+            break;
+        case 'export':
+            await exportAirports(args);
+            break;
+        case 'database':
+            await buildDatabase(args);
+            break;
+        case 'serve':
+            await serveApi(args);
+            break;
+        case 'search':
+            await searchAirports({ ...args, _: args._.slice(1) });
+            break;
+        case 'review':
+            if (args.web) {
+                await serveReview(args);
+            } else {
+                await reviewFlagged({ ...args, _: args._.slice(1) });
+            }
+            break;
+        default:
+            printUsage();
+            if (command && command !== 'help') {
+                process.exitCode = 1;
+            }
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
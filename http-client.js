@@ -0,0 +1,22 @@
+import { responseCache } from './response-cache.js';
+import { getBackend } from './work-pool.js';
+import { HTTPError } from './retry.js';
+
+// GET a URL as text through the response cache. `kind` selects the TTL and the
+// rate-limited backend (cache.ttlDays and scheduler.backends in harvest.config.json).
+// Cache hits never wait for the rate limiter; misses are retried on transient failures.
+async function fetchText(url, { kind = 'http' } = {}) {
+    return responseCache.wrap({ type: 'http', url }, () => getBackend(kind).schedule(async signal => {
+        const response = await fetch(url, { signal });
+        if (!response.ok) {
+            throw new HTTPError(response.status, url);
+        }
+        return response.text();
+    }), { ttlMs: responseCache.ttlFor(kind) });
+}
+
+async function fetchJSON(url, options) {
+    return JSON.parse(await fetchText(url, options));
+}
+
+export { fetchText, fetchJSON };
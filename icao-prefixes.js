@@ -0,0 +1,100 @@
+// ICAO location-indicator prefixes (ICAO Doc 7910) keyed by ISO 3166 alpha-2 country code.
+// Most states have one- or two-letter prefixes; a few three-letter entries split prefixes
+// that several states share (UA Kazakhstan vs UAF Kyrgyzstan, WB Malaysia vs WBS Brunei).
+// Lookups use the longest matching prefix, so 'UAFM' resolves to KG, not KZ. Dependencies
+// without a prefix of their own (Jersey, Svalbard, Christmas Island, ...) share their parent's.
+const ICAO_PREFIXES = {
+    // North America
+    US: ['K', 'PA', 'PF', 'PH', 'PO', 'PP'],
+    CA: ['C'],
+    MX: ['MM'],
+    UM: ['PB', 'PJ', 'PM', 'PW'],
+
+    // Central America and the Caribbean
+    BS: ['MY'], BZ: ['MZ'], CR: ['MR'], CU: ['MU'], DO: ['MD'], GT: ['MG'], HN: ['MH'],
+    HT: ['MT'], JM: ['MK'], KY: ['MW'], NI: ['MN'], PA: ['MP'], SV: ['MS'], TC: ['MB'],
+    AG: ['TA'], AI: ['TQ'], BB: ['TB'], BM: ['TX'], DM: ['TD'], GD: ['TG'], KN: ['TK'],
+    LC: ['TL'], MS: ['TR'], PR: ['TJ'], TT: ['TT'], VC: ['TV'], VG: ['TU'], VI: ['TI'],
+    GP: ['TF'], MQ: ['TF'], BL: ['TF'], MF: ['TF'],
+    AW: ['TN'], CW: ['TN'], SX: ['TN'], BQ: ['TN'],
+
+    // South America
+    AR: ['SA'], BO: ['SL'], BR: ['SB', 'SD', 'SI', 'SJ', 'SN', 'SS', 'SW'], CL: ['SC'],
+    CO: ['SK'], EC: ['SE'], FK: ['SF'], GF: ['SO'], GY: ['SY'], PE: ['SP'], PY: ['SG'],
+    SR: ['SM'], UY: ['SU'], VE: ['SV'],
+
+    // Europe
+    AL: ['LA'], AT: ['LO'], BA: ['LQ'], BE: ['EB'], BG: ['LB'], BY: ['UM'], CH: ['LS'],
+    CY: ['LC'], CZ: ['LK'], DE: ['ED', 'ET'], DK: ['EK'], EE: ['EE'], ES: ['LE', 'GC', 'GE'],
+    FI: ['EF'], FO: ['EK'], FR: ['LF'], GB: ['EG'], GI: ['LX'], GL: ['BG'], GR: ['LG'],
+    HR: ['LD'], HU: ['LH'], IE: ['EI'], IS: ['BI'], IT: ['LI'], LT: ['EY'], LU: ['EL'],
+    LV: ['EV'], MC: ['LN'], MD: ['LU'], ME: ['LY'], MK: ['LW'], MT: ['LM'], NL: ['EH'],
+    NO: ['EN'], PL: ['EP'], PT: ['LP'], RO: ['LR'], RS: ['LY'], SE: ['ES'], SI: ['LJ'],
+    SK: ['LZ'], TR: ['LT'], UA: ['UK'], XK: ['BK'], PM: ['LFV'],
+    GG: ['EG'], IM: ['EG'], JE: ['EG'], SJ: ['EN'], AX: ['EF'],
+
+    // Russia and Central Asia
+    RU: ['UE', 'UH', 'UI', 'UL', 'UMK', 'UN', 'UO', 'UR', 'US', 'UU', 'UW'],
+    AM: ['UD'], AZ: ['UB'], GE: ['UG'], KG: ['UAF', 'UC'], KZ: ['UA'],
+    TJ: ['UTD'], TM: ['UTA'], UZ: ['UTS', 'UTT'],
+
+    // Middle East
+    AE: ['OM'], AF: ['OA'], BH: ['OB'], IL: ['LL'], IQ: ['OR'], IR: ['OI'], JO: ['OJ'],
+    KW: ['OK'], LB: ['OL'], OM: ['OO'], PK: ['OP'], PS: ['LV'], QA: ['OT'], SA: ['OE'],
+    SY: ['OS'], YE: ['OY'],
+
+    // Africa
+    AO: ['FN'], BF: ['DF'], BI: ['HB'], BJ: ['DB'], BW: ['FB'], CD: ['FZ'], CF: ['FE'],
+    CG: ['FC'], CI: ['DI'], CM: ['FK'], CV: ['GV'], DJ: ['HD'], DZ: ['DA'], EG: ['HE'],
+    EH: ['GS'], ER: ['HH'], ET: ['HA'], GA: ['FO'], GH: ['DG'], GM: ['GB'], GN: ['GU'],
+    GQ: ['FG'], GW: ['GG'], IO: ['FJ'], KE: ['HK'], KM: ['FMC'], LR: ['GL'], LS: ['FX'],
+    LY: ['HL'], MA: ['GM'], MG: ['FMM', 'FMN', 'FMS'], ML: ['GA'], MR: ['GQ'], MU: ['FI'],
+    MW: ['FW'], MZ: ['FQ'], NA: ['FY'], NE: ['DR'], NG: ['DN'], RE: ['FME'], RW: ['HR'],
+    SC: ['FS'], SD: ['HS'], SH: ['FH'], SL: ['GF'], SN: ['GO'], SO: ['HC'], SS: ['HJ'],
+    ST: ['FP'], SZ: ['FD'], TD: ['FT'], TG: ['DX'], TN: ['DT'], TZ: ['HT'], UG: ['HU'],
+    YT: ['FMCZ'], ZA: ['FA'], ZM: ['FL'], ZW: ['FV'],
+
+    // Asia
+    BD: ['VG'], BN: ['WBS'], BT: ['VQ'], CN: ['Z'], HK: ['VH'], ID: ['WA', 'WI', 'WR'],
+    IN: ['VA', 'VE', 'VI', 'VO'], JP: ['RJ', 'RO'], KH: ['VD'], KP: ['ZK'], KR: ['RK'],
+    LA: ['VL'], LK: ['VC'], MM: ['VY'], MN: ['ZM'], MO: ['VM'], MV: ['VR'], MY: ['WB', 'WM'],
+    NP: ['VN'], PH: ['RP'], SG: ['WS'], TH: ['VT'], TL: ['WP'], TW: ['RC'], VN: ['VV'],
+
+    // Oceania
+    AU: ['Y'], AS: ['NST'], CK: ['NC'], FJ: ['NF'], FM: ['PT'], GU: ['PG'], KI: ['NG', 'PC', 'PL'],
+    MH: ['PK'], MP: ['PG'], NC: ['NW'], NR: ['AN'], NU: ['NI'], NZ: ['NZ'], PF: ['NT'],
+    PG: ['AY'], PW: ['PTR'], SB: ['AG'], TO: ['NFT'], TV: ['NGF'], VU: ['NV'], WF: ['NL'],
+    WS: ['NS'], CC: ['Y'], CX: ['Y'], NF: ['Y']
+};
+
+// prefix → ISO codes, built once from the registry
+const countriesByPrefix = new Map();
+for (const [countryCode, prefixes] of Object.entries(ICAO_PREFIXES)) {
+    for (const prefix of prefixes) {
+        if (!countriesByPrefix.has(prefix)) {
+            countriesByPrefix.set(prefix, []);
+        }
+        countriesByPrefix.get(prefix).push(countryCode);
+    }
+}
+
+// Longest registered prefix of an ICAO code: { prefix, countries } or null
+function matchICAOPrefix(icaoCode) {
+    const code = (icaoCode || '').toUpperCase();
+    for (let length = Math.min(4, code.length); length > 0; length--) {
+        const prefix = code.slice(0, length);
+        if (countriesByPrefix.has(prefix)) {
+            return { prefix, countries: countriesByPrefix.get(prefix) };
+        }
+    }
+    return null;
+}
+
+// Does icaoCode belong to the country with this ISO code? null when the prefix is unknown
+function icaoMatchesCountry(icaoCode, countryCode) {
+    const match = matchICAOPrefix(icaoCode);
+    if (!match) return null;
+    return match.countries.includes(countryCode);
+}
+
+export { ICAO_PREFIXES, matchICAOPrefix, icaoMatchesCountry };
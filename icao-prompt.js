@@ -0,0 +1,40 @@
+// LLM fallback shared by the three ICAO finders
+
+const ICAO_SCHEMA = {
+    type: 'object',
+    properties: {
+        icaoCode: { type: ['string', 'null'], pattern: '^[A-Za-z]{4}$' }
+    },
+    required: ['icaoCode']
+};
+
+function createICAOPrompt(airport) {
+    return `What is the ICAO code for ${airport.airportName} (${airport.airportCode}) in ${airport.city}, ${airport.country}?
+
+ICAO codes are exactly 4 letters (like KJFK, EGLL, LFPG). Respond with ONLY the ICAO code in this exact JSON format:
+
+{
+  "icaoCode": "XXXX"
+}
+
+If you don't know the exact ICAO code, respond with:
+{
+  "icaoCode": null
+}
+
+Only respond with valid JSON, nothing else.`;
+}
+
+// Validated reply → upper-case ICAO code or null
+function parseICAOResponse(reply) {
+    const code = reply?.icaoCode?.toUpperCase() || null;
+    return code === 'XXXX' ? null : code; // The placeholder from the prompt
+}
+
+// Throws when the LLM backend keeps failing or the reply does not match ICAO_SCHEMA
+async function findICAOFromLLM(llm, airport) {
+    const reply = await llm.generateJSON(createICAOPrompt(airport), ICAO_SCHEMA);
+    return parseICAOResponse(reply);
+}
+
+export { ICAO_SCHEMA, createICAOPrompt, parseICAOResponse, findICAOFromLLM };
@@ -0,0 +1,69 @@
+// Types for index.js, the query API over the harvested airports
+
+export type Category = 'small' | 'medium' | 'large';
+
+export type IcaoSource =
+    | 'manual_correction' | 'known_mapping' | 'openflights' | 'ourairports'
+    | 'wikipedia' | 'llm' | 'api' | 'not_found' | 'error';
+
+// One airport, in the flat shape of the export (export-airports.js)
+export interface Airport {
+    airportCode: string | null;
+    icaoCode: string | null;
+    airportName: string | null;
+    city: string | null;
+    country: string | null;
+    // ISO 3166-1 alpha-2
+    countryCode: string | null;
+    latitude: number | null;
+    longitude: number | null;
+    altitudeFeet: number | null;
+    category: Category | null;
+    size: string | null;
+    runwayLengthMeters: number | null;
+    runwaySource: 'runways_file' | 'llm' | 'none' | null;
+    icaoSource: IcaoSource | string | null;
+    icaoConfidence: number | null;
+    correctionStatus: string | null;
+    matchType: string | null;
+    // 0..1, how well the name matched the reference record
+    matchScore: number | null;
+}
+
+export interface NearbyAirport extends Airport {
+    distanceKm: number;
+}
+
+export interface SearchOptions {
+    // Default 20
+    limit?: number;
+}
+
+export class AirportIndex {
+    constructor(airports: Airport[]);
+    // From pipeline records, e.g. the contents of airports-with-icao-corrected.json
+    static fromRecords(records: object[]): AirportIndex;
+    // A bundle written by bundle-dataset.js, or a list of pipeline records
+    static fromFile(file: string): AirportIndex;
+
+    readonly airports: Airport[];
+    getByIata(code: string, country?: string): Airport | null;
+    getByIcao(code: string, country?: string): Airport | null;
+    search(query: string, options?: SearchOptions): Airport[];
+    inCountry(country: string): Airport[];
+    nearest(lat: number, lon: number, n?: number): NearbyAirport[];
+    byCategory(category: Category): Airport[];
+}
+
+// Queries over the bundled dataset. `country` is an ISO code or any country name the
+// pipeline knows; an unknown country or category throws.
+export function getByIata(code: string, country?: string): Airport | null;
+export function getByIcao(code: string, country?: string): Airport | null;
+export function search(query: string, options?: SearchOptions): Airport[];
+export function inCountry(country: string): Airport[];
+export function nearest(lat: number, lon: number, n?: number): NearbyAirport[];
+export function byCategory(category: Category): Airport[];
+export function allAirports(): Airport[];
+
+// Absolute path of data/airports.json
+export const BUNDLED_DATASET: string;
@@ -0,0 +1,133 @@
+// Package entry point: a query API over the harvested airports. Importing it has no side
+// effects and loads no pipeline module; the bundled dataset (data/airports.json, written by
+// bundle-dataset.js) is read on the first query.
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { toCountryCode } from './countries.js';
+import { toRow, sortRows } from './export-airports.js';
+import { distanceKm } from './geo.js';
+import { foldText } from './names.js';
+
+const BUNDLED_DATASET = fileURLToPath(new URL('./data/airports.json', import.meta.url));
+
+const CATEGORIES = ['small', 'medium', 'large'];
+
+// Airports in the export's flat shape (see export-airports.js), indexed by code and country
+class AirportIndex {
+    constructor(airports) {
+        this.airports = sortRows(airports);
+        this.byIATA = new Map();
+        this.byICAO = new Map();
+        this.byCountry = new Map();
+
+        const add = (map, key, airport) => {
+            if (key) map.set(key, [...(map.get(key) || []), airport]);
+        };
+        for (const airport of this.airports) {
+            add(this.byIATA, airport.airportCode?.toUpperCase(), airport);
+            add(this.byICAO, airport.icaoCode?.toUpperCase(), airport);
+            add(this.byCountry, airport.countryCode, airport);
+        }
+    }
+
+    // From pipeline records, e.g. the contents of airports-with-icao-corrected.json
+    static fromRecords(records) {
+        return new AirportIndex(records.map(toRow));
+    }
+
+    // A bundle written by bundle-dataset.js, or a list of pipeline records
+    static fromFile(file) {
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return Array.isArray(data) ? AirportIndex.fromRecords(data) : new AirportIndex(data.airports);
+    }
+
+    // The same IATA code can belong to airports in several countries; `country` picks one
+    getByIata(code, country) {
+        return this.pick(this.byIATA.get(String(code).toUpperCase()), country);
+    }
+
+    getByIcao(code, country) {
+        return this.pick(this.byICAO.get(String(code).toUpperCase()), country);
+    }
+
+    pick(airports = [], country) {
+        if (country === undefined) return airports[0] || null;
+        const code = this.countryCode(country);
+        return airports.find(airport => airport.countryCode === code) || null;
+    }
+
+    countryCode(country) {
+        const code = toCountryCode(country);
+        if (!code) throw new Error(`Unknown country "${country}"`);
+        return code;
+    }
+
+    // Airports whose code, name or city matches, accents and script aside ("Chisinau" finds
+    // "Chișinău"); exact codes first, then names starting with the query
+    search(query, { limit = 20 } = {}) {
+        const needle = foldText(query);
+        if (!needle) return [];
+
+        const rank = airport => {
+            if (foldText(airport.airportCode) === needle || foldText(airport.icaoCode) === needle) return 0;
+            const name = foldText(airport.airportName);
+            const city = foldText(airport.city);
+            if (name.startsWith(needle) || city.startsWith(needle)) return 1;
+            if (name.includes(needle) || city.includes(needle)) return 2;
+            return null;
+        };
+        return this.airports
+            .map(airport => ({ airport, rank: rank(airport) }))
+            .filter(({ rank }) => rank !== null)
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, limit)
+            .map(({ airport }) => airport);
+    }
+
+    // ISO code or any country name the pipeline knows
+    inCountry(country) {
+        return this.byCountry.get(this.countryCode(country)) || [];
+    }
+
+    // The n closest airports with coordinates, each with its distanceKm
+    nearest(lat, lon, n = 10) {
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+            throw new Error(`Invalid coordinates ${lat}, ${lon}`);
+        }
+        return this.airports
+            .filter(airport => typeof airport.latitude === 'number' && typeof airport.longitude === 'number')
+            .map(airport => ({ ...airport, distanceKm: distanceKm(lat, lon, airport.latitude, airport.longitude) }))
+            .sort((a, b) => a.distanceKm - b.distanceKm)
+            .slice(0, n);
+    }
+
+    byCategory(category) {
+        if (!CATEGORIES.includes(category)) {
+            throw new Error(`Unknown category "${category}" (expected ${CATEGORIES.join(', ')})`);
+        }
+        return this.airports.filter(airport => airport.category === category);
+    }
+}
+
+let bundled = null;
+
+function bundledIndex() {
+    if (!bundled) {
+        if (!fs.existsSync(BUNDLED_DATASET)) {
+            throw new Error(`${BUNDLED_DATASET} not found; run node bundle-dataset.js after the pipeline`);
+        }
+        bundled = AirportIndex.fromFile(BUNDLED_DATASET);
+    }
+    return bundled;
+}
+
+// Queries over the bundled dataset
+const getByIata = (code, country) => bundledIndex().getByIata(code, country);
+const getByIcao = (code, country) => bundledIndex().getByIcao(code, country);
+const search = (query, options) => bundledIndex().search(query, options);
+const inCountry = country => bundledIndex().inCountry(country);
+const nearest = (lat, lon, n) => bundledIndex().nearest(lat, lon, n);
+const byCategory = category => bundledIndex().byCategory(category);
+const allAirports = () => bundledIndex().airports;
+
+export { AirportIndex, getByIata, getByIcao, search, inCountry, nearest, byCategory, allAirports, BUNDLED_DATASET };
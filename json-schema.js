@@ -0,0 +1,182 @@
+// Small JSON Schema subset for validating LLM replies: type (incl. type lists), properties,
+// required, enum, pattern, minimum/maximum, minLength/maxLength, items and if/then.
+// Values are coerced towards the schema where the intent is unambiguous ("2500" → 2500,
+// "true" → true, "null" → null) and every problem is reported with the field it affects.
+
+class SchemaValidationError extends Error {
+    constructor(errors, raw) {
+        super(`reply does not match the schema: ${errors.map(e => `${e.path || '(root)'} ${e.message}`).join('; ')}`);
+        this.name = 'SchemaValidationError';
+        this.errors = errors;
+        this.raw = raw;
+    }
+}
+
+// Placeholder words LLMs use instead of a JSON null
+const NULL_WORDS = new Set(['', 'null', 'none', 'n/a', 'unknown']);
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Try to turn value into one of the allowed types; returns undefined when that is not possible
+function coerce(value, types) {
+    if (types.some(type => matchesType(value, type))) return value;
+
+    if (typeof value === 'string') {
+        const text = value.trim();
+        if (types.includes('null') && NULL_WORDS.has(text.toLowerCase())) return null;
+
+        if (types.includes('number') || types.includes('integer')) {
+            const number = Number(text.replace(/[,_\s]/g, ''));
+            if (text !== '' && Number.isFinite(number) && (types.includes('number') || Number.isInteger(number))) {
+                return number;
+            }
+        }
+
+        if (types.includes('boolean') && /^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+    }
+
+    if (typeof value === 'number' && types.includes('string')) return String(value);
+    if (typeof value === 'number' && types.includes('integer') && Number.isFinite(value)) return Math.round(value);
+
+    return undefined;
+}
+
+function validateValue(schema, value, path, errors) {
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const coerced = coerce(value, types);
+        if (coerced === undefined) {
+            errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+            return value;
+        }
+        value = coerced;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `${JSON.stringify(value)} does not match ${schema.pattern}` });
+        }
+        if (schema.minLength != null && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength != null && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum != null && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum != null && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value = value.map((item, i) => validateValue(schema.items, item, `${path}[${i}]`, errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        value = { ...value };
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: joinPath(path, key), message: 'is required' });
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                value[key] = validateValue(propertySchema, value[key], joinPath(path, key), errors);
+            }
+        }
+
+        // Conditional requirements, e.g. airport details only when hasAirport is true
+        if (schema.if && schema.then && validate(schema.if, value).valid) {
+            value = validateValue(schema.then, value, path, errors);
+        }
+    }
+
+    return value;
+}
+
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+// Returns { valid, value, errors } where value is the coerced copy of the input
+function validate(schema, value) {
+    const errors = [];
+    const coerced = validateValue(schema, value, '', errors);
+    return { valid: errors.length === 0, value: coerced, errors };
+}
+
+// Every top-level JSON object in a reply, in order. Handles markdown fences, commentary
+// around the JSON and replies that contain several objects; braces inside strings are skipped.
+function extractJSONObjects(text) {
+    const objects = [];
+    let depth = 0;
+    let start = -1;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+
+        if (ch === '"' && depth > 0) {
+            inString = true;
+        } else if (ch === '{') {
+            if (depth === 0) start = i;
+            depth++;
+        } else if (ch === '}' && depth > 0) {
+            depth--;
+            if (depth === 0) {
+                try {
+                    objects.push(JSON.parse(text.slice(start, i + 1)));
+                } catch (error) {
+                    // Not JSON after all (e.g. "{x}" in prose); keep scanning
+                }
+            }
+        }
+    }
+
+    return objects;
+}
+
+// Parse an LLM reply against a schema: the first embedded object that validates wins.
+// When none does, the errors of the first candidate are returned.
+function parseJSONReply(text, schema) {
+    const candidates = extractJSONObjects(text || '');
+    if (candidates.length === 0) {
+        return { valid: false, value: null, errors: [{ path: '', message: 'no JSON object found in reply' }] };
+    }
+
+    let firstFailure = null;
+    for (const candidate of candidates) {
+        const result = validate(schema, candidate);
+        if (result.valid) return result;
+        firstFailure = firstFailure || result;
+    }
+    return firstFailure;
+}
+
+export { SchemaValidationError, validate, extractJSONObjects, parseJSONReply };
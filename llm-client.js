@@ -0,0 +1,247 @@
+import fs from 'fs';
+import path from 'path';
+import { getStageLLMConfig } from './config.js';
+import { responseCache } from './response-cache.js';
+import { getBackend } from './work-pool.js';
+import { HTTPError } from './retry.js';
+import { SchemaValidationError, parseJSONReply } from './json-schema.js';
+
+const REJECTIONS_DIR = path.join('.harvest', 'rejections');
+
+// A provider turns { model, prompt, options, format } into the reply text for one backend API.
+// `format` is a JSON Schema the reply must follow ('json' for any JSON), or undefined.
+// `backend` names the scheduler.backends entry that limits its request rate.
+// Custom backends can be added with registerProvider(name, ProviderClass).
+
+class OllamaGenerateProvider {
+    constructor({ baseUrl = 'http://localhost:11434' } = {}) {
+        this.name = 'ollama';
+        this.backend = 'ollama';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    async complete({ model, prompt, options, format, signal }) {
+        const data = await postJSON(`${this.baseUrl}/api/generate`, {
+            model,
+            prompt,
+            stream: false,
+            ...(format ? { format } : {}),
+            ...(Object.keys(options).length > 0 ? { options } : {})
+        }, { signal });
+        return data.response;
+    }
+
+    async listModels() {
+        const data = await getJSON(`${this.baseUrl}/api/tags`);
+        return data.models.map(m => m.name);
+    }
+}
+
+class OllamaChatProvider extends OllamaGenerateProvider {
+    constructor(config) {
+        super(config);
+        this.name = 'ollama-chat';
+    }
+
+    async complete({ model, prompt, options, format, signal }) {
+        const data = await postJSON(`${this.baseUrl}/api/chat`, {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            stream: false,
+            ...(format ? { format } : {}),
+            ...(Object.keys(options).length > 0 ? { options } : {})
+        }, { signal });
+        return data.message?.content;
+    }
+}
+
+// llama.cpp server, vLLM, LM Studio and anything else speaking /v1/chat/completions
+class OpenAICompatibleProvider {
+    constructor({ baseUrl = 'http://localhost:8080', apiKey = null } = {}) {
+        this.name = 'openai';
+        this.backend = 'openai';
+        this.baseUrl = baseUrl.replace(/\/+$/, '').replace(/\/v1$/, '');
+        this.apiKey = apiKey;
+    }
+
+    get headers() {
+        return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    }
+
+    responseFormat(format) {
+        if (!format) return {};
+        if (format === 'json') return { response_format: { type: 'json_object' } };
+        return { response_format: { type: 'json_schema', json_schema: { name: 'reply', schema: format } } };
+    }
+
+    async complete({ model, prompt, options, format, signal }) {
+        const data = await postJSON(`${this.baseUrl}/v1/chat/completions`, {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            stream: false,
+            ...this.responseFormat(format),
+            ...options
+        }, { headers: this.headers, signal });
+        return data.choices?.[0]?.message?.content;
+    }
+
+    async listModels() {
+        const data = await getJSON(`${this.baseUrl}/v1/models`, { headers: this.headers });
+        return data.data.map(m => m.id);
+    }
+}
+
+const PROVIDERS = {
+    ollama: OllamaGenerateProvider,
+    'ollama-chat': OllamaChatProvider,
+    openai: OpenAICompatibleProvider
+};
+
+function registerProvider(name, ProviderClass) {
+    PROVIDERS[name] = ProviderClass;
+}
+
+async function postJSON(url, body, { headers = {}, signal } = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    if (!response.ok) {
+        throw new HTTPError(response.status, url);
+    }
+
+    return response.json();
+}
+
+async function getJSON(url, { headers = {}, signal } = {}) {
+    const response = await fetch(url, { headers, signal });
+    if (!response.ok) {
+        throw new HTTPError(response.status, url);
+    }
+    return response.json();
+}
+
+class LLMClient {
+    constructor({ provider = 'ollama', model, options = {}, structuredOutput = 'schema', stage = null, ...providerConfig } = {}) {
+        const ProviderClass = PROVIDERS[provider];
+        if (!ProviderClass) {
+            throw new Error(`Unknown LLM provider "${provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+        }
+
+        this.provider = new ProviderClass(providerConfig);
+        this.model = model;
+        this.options = options;
+        this.structuredOutput = structuredOutput;
+        this.stage = stage;
+        this.rejections = 0;
+    }
+
+    describe() {
+        return `${this.model} via ${this.provider.name} at ${this.provider.baseUrl}`;
+    }
+
+    // Returns the reply text; throws once retries are exhausted and on empty replies.
+    // Replies are cached by provider, model, prompt and options.
+    async generate(prompt, options = {}) {
+        const request = {
+            model: this.model,
+            prompt,
+            options: { ...this.options, ...options }
+        };
+
+        return responseCache.wrap({ type: 'llm', provider: this.provider.name, ...request }, () => this.complete(request), {
+            ttlMs: responseCache.ttlFor('llm')
+        });
+    }
+
+    // Ask for a reply matching a JSON Schema and return the validated (coerced) object.
+    // The schema is sent as the provider's output format unless llm.structuredOutput says
+    // otherwise. Replies that still fail validation are logged with the raw text and
+    // thrown as SchemaValidationError; they are not cached, so a rerun asks again.
+    async generateJSON(prompt, schema, options = {}) {
+        const request = {
+            model: this.model,
+            prompt,
+            options: { ...this.options, ...options },
+            format: this.structuredOutput === 'schema' ? schema : this.structuredOutput === 'json' ? 'json' : undefined
+        };
+
+        return responseCache.wrap({ type: 'llm-json', provider: this.provider.name, schema, ...request }, async () => {
+            const text = await this.complete(request);
+            const result = parseJSONReply(text, schema);
+            if (!result.valid) {
+                this.logRejection(prompt, text, result.errors);
+                throw new SchemaValidationError(result.errors, text);
+            }
+            return result.value;
+        }, { ttlMs: responseCache.ttlFor('llm') });
+    }
+
+    async complete(request) {
+        const text = await getBackend(this.provider.backend).schedule(signal => this.provider.complete({ ...request, signal }));
+        if (!text) {
+            throw new Error('no response');
+        }
+        return text;
+    }
+
+    get rejectionsFile() {
+        return path.join(REJECTIONS_DIR, `${this.stage || 'default'}.jsonl`);
+    }
+
+    logRejection(prompt, raw, errors) {
+        this.rejections++;
+        fs.mkdirSync(REJECTIONS_DIR, { recursive: true });
+        fs.appendFileSync(this.rejectionsFile, JSON.stringify({
+            at: new Date().toISOString(),
+            stage: this.stage,
+            model: this.model,
+            errors,
+            prompt,
+            raw
+        }) + '\n');
+    }
+
+    // One-line summary for stage reports, or null when nothing was rejected
+    formatRejections() {
+        if (this.rejections === 0) return null;
+        return `${this.rejections} LLM replies rejected by schema validation (raw replies in ${this.rejectionsFile})`;
+    }
+
+    async testConnection() {
+        console.log(`Testing LLM connection (${this.provider.name} at ${this.provider.baseUrl})...`);
+        try {
+            const models = await this.provider.listModels();
+            console.log(`✅ ${this.provider.name} is running`);
+            console.log('Available models:', models);
+            if (!models.includes(this.model)) {
+                console.log(`⚠️  Model ${this.model} is not in the list of available models`);
+            }
+            return true;
+        } catch (error) {
+            console.error(`❌ Cannot connect to ${this.provider.name}:`, error.message);
+            return false;
+        }
+    }
+}
+
+// Client configured for one pipeline stage (see llm.stages in harvest.config.json)
+function createLLMClient(stage) {
+    return new LLMClient({ ...getStageLLMConfig(stage), stage });
+}
+
+export {
+    REJECTIONS_DIR,
+    LLMClient,
+    OllamaGenerateProvider,
+    OllamaChatProvider,
+    OpenAICompatibleProvider,
+    createLLMClient,
+    registerProvider
+};
@@ -0,0 +1,145 @@
+// Name normalization shared by search, matching and cleanup. foldText reduces any name to
+// lower-case Latin letters: diacritics stripped, other scripts transliterated ("Chișinău" and
+// "Кишинёв" fold to "chisinau" and "kishinev"). normalizeName also expands abbreviations and
+// drops the words every airport name has in some language, leaving the distinctive part.
+
+// Letters NFKD does not decompose into a base letter plus marks
+const LATIN_LETTERS = {
+    ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i', ħ: 'h', ŧ: 't', ŋ: 'ng', ĸ: 'k'
+};
+
+// Cyrillic (Russian, Ukrainian, Belarusian, Serbian, Macedonian, Bulgarian), roughly as on road signs
+const CYRILLIC = {
+    а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', ђ: 'dj', ѓ: 'gj', е: 'e', ё: 'e', є: 'ye', ж: 'zh',
+    з: 'z', ѕ: 'dz', и: 'i', і: 'i', ї: 'yi', й: 'y', ј: 'j', к: 'k', л: 'l', љ: 'lj', м: 'm', н: 'n',
+    њ: 'nj', о: 'o', п: 'p', р: 'r', с: 's', т: 't', ћ: 'c', ќ: 'kj', у: 'u', ў: 'u', ф: 'f', х: 'kh',
+    ц: 'ts', ч: 'ch', џ: 'dz', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya'
+};
+
+const GREEK = {
+    α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l', μ: 'm',
+    ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+// Consonants and long vowels only: short vowels are not written
+const ARABIC = {
+    ا: 'a', ب: 'b', ت: 't', ث: 'th', ج: 'j', ح: 'h', خ: 'kh', د: 'd', ذ: 'dh', ر: 'r', ز: 'z', س: 's',
+    ش: 'sh', ص: 's', ض: 'd', ط: 't', ظ: 'z', ع: '', غ: 'gh', ف: 'f', ق: 'q', ك: 'k', ل: 'l', م: 'm',
+    ن: 'n', ه: 'h', ة: 'a', و: 'w', ي: 'y', ى: 'a', ء: '', پ: 'p', چ: 'ch', ژ: 'zh', گ: 'g', ی: 'y', ک: 'k'
+};
+
+const TRANSLITERATION = { ...LATIN_LETTERS, ...CYRILLIC, ...GREEK, ...ARABIC };
+
+// "Airport" in the languages airport names come in, folded; multi-word terms are matched as phrases
+const AIRPORT_TERMS = {
+    en: ['airport', 'airfield', 'aerodrome', 'airstrip', 'airpark', 'air base', 'air force base', 'air station'],
+    fr: ['aeroport', 'aerodrome'],
+    de: ['flughafen', 'flugplatz', 'verkehrsflughafen'],
+    es: ['aeropuerto'],
+    pt: ['aeroporto'],
+    it: ['aeroporto'],
+    ro: ['aeroportul'],
+    nl: ['luchthaven', 'vliegveld'],
+    tr: ['havalimani', 'havaalani'],
+    pl: ['lotnisko', 'port lotniczy'],
+    cs: ['letiste'],
+    sv: ['flygplats'],
+    da: ['lufthavn'],
+    no: ['lufthavn'],
+    ru: ['aeroport'],
+    el: ['aerolimenas'],
+    ar: ['mtar']
+};
+
+// Other words that say nothing about which airport is meant: "international" and articles
+const NAME_STOPWORDS = {
+    en: ['international', 'the', 'of'],
+    fr: ['international', 'internationale', 'de', 'du', 'des', 'la', 'le', 'les', 'l', 'd'],
+    de: ['internationaler', 'internationale'],
+    es: ['internacional', 'de', 'del', 'la', 'el'],
+    pt: ['internacional', 'de', 'do', 'da', 'dos', 'das'],
+    it: ['internazionale', 'di', 'del', 'della'],
+    ro: ['international', 'internationala'],
+    nl: ['internationale'],
+    tr: ['uluslararasi'],
+    pl: ['miedzynarodowy', 'miedzynarodowe'],
+    cs: ['mezinarodni'],
+    ru: ['mezhdunarodnyy', 'mezhdunarodnyi'],
+    el: ['diethnis'],
+    ar: ['al', 'dwly', 'aldwly']
+};
+
+// Abbreviations in folded form and what they stand for
+const ABBREVIATIONS = {
+    intl: 'international',
+    st: 'saint',
+    ste: 'sainte',
+    sankt: 'saint',
+    mt: 'mount',
+    ft: 'fort',
+    apt: 'airport',
+    arpt: 'airport',
+    muni: 'municipal',
+    rgnl: 'regional',
+    natl: 'national'
+};
+
+const STOPWORDS = new Set([...Object.values(AIRPORT_TERMS), ...Object.values(NAME_STOPWORDS)].flat()
+    .filter(term => !term.includes(' ')));
+const PHRASES = [...new Set(Object.values(AIRPORT_TERMS).flat().filter(term => term.includes(' ')))]
+    .map(term => term.split(' '));
+
+const transliterate = text => text.replace(/[^\x00-\x7f]/g, char => TRANSLITERATION[char] ?? char);
+
+// Lower case, diacritics stripped, other scripts transliterated; punctuation becomes spaces.
+// Transliterated before and after decomposition: й and ё are letters of their own, while
+// accented Greek vowels only reach the table once their accents are stripped.
+function foldText(text) {
+    const folded = transliterate(String(text ?? '').toLowerCase())
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '');
+    return transliterate(folded)
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function tokens(text) {
+    const folded = foldText(text);
+    return folded ? folded.split(' ') : [];
+}
+
+function expandAbbreviations(words) {
+    return words.map(word => ABBREVIATIONS[word] || word);
+}
+
+// Length of the stopword phrase starting at words[i], 0 when there is none
+function phraseAt(words, i) {
+    const phrase = PHRASES.find(terms => terms.every((term, k) => words[i + k] === term));
+    return phrase ? phrase.length : 0;
+}
+
+// Comparison key for airport names: folded, abbreviations expanded, generic words dropped.
+// "Chișinău Intl Airport" and "Aeroportul Internațional Chișinău" both become "chisinau".
+// A name made only of generic words keeps them rather than becoming empty.
+function normalizeName(name) {
+    const words = expandAbbreviations(tokens(name));
+    const kept = [];
+    for (let i = 0; i < words.length; i++) {
+        const phrase = phraseAt(words, i);
+        if (phrase > 0) {
+            i += phrase - 1;
+        } else if (!STOPWORDS.has(words[i])) {
+            kept.push(words[i]);
+        }
+    }
+    return (kept.length > 0 ? kept : words).join(' ');
+}
+
+// True when the text names an airport in any of the known languages
+function mentionsAirport(text) {
+    const words = tokens(text);
+    return words.some((word, i) => phraseAt(words, i) > 0 ||
+        Object.values(AIRPORT_TERMS).some(terms => terms.includes(word)));
+}
+
+export { foldText, tokens, normalizeName, mentionsAirport, AIRPORT_TERMS, NAME_STOPWORDS, ABBREVIATIONS };
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { loadConfig } from './config.js';
+import { fetchText } from './http-client.js';
+
+const OPENFLIGHTS_URL = 'https://raw.githubusercontent.com/jpatokal/openflights/master/data';
+const CHECKSUM_FILE = 'SHA256SUMS';
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+async function sha256File(file) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(file)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+// Readable stream of a file's text, decompressing .gz on the fly
+function openText(file) {
+    const stream = fs.createReadStream(file);
+    return file.endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream;
+}
+
+// Where OpenFlights data comes from, in order of precedence:
+//   1. a local file, directory or .gz (`path`), for offline runs
+//   2. a pinned snapshot (`snapshot`: a snapshot id such as 2026-10-19, or 'latest')
+//   3. a fresh download, stored as a dated snapshot with its SHA-256 checksum;
+//      when the download fails the latest stored snapshot is used instead
+// Snapshots are directories named after the download date, each with a SHA256SUMS file,
+// so one id pins airports.dat and airports-extended.dat together.
+class OpenFlightsSource {
+    constructor({ path: localPath = null, snapshot = null, snapshotDir = path.join('.harvest', 'snapshots', 'openflights') } = {}) {
+        this.localPath = localPath;
+        this.snapshot = snapshot;
+        this.snapshotDir = snapshotDir;
+    }
+
+    // Settings from sources.openflights in harvest.config.json, then the stage's pin,
+    // then --openflights-path / --snapshot on the command line
+    static forStage(stage, options = {}) {
+        const { stages = {}, ...settings } = loadConfig().sources?.openflights || {};
+        const merged = { ...settings, ...(stages[stage] || {}) };
+        if (options.openflightsPath) merged.path = options.openflightsPath;
+        if (options.snapshot) merged.snapshot = options.snapshot;
+        return new OpenFlightsSource(merged);
+    }
+
+    readChecksums(dir) {
+        const file = path.join(dir, CHECKSUM_FILE);
+        if (!fs.existsSync(file)) return {};
+
+        const checksums = {};
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            const match = line.match(/^([0-9a-f]{64})\s+\*?(.+)$/);
+            if (match) checksums[match[2]] = match[1];
+        }
+        return checksums;
+    }
+
+    writeChecksums(dir, checksums) {
+        const lines = Object.keys(checksums).sort().map(name => `${checksums[name]}  ${name}\n`);
+        fs.writeFileSync(path.join(dir, CHECKSUM_FILE), lines.join(''));
+    }
+
+    // Stored snapshots, oldest first: [{ id, dir, files: { name: sha256 } }]
+    listSnapshots() {
+        if (!fs.existsSync(this.snapshotDir)) return [];
+
+        return fs.readdirSync(this.snapshotDir)
+            .filter(id => /^\d{4}-\d{2}-\d{2}(\.\d+)?$/.test(id))
+            .map(id => {
+                const dir = path.join(this.snapshotDir, id);
+                return { id, dir, files: this.readChecksums(dir) };
+            })
+            .sort((a, b) => a.id.localeCompare(b.id, 'en', { numeric: true }));
+    }
+
+    findSnapshot(id, fileName) {
+        const withFile = this.listSnapshots().filter(s => s.files[fileName]);
+        if (id === 'latest') {
+            const latest = withFile[withFile.length - 1];
+            if (!latest) throw new Error(`No stored OpenFlights snapshot contains ${fileName}`);
+            return latest;
+        }
+
+        const snapshot = withFile.find(s => s.id === id);
+        if (!snapshot) {
+            const available = withFile.map(s => s.id).join(', ') || 'none';
+            throw new Error(`OpenFlights snapshot ${id} does not contain ${fileName} (available: ${available})`);
+        }
+        return snapshot;
+    }
+
+    // Save downloaded text as a snapshot unless the newest copy is byte-identical
+    storeSnapshot(fileName, text) {
+        const checksum = sha256(text);
+        const existing = this.listSnapshots().filter(s => s.files[fileName]);
+        const newest = existing[existing.length - 1];
+        if (newest && newest.files[fileName] === checksum) {
+            return { id: newest.id, sha256: checksum, stored: false };
+        }
+
+        // Today's directory, or today.N when it already holds a different copy of this file
+        const today = new Date().toISOString().slice(0, 10);
+        let id = today;
+        for (let n = 2; fs.existsSync(path.join(this.snapshotDir, id, fileName)); n++) {
+            id = `${today}.${n}`;
+        }
+
+        const dir = path.join(this.snapshotDir, id);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, fileName), text);
+        this.writeChecksums(dir, { ...this.readChecksums(dir), [fileName]: checksum });
+        return { id, sha256: checksum, stored: true };
+    }
+
+    resolveLocalFile(fileName) {
+        const stat = fs.statSync(this.localPath, { throwIfNoEntry: false });
+        if (!stat) {
+            throw new Error(`OpenFlights path ${this.localPath} does not exist`);
+        }
+        if (stat.isFile()) return this.localPath;
+
+        for (const candidate of [fileName, `${fileName}.gz`]) {
+            const file = path.join(this.localPath, candidate);
+            if (fs.existsSync(file)) return file;
+        }
+        throw new Error(`Neither ${fileName} nor ${fileName}.gz found in ${this.localPath}`);
+    }
+
+    async openSnapshot(snapshot, fileName) {
+        const file = path.join(snapshot.dir, fileName);
+        const checksum = await sha256File(file);
+        if (checksum !== snapshot.files[fileName]) {
+            throw new Error(`Checksum mismatch for ${file}: expected ${snapshot.files[fileName]}, got ${checksum}`);
+        }
+        return {
+            input: openText(file),
+            info: { file: fileName, origin: 'snapshot', snapshot: snapshot.id, path: file, sha256: checksum }
+        };
+    }
+
+    // Returns { input, info }: input is the CSV text or a readable stream of it, info
+    // records where it came from (for the stage summaries)
+    async open(fileName) {
+        if (this.localPath) {
+            const file = this.resolveLocalFile(fileName);
+            console.log(`📂 Reading OpenFlights ${fileName} from ${file}`);
+            return {
+                input: openText(file),
+                info: { file: fileName, origin: 'local', snapshot: null, path: file, sha256: await sha256File(file) }
+            };
+        }
+
+        if (this.snapshot) {
+            const snapshot = this.findSnapshot(this.snapshot, fileName);
+            console.log(`📌 Using pinned OpenFlights snapshot ${snapshot.id} (${fileName})`);
+            return this.openSnapshot(snapshot, fileName);
+        }
+
+        const url = `${OPENFLIGHTS_URL}/${fileName}`;
+        let text;
+        try {
+            text = await fetchText(url, { kind: 'openflights' });
+        } catch (error) {
+            const fallback = this.listSnapshots().filter(s => s.files[fileName]).pop();
+            if (!fallback) throw error;
+
+            console.log(`⚠️  Download failed (${error.message}), using stored snapshot ${fallback.id}`);
+            return this.openSnapshot(fallback, fileName);
+        }
+
+        const { id, sha256: checksum, stored } = this.storeSnapshot(fileName, text);
+        console.log(`${stored ? '📸 Stored new' : '📸 Unchanged since'} OpenFlights snapshot ${id} (sha256 ${checksum.slice(0, 12)}…)`);
+        return {
+            input: text,
+            info: { file: fileName, origin: 'download', snapshot: id, url, sha256: checksum, fetchedAt: new Date().toISOString() }
+        };
+    }
+}
+
+export { OpenFlightsSource, OPENFLIGHTS_URL, sha256, sha256File };
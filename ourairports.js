@@ -0,0 +1,267 @@
+import fs from 'fs';
+import path from 'path';
+import { isMainModule, parseArgs } from './cli.js';
+import { loadConfig } from './config.js';
+import { CSVReader, readCSV, reportCSVErrors } from './csv-reader.js';
+import { countryCodeOf } from './countries.js';
+
+const REFERENCE_SOURCES = ['openflights', 'ourairports'];
+const AIRPORT_TYPES = new Set(['large_airport', 'medium_airport', 'small_airport']);
+
+// Reference datasets to use, in priority order (--reference openflights,ourairports
+// or sources.reference in harvest.config.json)
+function referenceSources(options = {}) {
+    const sources = options.reference
+        ? String(options.reference).split(',').map(s => s.trim()).filter(Boolean)
+        : loadConfig().sources?.reference || ['openflights'];
+
+    for (const source of sources) {
+        if (!REFERENCE_SOURCES.includes(source)) {
+            throw new Error(`Unknown reference source "${source}" (expected one of: ${REFERENCE_SOURCES.join(', ')})`);
+        }
+    }
+    return sources;
+}
+
+function ourAirportsPath(options = {}) {
+    const dir = options.ourairportsPath || loadConfig().sources?.ourairports?.path;
+    if (!dir) {
+        throw new Error('OurAirports data not configured: pass --ourairports-path <dir> or set sources.ourairports.path');
+    }
+    return dir;
+}
+
+// Rows of a headed CSV file as objects keyed by column name
+async function readTable(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`${file} not found`);
+    }
+
+    const reader = new CSVReader({ nullValue: null });
+    const rows = [];
+    let header = null;
+
+    for await (const { fields } of readCSV(fs.createReadStream(file), reader)) {
+        if (!header) {
+            header = fields;
+            continue;
+        }
+        const row = {};
+        header.forEach((column, i) => {
+            row[column] = fields[i] === undefined || fields[i] === '' ? null : fields[i];
+        });
+        rows.push(row);
+    }
+
+    reportCSVErrors(reader, path.basename(file));
+    return rows;
+}
+
+function codeToName(rows) {
+    return new Map(rows.map(row => [row.code, row.name]));
+}
+
+// One airports.csv row in the record shape OpenFlightsProcessor produces, plus the
+// OurAirports-only fields (ident, country/region codes, scheduled service)
+function normalizeAirport(row, countries, regions) {
+    const icaoCode = [row.icao_code, row.gps_code].find(code => code && /^[A-Z]{4}$/.test(code)) || null;
+
+    return {
+        id: parseInt(row.id) || null,
+        name: row.name,
+        city: row.municipality,
+        country: countries.get(row.iso_country) || row.iso_country,
+        iataCode: row.iata_code && /^[A-Z]{3}$/.test(row.iata_code) ? row.iata_code : null,
+        icaoCode,
+        latitude: parseFloat(row.latitude_deg) || null,
+        longitude: parseFloat(row.longitude_deg) || null,
+        altitude: parseInt(row.elevation_ft) || null, // Feet, like OpenFlights
+        timezone: null,
+        dst: null,
+        timezoneDatabase: null,
+        type: row.type,
+        source: 'OurAirports',
+        ident: row.ident,
+        countryCode: row.iso_country,
+        region: regions.get(row.iso_region) || null,
+        regionCode: row.iso_region,
+        scheduledService: row.scheduled_service === 'yes',
+        dataset: 'ourairports'
+    };
+}
+
+// Load airports.csv, countries.csv and regions.csv from a directory (ourairports.com/data).
+// Only real airports (large/medium/small) are kept; heliports, seaplane bases,
+// balloonports and closed fields are dropped.
+async function loadOurAirports(dir) {
+    console.log(`📂 Reading OurAirports data from ${dir}`);
+
+    const countries = codeToName(await readTable(path.join(dir, 'countries.csv')));
+    const regions = codeToName(await readTable(path.join(dir, 'regions.csv')));
+    const rows = await readTable(path.join(dir, 'airports.csv'));
+
+    const airports = rows
+        .filter(row => AIRPORT_TYPES.has(row.type))
+        .map(row => normalizeAirport(row, countries, regions));
+
+    console.log(`✅ Loaded ${airports.length} airports from OurAirports (${rows.length} rows)`);
+    return airports;
+}
+
+// IATA → airport; when an IATA code is reused, scheduled service and size decide
+function indexByIATA(airports) {
+    const rank = airport => (airport.scheduledService ? 10 : 0) +
+        ({ large_airport: 3, medium_airport: 2, small_airport: 1 }[airport.type] || 0);
+
+    const index = new Map();
+    for (const airport of airports) {
+        if (!airport.iataCode) continue;
+        const existing = index.get(airport.iataCode);
+        if (!existing || rank(airport) > rank(existing)) {
+            index.set(airport.iataCode, airport);
+        }
+    }
+    return index;
+}
+
+// ICAO lookup for the ICAO finders: { icaoCode, match } or null. IATA codes are unique
+// worldwide, so a match in another country means the IATA code (or country) we hold is
+// wrong; it is skipped rather than lending that airport's ICAO code.
+function lookupICAO(index, airport) {
+    const match = index?.get(airport.airportCode?.toUpperCase());
+    if (!match?.icaoCode) return null;
+
+    const countryCode = countryCodeOf(airport);
+    if (countryCode && match.countryCode && match.countryCode !== countryCode) {
+        console.log(`  ⚠️  OurAirports has ${match.iataCode} in ${match.countryCode}, not ${countryCode}; ignoring it`);
+        return null;
+    }
+
+    return {
+        icaoCode: match.icaoCode,
+        match: { ident: match.ident, name: match.name, city: match.city, country: match.country, countryCode: match.countryCode, type: match.type }
+    };
+}
+
+// runways.csv surfaces are free text (ASP, Asphalt, CON, Concrete-Grooved, GRS, turf, ...)
+function surfaceType(surface) {
+    const text = (surface || '').toUpperCase();
+    if (!text) return 'unknown';
+    if (/WAT/.test(text)) return 'water';
+    if (/UNPAVED|GRS|GRASS|TURF|DIRT|GRV|GRAVEL|SAND|CLAY|SOIL|EARTH|COR|LAT|SNOW|ICE/.test(text)) return 'unpaved';
+    if (/ASP|CON|BIT|PEM|TAR|PAVED|MAC/.test(text)) return 'paved';
+    return 'unknown';
+}
+
+// airport ident → runways from an OurAirports runways.csv
+async function loadRunways(file) {
+    const byAirport = new Map();
+    for (const row of await readTable(file)) {
+        const runway = {
+            ident: [row.le_ident, row.he_ident].filter(Boolean).join('/') || null,
+            lengthFt: parseInt(row.length_ft) || null,
+            widthFt: parseInt(row.width_ft) || null,
+            surface: row.surface,
+            lighted: row.lighted === '1',
+            closed: row.closed === '1'
+        };
+        if (!byAirport.has(row.airport_ident)) {
+            byAirport.set(row.airport_ident, []);
+        }
+        byAirport.get(row.airport_ident).push(runway);
+    }
+    return byAirport;
+}
+
+// Longest usable runway (open, with a known length, not a water lane) plus surface,
+// lighting and runway count. longestUsableMeters is null when every runway is closed.
+function summarizeRunways(runways) {
+    const open = runways.filter(r => !r.closed);
+    const usable = open
+        .filter(r => r.lengthFt && surfaceType(r.surface) !== 'water')
+        .sort((a, b) => b.lengthFt - a.lengthFt);
+    const longest = usable[0] || null;
+
+    return {
+        runwayCount: open.length,
+        longestUsableMeters: longest ? Math.round(longest.lengthFt * 0.3048) : null,
+        longestUsableFeet: longest ? longest.lengthFt : null,
+        runwayIdent: longest?.ident || null,
+        surface: longest?.surface || null,
+        surfaceType: surfaceType(longest?.surface),
+        lighted: longest?.lighted || false
+    };
+}
+
+// IATA → runway summary for the categorizer. runways.csv is read from --runways-path,
+// sources.ourairports.runwaysPath or the OurAirports directory; airports.csv from that
+// directory maps IATA codes to the idents runways.csv uses. Null when not configured.
+async function loadRunwayIndex(options = {}) {
+    const settings = loadConfig().sources?.ourairports || {};
+    const dir = options.ourairportsPath || settings.path;
+    const explicitFile = options.runwaysPath || settings.runwaysPath;
+    const file = explicitFile || (dir ? path.join(dir, 'runways.csv') : null);
+    if (!file || (!explicitFile && !fs.existsSync(file))) return null;
+    if (!dir) {
+        throw new Error('Runway data needs OurAirports airports.csv to map IATA codes: pass --ourairports-path <dir> or set sources.ourairports.path');
+    }
+
+    const airports = indexByIATA(await loadOurAirports(dir));
+    const runways = await loadRunways(file);
+
+    const index = new Map();
+    for (const [iataCode, airport] of airports) {
+        const airportRunways = runways.get(airport.ident);
+        if (airportRunways) {
+            index.set(iataCode, summarizeRunways(airportRunways));
+        }
+    }
+
+    console.log(`✅ Loaded runway data for ${index.size} airports with IATA codes`);
+    return index;
+}
+
+// Index for the finders when OurAirports is a configured reference source, else null
+async function loadOurAirportsIndex(options = {}) {
+    if (!referenceSources(options).includes('ourairports')) return null;
+    return indexByIATA(await loadOurAirports(ourAirportsPath(options)));
+}
+
+// Standalone run: write the normalized records for inspection
+async function main(options = {}) {
+    const airports = await loadOurAirports(ourAirportsPath(options));
+    const withCodes = airports.filter(a => a.iataCode || a.icaoCode);
+
+    fs.writeFileSync('ourairports-airports.json', JSON.stringify(withCodes, null, 2));
+    console.log(`💾 Saved ${withCodes.length} airports with IATA or ICAO codes to ourairports-airports.json`);
+
+    const byType = {};
+    for (const airport of withCodes) {
+        byType[airport.type] = (byType[airport.type] || 0) + 1;
+    }
+    console.log('📊 By type:', byType);
+    console.log(`🛫 With scheduled service: ${withCodes.filter(a => a.scheduledService).length}`);
+    return withCodes;
+}
+
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+export {
+    REFERENCE_SOURCES,
+    referenceSources,
+    ourAirportsPath,
+    loadOurAirports,
+    loadOurAirportsIndex,
+    loadRunways,
+    loadRunwayIndex,
+    summarizeRunways,
+    surfaceType,
+    indexByIATA,
+    lookupICAO,
+    main
+};
@@ -0,0 +1,262 @@
+import fs from 'fs';
+
+// Which enricher produces airports-with-icao.json for the `icao` stage
+const ICAO_STRATEGIES = {
+    basic: { module: './add-icao-codes.js', output: 'airports-with-icao.json' },
+    enhanced: { module: './add-icao-enhanced.js', output: 'airports-with-icao-enhanced.json' },
+    wikipedia: { module: './add-icao-wikipedia.js', output: 'airports-with-icao-wikipedia.json' },
+    consensus: { module: './resolve-icao.js', output: 'airports-with-icao-consensus.json' }
+};
+
+async function runICAOStage(options) {
+    const strategyName = options.icao || 'basic';
+    const strategy = ICAO_STRATEGIES[strategyName];
+    if (!strategy) {
+        throw new Error(`Unknown ICAO strategy "${strategyName}" (expected one of: ${Object.keys(ICAO_STRATEGIES).join(', ')})`);
+    }
+
+    const { main } = await import(strategy.module);
+    await main(options);
+
+    // Downstream stages always read airports-with-icao.json
+    if (strategy.output !== 'airports-with-icao.json' && fs.existsSync(strategy.output)) {
+        fs.copyFileSync(strategy.output, 'airports-with-icao.json');
+        console.log(`📄 Copied ${strategy.output} → airports-with-icao.json`);
+    }
+}
+
+// Every stage declares the files it reads and writes; dependencies are derived from them
+const STAGES = [
+    {
+        name: 'cities',
+        description: 'Ask the LLM for beautiful cities in every country',
+        module: './get-beautiful-cities.js',
+        inputs: ['countries.json'],
+        outputs: ['beautiful-cities.json']
+    },
+    {
+        name: 'clean',
+        description: 'Clean up the raw LLM city lists',
+        module: './clean-cities.js',
+        inputs: ['beautiful-cities.json'],
+        outputs: ['beautiful-cities-cleaned.json']
+    },
+    {
+        name: 'airports',
+        description: 'Find the airport serving each city',
+        module: './find-airports.js',
+        inputs: ['beautiful-cities-cleaned.json', 'corrections.json'],
+        outputs: ['airports-found.json', 'airports-summary.json']
+    },
+    {
+        name: 'reshape',
+        description: 'Flatten the airports list',
+        module: './reshape-airports.js',
+        inputs: ['airports-found.json'],
+        outputs: ['airports-flat.json']
+    },
+    {
+        name: 'categorize',
+        description: 'Categorize airports by runway length',
+        module: './categorize-airports.js',
+        inputs: ['airports-flat.json'],
+        outputs: ['airports-categorized.json', 'airports-by-category.json']
+    },
+    {
+        name: 'icao',
+        description: 'Enrich airports with ICAO codes (--icao basic|enhanced|wikipedia|consensus)',
+        inputs: ['airports-categorized.json', 'corrections.json'],
+        outputs: ['airports-with-icao.json'],
+        run: runICAOStage
+    },
+    {
+        name: 'openflights',
+        description: 'Download and clean the OpenFlights airport database',
+        module: './download-openflights.js',
+        inputs: [],
+        outputs: ['openflights-airports-only.json', 'iata-to-icao-lookup.json']
+    },
+    {
+        name: 'validate',
+        description: 'Flag suspicious ICAO codes',
+        module: './validate-icao-codes.js',
+        inputs: ['airports-with-icao.json', 'corrections.json'],
+        outputs: ['suspicious-icao-codes.json']
+    },
+    {
+        name: 'correct',
+        description: 'Correct airports against OpenFlights',
+        module: './correct-airports-with-openflights.js',
+        inputs: ['airports-with-icao.json', 'openflights-airports-only.json', 'corrections.json'],
+        // Read when present: reviewer decisions from `review` and `review-server`
+        optionalInputs: ['review-decisions.json'],
+        outputs: ['airports-with-icao-corrected.json', 'corrections-made.json']
+    },
+    {
+        name: 'database',
+        description: 'Build the SQLite database with full-text search (airports.db)',
+        module: './build-database.js',
+        inputs: ['airports-with-icao-corrected.json', 'beautiful-cities-cleaned.json', 'corrections.json', 'countries.json'],
+        outputs: ['airports.db']
+    }
+];
+
+class Pipeline {
+    constructor(stages = STAGES) {
+        this.stages = stages;
+        this.byName = new Map(stages.map(stage => [stage.name, stage]));
+        this.producers = new Map();
+
+        for (const stage of stages) {
+            for (const output of stage.outputs) {
+                if (this.producers.has(output)) {
+                    throw new Error(`${output} is produced by both ${this.producers.get(output).name} and ${stage.name}`);
+                }
+                this.producers.set(output, stage);
+            }
+        }
+
+        this.order = this.topologicalOrder();
+    }
+
+    getStage(name) {
+        const stage = this.byName.get(name);
+        if (!stage) {
+            throw new Error(`Unknown stage "${name}" (expected one of: ${this.stages.map(s => s.name).join(', ')})`);
+        }
+        return stage;
+    }
+
+    dependenciesOf(stage) {
+        const deps = new Set();
+        for (const input of stage.inputs) {
+            const producer = this.producers.get(input);
+            if (producer && producer !== stage) deps.add(producer);
+        }
+        return [...deps];
+    }
+
+    // Kahn's algorithm, keeping declaration order among stages that are ready at the same time
+    topologicalOrder() {
+        const remaining = new Map(this.stages.map(stage => [stage, this.dependenciesOf(stage).length]));
+        const order = [];
+
+        while (remaining.size > 0) {
+            const ready = this.stages.find(stage => remaining.get(stage) === 0);
+            if (!ready) {
+                throw new Error(`Stage dependency cycle between: ${[...remaining.keys()].map(s => s.name).join(', ')}`);
+            }
+
+            order.push(ready);
+            remaining.delete(ready);
+
+            for (const stage of remaining.keys()) {
+                if (this.dependenciesOf(stage).includes(ready)) {
+                    remaining.set(stage, remaining.get(stage) - 1);
+                }
+            }
+        }
+
+        return order;
+    }
+
+    upstreamOf(stage, seen = new Set()) {
+        for (const dep of this.dependenciesOf(stage)) {
+            if (!seen.has(dep)) {
+                seen.add(dep);
+                this.upstreamOf(dep, seen);
+            }
+        }
+        return seen;
+    }
+
+    // Stages between `from` and `until` (both inclusive), in execution order
+    select({ from, until } = {}) {
+        const fromStage = from ? this.getStage(from) : null;
+        const untilStage = until ? this.getStage(until) : null;
+
+        return this.order.filter(stage => {
+            if (fromStage && stage !== fromStage && !this.upstreamOf(stage).has(fromStage)) return false;
+            if (untilStage && stage !== untilStage && !this.upstreamOf(untilStage).has(stage)) return false;
+            return true;
+        });
+    }
+
+    getStatus(stage) {
+        const missingInputs = stage.inputs.filter(file => !fs.existsSync(file));
+        if (missingInputs.length > 0) {
+            return { state: 'blocked', reason: `missing input ${missingInputs.join(', ')}` };
+        }
+
+        const missingOutputs = stage.outputs.filter(file => !fs.existsSync(file));
+        if (missingOutputs.length > 0) {
+            return { state: 'missing', reason: `missing output ${missingOutputs.join(', ')}` };
+        }
+
+        const presentInputs = [...stage.inputs, ...(stage.optionalInputs || []).filter(file => fs.existsSync(file))];
+        const newestInput = Math.max(0, ...presentInputs.map(file => fs.statSync(file).mtimeMs));
+        const oldestOutput = Math.min(...stage.outputs.map(file => fs.statSync(file).mtimeMs));
+        if (oldestOutput < newestInput) {
+            return { state: 'stale', reason: 'inputs changed since last run' };
+        }
+
+        return { state: 'fresh', reason: 'up to date' };
+    }
+
+    async runStage(stage, options) {
+        const startedAt = Date.now();
+
+        if (stage.run) {
+            await stage.run(options);
+        } else {
+            const { main } = await import(stage.module);
+            await main(options);
+        }
+
+        // Stage scripts log their own errors and return, so check that they actually wrote their outputs
+        for (const output of stage.outputs) {
+            if (!fs.existsSync(output) || fs.statSync(output).mtimeMs < startedAt - 1000) {
+                throw new Error(`Stage ${stage.name} did not produce ${output}`);
+            }
+        }
+    }
+
+    async run(options = {}) {
+        const selected = this.select(options);
+        const results = [];
+
+        console.log(`🚀 Running ${selected.length} stage(s): ${selected.map(s => s.name).join(' → ')}\n`);
+
+        for (const stage of selected) {
+            const status = this.getStatus(stage);
+            const forced = options.force || stage.name === options.from;
+
+            if (status.state === 'blocked') {
+                const producers = stage.inputs
+                    .filter(file => !fs.existsSync(file))
+                    .map(file => this.producers.get(file)?.name)
+                    .filter(Boolean);
+                const hint = producers.length > 0 ? ` (run stage ${producers.join(', ')} first)` : '';
+                throw new Error(`Stage ${stage.name} is blocked: ${status.reason}${hint}`);
+            }
+
+            if (status.state === 'fresh' && !forced) {
+                console.log(`⏭️  ${stage.name}: ${status.reason}, skipping`);
+                results.push({ stage: stage.name, status: 'skipped' });
+                continue;
+            }
+
+            console.log(`\n=== STAGE ${stage.name.toUpperCase()} (${forced ? 'forced' : status.reason}) ===\n`);
+            const startedAt = Date.now();
+            await this.runStage(stage, options);
+
+            const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+            console.log(`\n✅ ${stage.name} finished in ${seconds}s`);
+            results.push({ stage: stage.name, status: 'ran', seconds: Number(seconds) });
+        }
+
+        return results;
+    }
+}
+
+export { Pipeline, STAGES, ICAO_STRATEGIES };
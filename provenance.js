@@ -0,0 +1,129 @@
+import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+
+// Per-field provenance. Every record carries record.provenance[field]: the field's history,
+// oldest first, as [{ value, source, stage, at, evidence }]. Stages call track() whenever
+// they set or overwrite fields; only changes are recorded, so each entry is the stage and
+// source that introduced a value and the last entry explains the current one.
+// Sources are the same names as icaoSource: llm, openflights, ourairports, wikipedia,
+// manual_correction, known_mapping, countries (the ISO table), cleanup and input.
+
+// Stage outputs holding airport records, in pipeline order (the later, the more complete)
+const RECORD_FILES = [
+    'airports-found.json',
+    'airports-flat.json',
+    'airports-categorized.json',
+    'airports-with-icao.json',
+    'airports-with-icao-corrected.json'
+];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Copy of record with a history entry for each field whose value differs from its latest entry
+function track(record, fields, { source, stage, evidence = {} }, at = new Date().toISOString()) {
+    const provenance = { ...(record.provenance || {}) };
+
+    for (const field of fields) {
+        const history = provenance[field] || [];
+        const last = history[history.length - 1];
+        if (last && sameValue(last.value, record[field])) continue;
+
+        provenance[field] = [...history, { value: record[field] ?? null, source, stage, at, evidence }];
+    }
+    return { ...record, provenance };
+}
+
+// Latest provenance entry of a field, or null
+function provenanceOf(record, field) {
+    const history = record.provenance?.[field];
+    return history?.length ? history[history.length - 1] : null;
+}
+
+// ICAO finders: where icaoCode came from, with the evidence each source leaves on the record
+function trackICAO(record, stage, llm) {
+    if (!record.icaoSource || record.icaoSource === 'error') return record;
+
+    const evidence = {};
+    if (record.icaoSource === 'llm') evidence.model = llm?.model;
+    if (record.openFlightsMatch?.id) evidence.openFlightsId = record.openFlightsMatch.id;
+    if (record.ourAirportsMatch?.ident) evidence.ourAirportsIdent = record.ourAirportsMatch.ident;
+    if (record.wikipediaSource?.title) evidence.wikipediaTitle = record.wikipediaSource.title;
+    if (record.icaoResolution?.winner) {
+        evidence.agreeing = record.icaoResolution.winner.sources.map(s => s.source).join('+');
+        evidence.confidence = record.icaoConfidence;
+    }
+    if (record.correctionNote) evidence.note = record.correctionNote;
+
+    return track(record, ['icaoCode'], { source: record.icaoSource, stage, evidence });
+}
+
+function matchesQuery(record, query) {
+    const q = query.toLowerCase();
+    return [record.airportCode, record.icaoCode].some(code => code?.toLowerCase() === q) ||
+        record.airportName?.toLowerCase().includes(q);
+}
+
+// Matching records from the most downstream stage output that has any
+function findRecords(query, files = RECORD_FILES) {
+    for (const file of [...files].reverse()) {
+        if (!fs.existsSync(file)) continue;
+        const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const matches = records.filter(record => matchesQuery(record, query));
+        if (matches.length > 0) return { file, matches };
+    }
+    return { file: null, matches: [] };
+}
+
+function formatEvidence(evidence) {
+    const parts = Object.entries(evidence || {}).filter(([, value]) => value !== undefined && value !== null);
+    return parts.length > 0 ? ` [${parts.map(([key, value]) => `${key}=${value}`).join(', ')}]` : '';
+}
+
+function printHistory(record) {
+    console.log(`\n✈️  ${record.airportCode} - ${record.airportName} (${record.city}, ${record.country})`);
+
+    const fields = Object.keys(record.provenance || {});
+    if (fields.length === 0) {
+        console.log('   (no provenance recorded; produced before provenance tracking)');
+        return;
+    }
+
+    for (const field of fields) {
+        console.log(`   ${field}:`);
+        for (const entry of record.provenance[field]) {
+            console.log(`     ${entry.at}  ${entry.stage.padEnd(10)} ${entry.source.padEnd(17)} ${JSON.stringify(entry.value)}${formatEvidence(entry.evidence)}`);
+        }
+    }
+}
+
+// Show the full field history of airports matching an IATA/ICAO code or part of a name
+function showHistory(query) {
+    if (!query) {
+        throw new Error('Usage: history <IATA code | ICAO code | airport name>');
+    }
+
+    const { file, matches } = findRecords(String(query));
+    if (matches.length === 0) {
+        console.log(`❌ No airport matching "${query}" in ${RECORD_FILES.join(', ')}`);
+        return [];
+    }
+
+    console.log(`📜 History from ${file} (${matches.length} match${matches.length === 1 ? '' : 'es'})`);
+    matches.forEach(printHistory);
+    return matches;
+}
+
+function main(options = {}) {
+    return showHistory(options._?.[0]);
+}
+
+if (isMainModule(import.meta.url)) {
+    try {
+        main(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+export { track, trackICAO, provenanceOf, findRecords, showHistory, RECORD_FILES, main };
@@ -1,4 +1,6 @@
 import fs from 'fs';
+import { isMainModule } from './cli.js';
+import { toCountryCode } from './countries.js';
 
 function reshapeAirportsData() {
     try {
@@ -33,7 +35,8 @@ function reshapeAirportsData() {
                             city: airport.city,
                             airportCode: airport.airportCode,
                             airportName: airport.airportName,
-                            country: country
+                            country: country,
+                            countryCode: toCountryCode(country)
                         });
                     }
                 }
@@ -103,6 +106,8 @@ function main() {
     }
 }
 
-main();
+if (isMainModule(import.meta.url)) {
+    main();
+}
 
-export { reshapeAirportsData }; 
\ No newline at end of file
+export { reshapeAirportsData, main };
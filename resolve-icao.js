@@ -0,0 +1,417 @@
+import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { Journal, airportKey } from './checkpoint.js';
+import { loadConfig } from './config.js';
+import { CorrectionsRegistry } from './corrections.js';
+import { countryCodeOf } from './countries.js';
+import { icaoMatchesCountry } from './icao-prefixes.js';
+import { findICAOFromLLM } from './icao-prompt.js';
+import { createLLMClient } from './llm-client.js';
+import { OpenFlightsSource } from './openflights-source.js';
+import { loadOurAirportsIndex, lookupICAO } from './ourairports.js';
+import { ICAOCodeFinder } from './add-icao-codes.js';
+import { EnhancedICAOFinder } from './add-icao-enhanced.js';
+import { WikipediaICAOFinder } from './add-icao-wikipedia.js';
+import { trackICAO } from './provenance.js';
+import { responseCache } from './response-cache.js';
+import { mapOrdered, stageConcurrency } from './work-pool.js';
+
+const EVIDENCE_SOURCES = ['manual_correction', 'known_mapping', 'openflights', 'ourairports', 'wikipedia', 'llm'];
+
+// Support for a code is the chance that at least one of its sources is right
+// (noisy-OR of the source weights); confidence discounts it by the support its rivals have.
+function support(weights) {
+    return 1 - weights.reduce((miss, weight) => miss * (1 - weight), 1);
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// Asks every evidence source for each airport's ICAO code instead of stopping at the first
+// answer, then picks the code with the most weighted agreement. Candidates whose prefix is
+// not registered to the airport's country are down-weighted.
+class ICAOConsensusResolver {
+    constructor(llm = createLLMClient('icao'), options = {}) {
+        const settings = loadConfig().resolver || {};
+        this.llm = llm;
+        this.options = options;
+        this.weights = settings.weights || {};
+        this.prefixMismatchPenalty = settings.prefixMismatchPenalty ?? 0.3;
+        this.minConfidence = settings.minConfidence ?? 0.5;
+        this.sources = options.sources
+            ? String(options.sources).split(',').map(s => s.trim()).filter(Boolean)
+            : settings.sources || EVIDENCE_SOURCES;
+        for (const source of this.sources) {
+            if (!EVIDENCE_SOURCES.includes(source)) {
+                throw new Error(`Unknown evidence source "${source}" (expected one of: ${EVIDENCE_SOURCES.join(', ')})`);
+            }
+        }
+
+        // The finders own the lookups; the resolver only collects their answers
+        this.basic = new ICAOCodeFinder(llm);
+        this.enhanced = new EnhancedICAOFinder(llm, OpenFlightsSource.forStage('icao', options));
+        this.wikipedia = new WikipediaICAOFinder(llm);
+        this.corrections = CorrectionsRegistry.load();
+        this.ourAirportsIndex = null;
+        this.available = [];
+        this.resolved = [];
+        this.conflicts = [];
+        this.concurrency = stageConcurrency('icao');
+        this.stats = {
+            total: 0,
+            unanimous: 0,
+            singleSource: 0,
+            conflicts: 0,
+            lowConfidence: 0,
+            notFound: 0,
+            errors: 0,
+            bySource: {}
+        };
+    }
+
+    // Load the reference datasets; sources whose data cannot be loaded are left out
+    async loadSources() {
+        this.available = [];
+        for (const source of this.sources) {
+            if (source === 'openflights') {
+                const csvData = await this.enhanced.downloadOpenFlightsData();
+                if (!csvData) {
+                    console.log('⚠️  OpenFlights unavailable, resolving without it');
+                    continue;
+                }
+                await this.enhanced.parseOpenFlightsData(csvData);
+            } else if (source === 'ourairports') {
+                try {
+                    this.ourAirportsIndex = await loadOurAirportsIndex({ ...this.options, reference: 'ourairports' });
+                } catch (error) {
+                    console.log(`⚠️  OurAirports unavailable (${error.message}), resolving without it`);
+                    continue;
+                }
+            }
+            this.available.push(source);
+        }
+        console.log(`🧾 Evidence sources: ${this.available.join(', ')}`);
+    }
+
+    // { icaoCode, detail } from one source, null when it has no answer; throws on lookup failure
+    async ask(source, airport) {
+        switch (source) {
+            case 'manual_correction': {
+                const correction = this.corrections.icaoFor(airport);
+                return correction
+                    ? { icaoCode: correction.icaoCode, detail: { correctionId: correction.entry.id, note: correction.entry.reason } }
+                    : null;
+            }
+            case 'known_mapping': {
+                const icaoCode = this.basic.getKnownICAOCode(airport);
+                return icaoCode ? { icaoCode, detail: {} } : null;
+            }
+            case 'openflights': {
+                const result = this.enhanced.getICAOFromOpenFlights(airport);
+                return result ? { icaoCode: result.icaoCode, detail: { matchedName: result.matchedName } } : null;
+            }
+            case 'ourairports': {
+                const result = lookupICAO(this.ourAirportsIndex, airport);
+                return result ? { icaoCode: result.icaoCode, detail: { matchedName: result.match.name } } : null;
+            }
+            case 'wikipedia': {
+                const result = await this.wikipedia.findICAOFromWikipedia(airport);
+                return result ? { icaoCode: result.icaoCode, detail: { wikipediaTitle: result.wikipediaTitle } } : null;
+            }
+            case 'llm': {
+                const icaoCode = await findICAOFromLLM(this.llm, airport);
+                return icaoCode ? { icaoCode, detail: {} } : null;
+            }
+        }
+        return null;
+    }
+
+    async gatherEvidence(airport) {
+        const answers = [];
+        const silent = [];
+        const errors = [];
+
+        for (const source of this.available) {
+            try {
+                const answer = await this.ask(source, airport);
+                if (answer?.icaoCode) {
+                    answers.push({ source, icaoCode: answer.icaoCode.toUpperCase(), ...answer.detail });
+                } else {
+                    silent.push(source);
+                }
+            } catch (error) {
+                console.log(`  ❌ ${source} lookup error for ${airport.airportCode}: ${error.message}`);
+                errors.push({ source, error: error.message });
+            }
+        }
+        return { answers, silent, errors };
+    }
+
+    // Group answers by code and rank the codes: [{ icaoCode, support, sources }], best first
+    rankCandidates(airport, answers) {
+        const countryCode = countryCodeOf(airport);
+        const byCode = new Map();
+
+        for (const answer of answers) {
+            const prefixMatchesCountry = countryCode ? icaoMatchesCountry(answer.icaoCode, countryCode) : null;
+            let weight = this.weights[answer.source] ?? 0.5;
+            if (prefixMatchesCountry === false) {
+                weight *= this.prefixMismatchPenalty;
+            }
+
+            if (!byCode.has(answer.icaoCode)) {
+                byCode.set(answer.icaoCode, { icaoCode: answer.icaoCode, prefixMatchesCountry, sources: [] });
+            }
+            byCode.get(answer.icaoCode).sources.push({ ...answer, weight: round(weight) });
+        }
+
+        return [...byCode.values()]
+            .map(candidate => ({
+                ...candidate,
+                sources: candidate.sources.sort((a, b) => b.weight - a.weight),
+                support: round(support(candidate.sources.map(s => s.weight)))
+            }))
+            .sort((a, b) => b.support - a.support || b.sources.length - a.sources.length);
+    }
+
+    explain(winner, losers, countryCode) {
+        const names = candidate => candidate.sources.map(s => s.source).join(' + ');
+        const winnerNote = winner.prefixMatchesCountry === false ? `; prefix not registered to ${countryCode}` : '';
+
+        if (losers.length === 0) {
+            return (winner.sources.length === 1 ? `only ${names(winner)} answered` : `${names(winner)} agree`) + winnerNote;
+        }
+
+        const reasons = losers.map(loser => {
+            const prefixNote = loser.prefixMatchesCountry === false ? `, prefix not registered to ${countryCode}` : '';
+            return `${loser.icaoCode} from ${names(loser)} (support ${loser.support}${prefixNote})`;
+        });
+        return `${winner.icaoCode} from ${names(winner)} (support ${winner.support}) outweighs ${reasons.join(', ')}${winnerNote}`;
+    }
+
+    async resolveAirport(airport, index, total) {
+        console.log(`[${index + 1}/${total}] Resolving: ${airport.airportCode} - ${airport.airportName}`);
+
+        const { answers, silent, errors } = await this.gatherEvidence(airport);
+        const [winner, ...losers] = this.rankCandidates(airport, answers);
+        const countryCode = countryCodeOf(airport);
+
+        if (!winner) {
+            if (errors.length > 0) {
+                this.stats.errors++;
+                return { ...airport, icaoCode: null, icaoSource: 'error', error: errors.map(e => `${e.source}: ${e.error}`).join('; ') };
+            }
+            console.log(`  ❌ No source knows ${airport.airportCode}`);
+            this.stats.notFound++;
+            return { ...airport, icaoCode: null, icaoSource: 'not_found', icaoResolution: { silent } };
+        }
+
+        const totalSupport = [winner, ...losers].reduce((sum, candidate) => sum + candidate.support, 0);
+        const confidence = round(winner.support * winner.support / totalSupport);
+        const reason = this.explain(winner, losers, countryCode);
+        const icon = losers.length > 0 ? '⚖️ ' : '✅';
+        console.log(`  ${icon} ${airport.airportCode} → ${winner.icaoCode} (confidence ${confidence}): ${reason}`);
+
+        const resolution = { winner, losers, silent, reason };
+        if (errors.length > 0) {
+            resolution.errors = errors; // Partial evidence; not journaled, so the next run asks again
+        }
+
+        if (losers.length > 0) {
+            this.stats.conflicts++;
+            this.conflicts.push({
+                airportCode: airport.airportCode,
+                airportName: airport.airportName,
+                city: airport.city,
+                country: airport.country,
+                countryCode,
+                chosen: winner.icaoCode,
+                confidence,
+                reason,
+                answers: answers.map(({ source, icaoCode }) => ({ source, icaoCode }))
+            });
+        } else if (winner.sources.length > 1) {
+            this.stats.unanimous++;
+        } else {
+            this.stats.singleSource++;
+        }
+        if (confidence < this.minConfidence) {
+            this.stats.lowConfidence++;
+        }
+
+        const icaoSource = winner.sources[0].source;
+        this.stats.bySource[icaoSource] = (this.stats.bySource[icaoSource] || 0) + 1;
+
+        return {
+            ...airport,
+            icaoCode: winner.icaoCode,
+            icaoSource, // Strongest source behind the winning code
+            icaoConfidence: confidence,
+            icaoResolution: resolution
+        };
+    }
+
+    // Re-count a journaled result when resuming an interrupted run
+    restoreStats(resolved) {
+        const resolution = resolved.icaoResolution;
+        if (!resolved.icaoCode) {
+            this.stats.notFound++;
+            return;
+        }
+        if (resolution.losers.length > 0) {
+            this.stats.conflicts++;
+        } else if (resolution.winner.sources.length > 1) {
+            this.stats.unanimous++;
+        } else {
+            this.stats.singleSource++;
+        }
+        if (resolved.icaoConfidence < this.minConfidence) {
+            this.stats.lowConfidence++;
+        }
+        this.stats.bySource[resolved.icaoSource] = (this.stats.bySource[resolved.icaoSource] || 0) + 1;
+    }
+
+    // Rebuild a conflicts report entry for a journaled result
+    restoreConflict(resolved) {
+        const { winner, losers, reason } = resolved.icaoResolution || {};
+        if (!losers?.length) return;
+
+        this.conflicts.push({
+            airportCode: resolved.airportCode,
+            airportName: resolved.airportName,
+            city: resolved.city,
+            country: resolved.country,
+            countryCode: countryCodeOf(resolved),
+            chosen: winner.icaoCode,
+            confidence: resolved.icaoConfidence,
+            reason,
+            answers: [winner, ...losers].flatMap(c => c.sources.map(({ source, icaoCode }) => ({ source, icaoCode })))
+        });
+    }
+
+    async processAirports(options = {}) {
+        try {
+            console.log('⚖️  ICAO Consensus Resolver\n');
+
+            if (!fs.existsSync('airports-categorized.json')) {
+                console.error('❌ airports-categorized.json not found');
+                console.log('Please run categorize-airports.js first');
+                return null;
+            }
+
+            await this.loadSources();
+            if (this.available.length === 0) {
+                console.error('❌ No evidence sources available');
+                return null;
+            }
+
+            const airports = JSON.parse(fs.readFileSync('airports-categorized.json', 'utf8'));
+            console.log(`\n📋 Found ${airports.length} airports to resolve`);
+            if (this.available.includes('llm')) {
+                console.log(`🧠 Using model: ${this.llm.describe()}\n`);
+            }
+
+            this.stats.total = airports.length;
+
+            const journal = new Journal('icao-consensus', options);
+            journal.logResume('airports');
+
+            this.resolved = await mapOrdered(airports, async (airport, i) => {
+                const key = airportKey(airport);
+                if (journal.has(key)) {
+                    const resolved = journal.get(key);
+                    this.restoreStats(resolved);
+                    this.restoreConflict(resolved);
+                    return resolved;
+                }
+
+                const resolved = trackICAO(await this.resolveAirport(airport, i, airports.length), 'icao', this.llm);
+                // Failed or partial lookups stay out of the journal so the next run retries them
+                if (resolved.icaoSource !== 'error' && !resolved.icaoResolution?.errors) {
+                    journal.record(key, resolved);
+                }
+                return resolved;
+            }, { concurrency: this.concurrency });
+
+            console.log('\n=== ICAO CONSENSUS COMPLETE ===');
+            this.generateReport();
+            this.saveResults();
+
+            const retry = this.resolved.filter(a => a.icaoSource === 'error' || a.icaoResolution?.errors).length;
+            if (retry > 0) {
+                console.log(`⚠️  ${retry} airports had failing sources; run again to retry only those`);
+            } else {
+                journal.complete();
+            }
+
+            return this.resolved;
+
+        } catch (error) {
+            console.error('Error resolving ICAO codes:', error);
+            return null;
+        }
+    }
+
+    generateReport() {
+        const resolved = this.stats.unanimous + this.stats.singleSource + this.stats.conflicts;
+        const percent = count => (count / this.stats.total * 100).toFixed(1);
+
+        console.log(`\n📊 ICAO CONSENSUS STATISTICS:`);
+        console.log(`Total airports: ${this.stats.total}`);
+        console.log(`✅ Resolved: ${resolved} (${percent(resolved)}%)`);
+        console.log(`🤝 Sources agree: ${this.stats.unanimous}`);
+        console.log(`☝️  Single source: ${this.stats.singleSource}`);
+        console.log(`⚖️  Conflicts: ${this.stats.conflicts}`);
+        console.log(`📉 Below confidence ${this.minConfidence}: ${this.stats.lowConfidence}`);
+        console.log(`❌ Not found: ${this.stats.notFound}`);
+        console.log(`⚠️  Errors (retry later): ${this.stats.errors}`);
+        console.log('🏆 Winning source:', this.stats.bySource);
+
+        console.log(`\n💾 ${responseCache.formatStats()}`);
+        const rejections = this.llm.formatRejections();
+        if (rejections) {
+            console.log(`🚫 ${rejections}`);
+        }
+    }
+
+    saveResults() {
+        fs.writeFileSync('airports-with-icao-consensus.json', JSON.stringify(this.resolved, null, 2));
+        console.log('\n💾 Saved to airports-with-icao-consensus.json');
+
+        const report = {
+            statistics: this.stats,
+            sources: this.available,
+            weights: Object.fromEntries(this.available.map(source => [source, this.weights[source] ?? 0.5])),
+            prefixMismatchPenalty: this.prefixMismatchPenalty,
+            processedAt: new Date().toISOString(),
+            conflicts: this.conflicts.sort((a, b) => a.confidence - b.confidence)
+        };
+        fs.writeFileSync('icao-conflicts.json', JSON.stringify(report, null, 2));
+        console.log(`💾 Saved ${this.conflicts.length} conflicts to icao-conflicts.json (least confident first)`);
+    }
+
+    async testConnection() {
+        return this.llm.testConnection();
+    }
+}
+
+// Main execution
+async function main(options = {}) {
+    responseCache.configure({ enabled: options.cache !== false });
+    const resolver = new ICAOConsensusResolver(createLLMClient('icao'), options);
+
+    if (resolver.sources.includes('llm')) {
+        const connected = await resolver.testConnection();
+        if (!connected) {
+            console.log('Make sure the LLM backend is running (e.g. ollama serve), or leave it out with --sources');
+            return;
+        }
+    }
+
+    await resolver.processAirports(options);
+}
+
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(console.error);
+}
+
+export { ICAOConsensusResolver, EVIDENCE_SOURCES, main };
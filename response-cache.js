@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { loadConfig } from './config.js';
+
+const CACHE_DIR = path.join('.harvest', 'cache');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// JSON.stringify with sorted object keys, so equal key parts always hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Content-addressed on-disk cache: each entry lives in <dir>/<hash[0..2]>/<hash>.json
+class ResponseCache {
+    constructor({ dir = CACHE_DIR, enabled = true } = {}) {
+        this.dir = dir;
+        this.enabled = enabled;
+        this.stats = { hits: 0, misses: 0, expired: 0, writes: 0, bypassed: 0 };
+    }
+
+    configure({ enabled = this.enabled, dir = this.dir } = {}) {
+        this.enabled = enabled;
+        this.dir = dir;
+    }
+
+    hash(keyParts) {
+        return crypto.createHash('sha256').update(stableStringify(keyParts)).digest('hex');
+    }
+
+    fileFor(hash) {
+        return path.join(this.dir, hash.slice(0, 2), `${hash}.json`);
+    }
+
+    // TTL in ms for a kind of lookup (llm, wikipedia, openflights, ...); null means never expires
+    ttlFor(kind) {
+        const days = loadConfig().cache?.ttlDays?.[kind];
+        return days == null ? null : days * DAY_MS;
+    }
+
+    get(keyParts) {
+        const file = this.fileFor(this.hash(keyParts));
+        if (!fs.existsSync(file)) {
+            this.stats.misses++;
+            return undefined;
+        }
+
+        try {
+            const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (entry.expiresAt && Date.parse(entry.expiresAt) <= Date.now()) {
+                this.stats.expired++;
+                this.stats.misses++;
+                return undefined;
+            }
+
+            this.stats.hits++;
+            return entry.value;
+        } catch (error) {
+            // Corrupt entry (e.g. interrupted write): treat as a miss, it will be overwritten
+            this.stats.misses++;
+            return undefined;
+        }
+    }
+
+    set(keyParts, value, { ttlMs = null } = {}) {
+        const file = this.fileFor(this.hash(keyParts));
+        const now = Date.now();
+        const entry = {
+            key: keyParts,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: ttlMs == null ? null : new Date(now + ttlMs).toISOString(),
+            value
+        };
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        // Write then rename, so a crash never leaves a half-written entry behind
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry));
+        fs.renameSync(`${file}.tmp`, file);
+        this.stats.writes++;
+    }
+
+    // Return the cached value for keyParts, or compute, store and return it.
+    // Failed computations (throws, null/undefined results) are never cached.
+    async wrap(keyParts, compute, { ttlMs = null } = {}) {
+        if (!this.enabled) {
+            this.stats.bypassed++;
+            return compute();
+        }
+
+        const cached = this.get(keyParts);
+        if (cached !== undefined) {
+            return cached;
+        }
+
+        const value = await compute();
+        if (value !== undefined && value !== null) {
+            this.set(keyParts, value, { ttlMs });
+        }
+        return value;
+    }
+
+    *entries() {
+        if (!fs.existsSync(this.dir)) return;
+
+        for (const bucket of fs.readdirSync(this.dir)) {
+            const bucketDir = path.join(this.dir, bucket);
+            if (!fs.statSync(bucketDir).isDirectory()) continue;
+
+            for (const name of fs.readdirSync(bucketDir)) {
+                yield path.join(bucketDir, name);
+            }
+        }
+    }
+
+    // Remove expired entries, plus everything older than olderThanMs, or everything with all
+    prune({ all = false, olderThanMs = null } = {}) {
+        const result = { removed: 0, kept: 0, bytesFreed: 0 };
+        const now = Date.now();
+
+        for (const file of this.entries()) {
+            const size = fs.statSync(file).size;
+            let remove = all || file.endsWith('.tmp');
+
+            if (!remove) {
+                try {
+                    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+                    remove = (entry.expiresAt && Date.parse(entry.expiresAt) <= now) ||
+                        (olderThanMs != null && now - Date.parse(entry.createdAt) > olderThanMs);
+                } catch (error) {
+                    remove = true;
+                }
+            }
+
+            if (remove) {
+                fs.rmSync(file, { force: true });
+                result.removed++;
+                result.bytesFreed += size;
+            } else {
+                result.kept++;
+            }
+        }
+
+        for (const bucket of fs.existsSync(this.dir) ? fs.readdirSync(this.dir) : []) {
+            const bucketDir = path.join(this.dir, bucket);
+            if (fs.statSync(bucketDir).isDirectory() && fs.readdirSync(bucketDir).length === 0) {
+                fs.rmdirSync(bucketDir);
+            }
+        }
+
+        return result;
+    }
+
+    summary() {
+        let entries = 0;
+        let bytes = 0;
+        for (const file of this.entries()) {
+            entries++;
+            bytes += fs.statSync(file).size;
+        }
+        return { entries, bytes };
+    }
+
+    formatStats() {
+        const { hits, misses, writes, bypassed } = this.stats;
+        if (!this.enabled) {
+            return `Cache: disabled (--no-cache), ${bypassed} lookups bypassed`;
+        }
+
+        const lookups = hits + misses;
+        const hitRate = lookups > 0 ? (hits / lookups * 100).toFixed(1) : '0.0';
+        return `Cache: ${hits} hits, ${misses} misses (${hitRate}% hit rate), ${writes} new entries`;
+    }
+}
+
+// Shared by the LLM client and the HTTP helpers for the whole process
+const responseCache = new ResponseCache();
+
+export { ResponseCache, responseCache, stableStringify, CACHE_DIR, DAY_MS };
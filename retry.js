@@ -0,0 +1,170 @@
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class HTTPError extends Error {
+    constructor(status, url) {
+        super(`HTTP error! status: ${status}`);
+        this.name = 'HTTPError';
+        this.status = status;
+        this.url = url;
+    }
+}
+
+class TimeoutError extends Error {
+    constructor(ms) {
+        super(`request timed out after ${ms}ms`);
+        this.name = 'TimeoutError';
+    }
+}
+
+class CircuitOpenError extends Error {
+    constructor(name, downForMs) {
+        super(`${name} has been unavailable for ${Math.round(downForMs / 1000)}s, giving up`);
+        this.name = 'CircuitOpenError';
+    }
+}
+
+// Server hiccups, rate limiting, timeouts and network failures are worth retrying;
+// other 4xx responses and parse errors are not
+function isTransientError(error) {
+    if (error instanceof HTTPError) {
+        return error.status >= 500 || error.status === 429 || error.status === 408;
+    }
+    if (error instanceof TimeoutError) return true;
+    // fetch() rejects with a TypeError for refused connections, DNS failures, resets, ...
+    return error instanceof TypeError && /fetch failed|network|socket|ECONN/i.test(`${error.message} ${error.cause?.code || ''}`);
+}
+
+// Exponential backoff with full jitter: wait a random time in [0, min(max, base * 2^attempt)]
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+    return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+async function withRetry(fn, { retries = 3, baseDelayMs = 500, maxDelayMs = 15000, label = 'request' } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !isTransientError(error)) {
+                throw error;
+            }
+
+            const wait = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+            console.log(`  🔁 ${label} failed (${error.message}), retry ${attempt + 1}/${retries} in ${(wait / 1000).toFixed(1)}s`);
+            await sleep(wait);
+        }
+    }
+}
+
+// Run fn(signal) and abort it after timeoutMs
+async function withTimeout(fn, timeoutMs) {
+    if (!timeoutMs) return fn(undefined);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fn(controller.signal);
+    } catch (error) {
+        if (controller.signal.aborted) {
+            throw new TimeoutError(timeoutMs);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// After `failureThreshold` consecutive transient failures the circuit opens and every
+// caller pauses for `cooldownMs`. Then a single probe request is let through: success
+// closes the circuit, failure reopens it. Once the backend has been down for longer
+// than `maxDownMs`, callers get a CircuitOpenError instead of waiting.
+class CircuitBreaker {
+    constructor(name, { failureThreshold = 5, cooldownMs = 30000, maxDownMs = 10 * 60 * 1000 } = {}) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.cooldownMs = cooldownMs;
+        this.maxDownMs = maxDownMs;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.downSince = null;
+        this.probe = null;
+        this.settleProbe = null;
+    }
+
+    async waitUntilUsable() {
+        while (this.state !== 'closed') {
+            if (Date.now() - this.downSince > this.maxDownMs) {
+                throw new CircuitOpenError(this.name, Date.now() - this.downSince);
+            }
+
+            if (this.state === 'open') {
+                const remaining = this.openedAt + this.cooldownMs - Date.now();
+                if (remaining > 0) {
+                    await sleep(remaining);
+                    continue;
+                }
+                this.state = 'half-open';
+                this.probe = new Promise(resolve => { this.settleProbe = resolve; });
+                return true; // This caller is the probe
+            }
+
+            // Half-open: wait for the probe's outcome
+            await this.probe;
+        }
+        return false;
+    }
+
+    async execute(fn) {
+        const isProbe = await this.waitUntilUsable();
+
+        try {
+            const result = await fn();
+            this.onSuccess();
+            return result;
+        } catch (error) {
+            if (isTransientError(error)) {
+                this.onFailure(isProbe);
+            } else if (isProbe) {
+                this.onSuccess(); // The backend answered, it just did not like the request
+            }
+            throw error;
+        } finally {
+            if (isProbe) this.settleProbe();
+        }
+    }
+
+    onSuccess() {
+        if (this.state !== 'closed') {
+            console.log(`▶️  ${this.name} is back, resuming`);
+        }
+        this.state = 'closed';
+        this.failures = 0;
+        this.downSince = null;
+    }
+
+    onFailure(isProbe) {
+        this.failures++;
+        if (isProbe || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+            if (this.state === 'closed') {
+                this.downSince = Date.now();
+            }
+            this.state = 'open';
+            this.openedAt = Date.now();
+            console.log(`⏸️  ${this.name} looks down (${this.failures} failures in a row), pausing for ${Math.round(this.cooldownMs / 1000)}s`);
+        }
+    }
+}
+
+export {
+    HTTPError,
+    TimeoutError,
+    CircuitOpenError,
+    CircuitBreaker,
+    isTransientError,
+    withRetry,
+    withTimeout,
+    backoffDelay,
+    sleep
+};
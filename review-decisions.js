@@ -0,0 +1,88 @@
+import fs from 'fs';
+import { airportKey } from './checkpoint.js';
+
+const DECISIONS_FILE = 'review-decisions.json';
+
+// Field → correction type, as labelled by AirportCorrector.needsCorrection
+const CORRECTION_TYPES = {
+    airportCode: 'IATA',
+    icaoCode: 'ICAO',
+    city: 'City',
+    airportName: 'Name'
+};
+
+// A corrector change is identified by the airport before correction and the reference record it was matched to
+function correctionKey(record) {
+    const reference = record.openFlightsData || {};
+    return `correction|${airportKey(record.originalData || {})}|${reference.dataset || 'openflights'}#${reference.id ?? '?'}`;
+}
+
+function suspiciousKey(airport, icaoCode) {
+    return `suspicious|${airportKey(airport)}|${icaoCode}`;
+}
+
+// Reviewer decisions from `review` and `review-server`, keyed by correctionKey/suspiciousKey:
+// { decision: accepted|edited|rejected|mixed, fields?: { city: 'rejected', ... }, reviewer, at, ... }
+// A whole-item decision covers every field; `fields` holds per-field decisions made in the
+// web UI. The correct stage reads it and keeps the original value of every rejected field.
+class ReviewDecisions {
+    constructor(data = {}, file = DECISIONS_FILE) {
+        this.file = file;
+        this.decisions = data.decisions || {};
+    }
+
+    static load(file = DECISIONS_FILE) {
+        if (!fs.existsSync(file)) {
+            return new ReviewDecisions({}, file);
+        }
+        try {
+            return new ReviewDecisions(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+        } catch (error) {
+            throw new Error(`${file} parse error: ${error.message}`);
+        }
+    }
+
+    save() {
+        fs.writeFileSync(this.file, JSON.stringify({ version: 1, decisions: this.decisions }, null, 2));
+    }
+
+    get(key) {
+        return this.decisions[key] || null;
+    }
+
+    // Whole-item decision; replaces any per-field ones
+    set(key, decision, details = {}) {
+        this.decisions[key] = { decision, ...details, at: new Date().toISOString() };
+        return this.decisions[key];
+    }
+
+    // Per-field decision (null clears it); the item's decision is the fields' common value, else mixed
+    setField(key, field, decision, details = {}) {
+        const previous = this.decisions[key];
+        const fields = { ...(previous?.fields || {}) };
+        if (decision) {
+            fields[field] = decision;
+        } else {
+            delete fields[field];
+        }
+
+        const values = [...new Set(Object.values(fields))];
+        if (values.length === 0) {
+            delete this.decisions[key];
+            return null;
+        }
+        return this.set(key, values.length === 1 ? values[0] : 'mixed', { ...details, fields });
+    }
+
+    fieldDecision(key, field) {
+        const entry = this.decisions[key];
+        if (!entry) return null;
+        return entry.fields ? entry.fields[field] || null : entry.decision;
+    }
+
+    isRejected(key, field) {
+        return this.fieldDecision(key, field) === 'rejected';
+    }
+}
+
+export { ReviewDecisions, DECISIONS_FILE, CORRECTION_TYPES, correctionKey, suspiciousKey };
@@ -0,0 +1,380 @@
+import fs from 'fs';
+import http from 'http';
+import { isMainModule, parseArgs } from './cli.js';
+import { ReviewDecisions, CORRECTION_TYPES, correctionKey } from './review-decisions.js';
+
+const DEFAULT_PORT = 8765;
+const MAX_BODY_BYTES = 1024 * 1024;
+const DIFF_FIELDS = ['airportCode', 'icaoCode', 'airportName', 'city', 'country'];
+
+function readJSON(file) {
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`❌ ${file} parse error:`, error.message);
+        return null;
+    }
+}
+
+function pick(record, fields = DIFF_FIELDS) {
+    return Object.fromEntries(fields.map(field => [field, record?.[field] ?? null]));
+}
+
+// Single-page UI; all filtering happens in the browser, every click is saved straight away
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Airport correction review</title>
+<style>
+  body { font: 14px system-ui, sans-serif; margin: 0; color: #222; }
+  header { position: sticky; top: 0; background: #f4f4f4; border-bottom: 1px solid #ccc; padding: 8px 16px; z-index: 1; }
+  header label { margin-right: 12px; }
+  main { padding: 8px 16px; }
+  .airport { border: 1px solid #ddd; border-radius: 4px; margin: 8px 0; }
+  .airport h3 { margin: 0; padding: 6px 8px; background: #fafafa; font-size: 14px; font-weight: 600; }
+  .airport h3 small { font-weight: normal; color: #666; margin-left: 8px; }
+  table { border-collapse: collapse; width: 100%; }
+  td, th { padding: 4px 8px; border-top: 1px solid #eee; text-align: left; vertical-align: top; }
+  th { font-weight: 500; color: #666; }
+  td.from { background: #fdecea; }
+  td.to { background: #e8f5e9; }
+  td.same { color: #999; }
+  tr.accepted td.status { color: #2e7d32; font-weight: 600; }
+  tr.rejected td.status { color: #c62828; font-weight: 600; }
+  tr.rejected td.to { text-decoration: line-through; }
+  button { margin-right: 4px; }
+  #status { margin-left: 12px; color: #666; }
+</style>
+</head>
+<body>
+<header>
+  <label>Match <select id="matchType"><option value="">all</option></select></label>
+  <label>Country <select id="country"><option value="">all</option></select></label>
+  <label>Change <select id="type"><option value="">all</option></select></label>
+  <label>Decision <select id="decision">
+    <option value="">all</option><option value="undecided">undecided</option>
+    <option value="accepted">approved</option><option value="rejected">reverted</option>
+  </select></label>
+  <label>Search <input id="search" size="14"></label>
+  <br>
+  <label><input type="checkbox" id="selectAll"> select all shown</label>
+  <button data-batch="accepted">Approve selected</button>
+  <button data-batch="rejected">Revert selected</button>
+  <button data-batch="">Clear selected</button>
+  <span id="count"></span><span id="status"></span>
+</header>
+<main id="list"></main>
+<script>
+var items = [];
+var selected = {};
+var $ = function (id) { return document.getElementById(id); };
+
+function esc(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function fillSelect(id, values) {
+  var select = $(id);
+  values.forEach(function (value) {
+    var option = document.createElement('option');
+    option.value = option.textContent = value;
+    select.appendChild(option);
+  });
+}
+
+// Changes of an item that pass the change-type and decision filters
+function visibleChanges(item) {
+  var type = $('type').value, decision = $('decision').value;
+  return item.changes.filter(function (change) {
+    if (type && change.type !== type) return false;
+    if (decision === 'undecided') return !change.decision;
+    return !decision || change.decision === decision;
+  });
+}
+
+function visibleItems() {
+  var matchType = $('matchType').value, country = $('country').value, search = $('search').value.toLowerCase();
+  return items.filter(function (item) {
+    if (matchType && item.matchType !== matchType) return false;
+    if (country && item.countryLabel !== country) return false;
+    if (search && JSON.stringify(item.original).toLowerCase().indexOf(search) === -1 &&
+        JSON.stringify(item.corrected).toLowerCase().indexOf(search) === -1) return false;
+    return visibleChanges(item).length > 0;
+  });
+}
+
+function render() {
+  var shown = visibleItems();
+  $('count').textContent = shown.length + ' of ' + items.length + ' corrected airports';
+  $('list').innerHTML = shown.map(function (item) {
+    var changed = {};
+    visibleChanges(item).forEach(function (change) { changed[change.field] = change; });
+    var rows = Object.keys(item.original).map(function (field) {
+      var change = changed[field];
+      if (!change) {
+        return '<tr><th>' + esc(field) + '</th><td class="same">' + esc(item.original[field]) + '</td><td class="same">' +
+          esc(item.corrected[field]) + '</td><td></td><td></td></tr>';
+      }
+      var ref = ' data-key="' + esc(item.key) + '" data-field="' + field + '"';
+      return '<tr class="' + (change.decision || '') + '"><th>' + esc(change.type) + '</th><td class="from">' + esc(change.from) +
+        '</td><td class="to">' + esc(change.to) + '</td><td class="status">' +
+        (change.decision === 'accepted' ? 'approved' : change.decision === 'rejected' ? 'reverted' : '') + '</td><td>' +
+        '<button data-decision="accepted"' + ref + '>Approve</button><button data-decision="rejected"' + ref + '>Revert</button>' +
+        (change.decision ? '<button data-decision=""' + ref + '>Undo</button>' : '') + '</td></tr>';
+    }).join('');
+    return '<div class="airport"><h3><input type="checkbox" data-select="' + esc(item.key) + '"' +
+      (selected[item.key] ? ' checked' : '') + '> ' + esc(item.original.airportCode) + ' ' + esc(item.original.airportName) +
+      '<small>' + esc(item.country) + ' · ' + esc(item.matchType) + ' match · ' + esc(item.reference) + '</small></h3>' +
+      '<table><tr><th></th><th>original</th><th>corrected</th><th></th><th></th></tr>' + rows + '</table></div>';
+  }).join('');
+}
+
+function load() {
+  return fetch('/api/items').then(function (response) { return response.json(); }).then(function (data) {
+    items = data.items;
+    render();
+  });
+}
+
+function save(changes) {
+  if (changes.length === 0) return;
+  $('status').textContent = 'saving…';
+  fetch('/api/decisions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ changes: changes })
+  }).then(function (response) {
+    return response.json().then(function (body) {
+      if (!response.ok) throw new Error(body.error);
+      $('status').textContent = 'saved ' + changes.length + ' decision(s) to ' + body.file;
+      return load();
+    });
+  }).catch(function (error) { $('status').textContent = 'error: ' + error.message; });
+}
+
+document.addEventListener('click', function (event) {
+  var target = event.target;
+  if (target.dataset.decision !== undefined) {
+    save([{ key: target.dataset.key, field: target.dataset.field, decision: target.dataset.decision || null }]);
+  } else if (target.dataset.select !== undefined) {
+    selected[target.dataset.select] = target.checked;
+  } else if (target.dataset.batch !== undefined) {
+    var changes = [];
+    visibleItems().filter(function (item) { return selected[item.key]; }).forEach(function (item) {
+      visibleChanges(item).forEach(function (change) {
+        changes.push({ key: item.key, field: change.field, decision: target.dataset.batch || null });
+      });
+    });
+    save(changes);
+  } else if (target.id === 'selectAll') {
+    visibleItems().forEach(function (item) { selected[item.key] = target.checked; });
+    render();
+  }
+});
+
+['matchType', 'country', 'type', 'decision'].forEach(function (id) { $(id).addEventListener('change', render); });
+$('search').addEventListener('input', render);
+
+load().then(function () {
+  var unique = function (values) { return values.filter(function (v, i) { return v && values.indexOf(v) === i; }).sort(); };
+  fillSelect('matchType', unique(items.map(function (item) { return item.matchType; })));
+  fillSelect('country', unique(items.map(function (item) { return item.countryLabel; })));
+  fillSelect('type', unique([].concat.apply([], items.map(function (item) {
+    return item.changes.map(function (change) { return change.type; });
+  }))));
+});
+</script>
+</body>
+</html>
+`;
+
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Serves the AirportCorrector's changes for review in a browser. Decisions are stored per
+// changed field in review-decisions.json; the correct stage keeps the original value of
+// every reverted field on its next run.
+class ReviewServer {
+    constructor(options = {}) {
+        this.port = Number(options.port) || DEFAULT_PORT;
+        this.host = options.host || '127.0.0.1';
+        this.reviewer = options.reviewer || process.env.USER || 'unknown';
+        this.decisions = ReviewDecisions.load();
+        this.server = null;
+    }
+
+    // Corrected airports with the decision for each changed field
+    loadItems() {
+        const corrected = readJSON('airports-with-icao-corrected.json');
+        const records = readJSON('corrections-made.json') ||
+            (corrected || []).filter(airport => airport.correctionStatus === 'corrected');
+
+        return records.filter(record => record.originalData).map(record => {
+            const key = correctionKey(record);
+            // Reverted fields hold the original value; the reference value is kept aside
+            // Both sides go through pick, so a missing value and null compare equal
+            const proposed = pick({ ...record, ...record.revertedInReview });
+            const original = pick(record.originalData);
+            const reference = record.openFlightsData || {};
+
+            return {
+                key,
+                matchType: record.matchType,
+                country: record.originalData.country,
+                countryLabel: record.originalData.countryCode || record.originalData.country,
+                reference: `${reference.dataset || 'openflights'} #${reference.id ?? '?'}`,
+                original,
+                corrected: proposed,
+                changes: Object.entries(CORRECTION_TYPES)
+                    .filter(([field]) => proposed[field] !== original[field])
+                    .map(([field, type]) => ({
+                        field,
+                        type,
+                        from: original[field],
+                        to: proposed[field],
+                        decision: this.decisions.fieldDecision(key, field)
+                    }))
+            };
+        }).filter(item => item.changes.length > 0);
+    }
+
+    // { changes: [{ key, field, decision: accepted|rejected|null }] }
+    recordDecisions(body) {
+        const items = new Map(this.loadItems().map(item => [item.key, item]));
+        const changes = Array.isArray(body?.changes) ? body.changes : [];
+
+        // The whole batch is checked before anything is recorded
+        for (const { key, field, decision } of changes) {
+            const item = items.get(key);
+            if (!item || !item.changes.some(change => change.field === field)) {
+                throw new Error(`No change of ${field} for ${key}`);
+            }
+            if (decision !== null && decision !== 'accepted' && decision !== 'rejected') {
+                throw new Error(`Unknown decision "${decision}"`);
+            }
+        }
+
+        for (const { key, field, decision } of changes) {
+            const item = items.get(key);
+
+            // A whole-airport decision from the terminal review becomes per-field decisions first
+            const existing = this.decisions.get(key);
+            const details = { kind: 'correction', airport: `${item.original.airportCode} (${item.original.airportName})`, reviewer: this.reviewer };
+            if (existing && !existing.fields) {
+                for (const change of item.changes) {
+                    this.decisions.setField(key, change.field, existing.decision, details);
+                }
+            }
+            this.decisions.setField(key, field, decision, details);
+        }
+
+        this.decisions.save();
+        return changes.length;
+    }
+
+    send(res, status, body, type = 'application/json') {
+        res.writeHead(status, { 'Content-Type': `${type}; charset=utf-8`, 'Cache-Control': 'no-store' });
+        res.end(type === 'application/json' ? JSON.stringify(body) : body);
+    }
+
+    // Decisions only come from the review page: JSON posted from the server's own origin.
+    // A form on another site can't send that, so it can't record decisions through the browser.
+    readBody(req) {
+        const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (type !== 'application/json') {
+            return Promise.reject(new RequestError(415, `Expected application/json, got ${type || 'no content type'}`));
+        }
+        const origin = req.headers.origin;
+        if (origin && origin !== `http://${req.headers.host}`) {
+            return Promise.reject(new RequestError(403, `Cross-origin request from ${origin} refused`));
+        }
+
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.setEncoding('utf8');
+            req.on('data', chunk => {
+                body += chunk;
+                if (body.length > MAX_BODY_BYTES) {
+                    reject(new Error('Request body too large'));
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                try {
+                    resolve(JSON.parse(body || '{}'));
+                } catch (error) {
+                    reject(new Error(`Invalid JSON: ${error.message}`));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    async handle(req, res) {
+        try {
+            // Only the path is used: a constant base keeps a bad Host header harmless
+            const { pathname } = new URL(req.url, 'http://localhost');
+
+            if (req.method === 'GET' && pathname === '/') {
+                return this.send(res, 200, PAGE, 'text/html');
+            }
+            if (req.method === 'GET' && pathname === '/api/items') {
+                return this.send(res, 200, { items: this.loadItems() });
+            }
+            if (req.method === 'POST' && pathname === '/api/decisions') {
+                const saved = this.recordDecisions(await this.readBody(req));
+                console.log(`💾 Saved ${saved} decision(s) to ${this.decisions.file}`);
+                return this.send(res, 200, { saved, file: this.decisions.file });
+            }
+            return this.send(res, 404, { error: `Not found: ${req.method} ${pathname}` });
+        } catch (error) {
+            return this.send(res, error.status || 400, { error: error.message });
+        }
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handle(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                const items = this.loadItems();
+                console.log(`🖥️  Reviewing ${items.length} corrected airports at http://${this.host}:${this.port}/`);
+                console.log(`💾 Decisions are saved to ${this.decisions.file}; re-run the correct stage to apply reverts`);
+                console.log('Press Ctrl+C to stop');
+                resolve(this.server);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => this.server ? this.server.close(() => resolve()) : resolve());
+    }
+}
+
+async function main(options = {}) {
+    if (!fs.existsSync('corrections-made.json') && !fs.existsSync('airports-with-icao-corrected.json')) {
+        console.error('❌ corrections-made.json not found');
+        console.log('Please run correct-airports-with-openflights.js first');
+        process.exitCode = 1;
+        return null;
+    }
+    const server = new ReviewServer(options);
+    await server.start();
+    return server;
+}
+
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+export { ReviewServer, main };
@@ -0,0 +1,312 @@
+import fs from 'fs';
+import readline from 'readline';
+import { isMainModule, parseArgs } from './cli.js';
+import { CorrectionsRegistry } from './corrections.js';
+import { sameCountry, toCountryCode } from './countries.js';
+import { icaoMatchesCountry } from './icao-prefixes.js';
+import { ReviewDecisions, correctionKey, suspiciousKey } from './review-decisions.js';
+
+// Record fields a reviewer can accept or edit
+const REVIEW_FIELDS = ['airportCode', 'icaoCode', 'airportName', 'city', 'country'];
+
+function readJSON(file, fallback) {
+    if (!fs.existsSync(file)) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`❌ ${file} parse error:`, error.message);
+        return fallback;
+    }
+}
+
+function pick(record, fields = REVIEW_FIELDS) {
+    return Object.fromEntries(fields.filter(field => record?.[field] !== undefined).map(field => [field, record[field]]));
+}
+
+// Fields of `proposed` that differ from `original`; country names count as equal when they are the same ISO country
+function changedFields(original, proposed) {
+    return Object.fromEntries(Object.entries(proposed).filter(([field, value]) => {
+        if (value === null || value === undefined || value === original[field]) return false;
+        return !(field === 'country' && sameCountry(value, original[field]));
+    }));
+}
+
+// One line per history entry of a field: stage, source, value and evidence
+function historyLines(record, field) {
+    return (record.provenance?.[field] || []).map(entry => {
+        const evidence = Object.entries(entry.evidence || {})
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}=${value}`).join(', ');
+        return `${field} ${JSON.stringify(entry.value)} from ${entry.source} at ${entry.stage}${evidence ? ` [${evidence}]` : ''}`;
+    });
+}
+
+// corrections-made.json: airports whose values the corrector replaced with reference data
+function correctionItems() {
+    return readJSON('corrections-made.json', []).map(record => {
+        const original = record.originalData || {};
+        // Fields reverted in an earlier review hold the original value; show the reference value again
+        const proposed = { ...pick(record), ...record.revertedInReview };
+        const reference = record.openFlightsData || {};
+        const changed = Object.keys(changedFields(original, proposed));
+
+        return {
+            kind: 'correction',
+            key: correctionKey(record),
+            title: 'Corrected against reference data',
+            original,
+            proposed,
+            proposedBy: `${reference.dataset || 'openflights'} #${reference.id ?? '?'} (${record.matchType} match${record.matchScore !== undefined ? `, score ${record.matchScore}` : ''})`,
+            evidence: [
+                ...(record.corrections || []),
+                ...(reference.latitude !== undefined ? [`reference location ${reference.latitude}, ${reference.longitude}`] : []),
+                ...changed.flatMap(field => historyLines(record, field))
+            ]
+        };
+    });
+}
+
+// suspicious-icao-codes.json: ICAO codes whose prefix belongs to another country. The
+// proposal is the reference record with the same IATA code in the airport's country, else
+// a consensus candidate with a matching prefix.
+function suspiciousItems() {
+    const records = readJSON('airports-with-icao.json', []);
+    const reference = readJSON('openflights-airports-only.json', []);
+
+    return readJSON('suspicious-icao-codes.json', []).map(item => {
+        const record = records.find(r => r.airportCode === item.airportCode && r.icaoCode === item.icao && sameCountry(r, item)) || {};
+        const original = { ...pick(item), ...pick(record), icaoCode: item.icao, countryCode: item.countryCode };
+
+        const match = reference.find(a => a.iataCode === item.airportCode && sameCountry(a, item));
+        const candidate = record.icaoResolution?.losers?.find(loser => icaoMatchesCountry(loser.icaoCode, item.countryCode));
+        let proposed = null;
+        let proposedBy = null;
+        if (match && match.icaoCode !== item.icao) {
+            proposed = { icaoCode: match.icaoCode };
+            proposedBy = `openflights #${match.id} (${match.name}, ${match.city})`;
+        } else if (candidate) {
+            proposed = { icaoCode: candidate.icaoCode };
+            proposedBy = `consensus candidate from ${candidate.sources.map(s => s.source).join('+')}`;
+        }
+
+        return {
+            kind: 'suspicious',
+            key: suspiciousKey(original, item.icao),
+            title: 'Suspicious ICAO code',
+            original,
+            proposed,
+            proposedBy,
+            evidence: [
+                `prefix ${item.prefix || '(none)'} is registered to ${item.expectedRegion}, airport is in ${item.countryCode}`,
+                ...historyLines(record, 'icaoCode'),
+                ...(record.wikipediaSource ? [`Wikipedia: ${record.wikipediaSource.title} ${record.wikipediaSource.url || ''}`.trim()] : []),
+                ...(record.icaoResolution?.reason ? [`consensus: ${record.icaoResolution.reason}`] : [])
+            ]
+        };
+    });
+}
+
+// Reads answers line by line, so piped input works as well as a terminal
+class LinePrompt {
+    constructor(input = process.stdin, output = process.stdout) {
+        this.output = output;
+        this.rl = readline.createInterface({ input, output, terminal: Boolean(input.isTTY) });
+        this.lines = this.rl[Symbol.asyncIterator]();
+    }
+
+    // The answer, or null once the input has ended
+    async ask(question) {
+        this.output.write(question);
+        const { value, done } = await this.lines.next();
+        return done ? null : value.trim();
+    }
+
+    close() {
+        this.rl.close();
+    }
+}
+
+// Walks the flagged airports one by one. Every decision is saved to review-decisions.json
+// straight away, so an interrupted review picks up where it stopped; accepted and edited
+// values become entries in corrections.json, which every later run applies, and rejected
+// corrector changes are reverted by the correct stage.
+class ReviewSession {
+    constructor(options = {}) {
+        this.kinds = options._?.length ? options._ : ['suspicious', 'correction'];
+        this.reviewer = options.reviewer || process.env.USER || 'unknown';
+        this.registry = CorrectionsRegistry.load();
+        this.decisions = ReviewDecisions.load();
+        this.prompt = null;
+        this.stats = { accepted: 0, edited: 0, rejected: 0, skipped: 0 };
+    }
+
+    loadItems() {
+        const loaders = { suspicious: suspiciousItems, correction: correctionItems, corrections: correctionItems };
+        for (const kind of this.kinds) {
+            if (!loaders[kind]) {
+                throw new Error(`Unknown review list "${kind}" (expected suspicious or corrections)`);
+            }
+        }
+        return [...new Set(this.kinds.map(kind => loaders[kind]))].flatMap(load => load());
+    }
+
+    saveDecision(item, decision, correction = null) {
+        this.decisions.set(item.key, decision, {
+            kind: item.kind,
+            airport: `${item.original.airportCode} (${item.original.airportName})`,
+            reviewer: this.reviewer,
+            ...(correction && { correctionId: correction.id })
+        });
+        this.decisions.save();
+    }
+
+    show(item, index, total) {
+        const { original } = item;
+        console.log(`\n${'─'.repeat(60)}`);
+        console.log(`(${index + 1}/${total}) ${item.kind === 'suspicious' ? '❓' : '🔧'} ${item.title}`);
+        console.log(`✈️  ${original.airportCode} - ${original.airportName} (${original.city}, ${original.country})`);
+        console.log(`   Current:  ${Object.entries(pick(original)).map(([field, value]) => `${field}=${value}`).join(', ')}`);
+        if (item.proposed) {
+            const changes = changedFields(original, item.proposed);
+            console.log(`   Proposed: ${Object.entries(changes).map(([field, value]) => `${field}=${value}`).join(', ') || '(no change)'}`);
+            console.log(`             from ${item.proposedBy}`);
+        } else {
+            console.log('   Proposed: nothing (edit to enter values by hand)');
+        }
+        if (item.evidence.length > 0) {
+            console.log('   Evidence:');
+            item.evidence.forEach(line => console.log(`     • ${line}`));
+        }
+    }
+
+    // Adds a registry entry setting `values` on the airport; null when nothing differs.
+    // Throws when the registry refuses the entry (e.g. an invalid ICAO code)
+    addCorrection(item, values, reason) {
+        const set = changedFields(item.original, values);
+        if (Object.keys(set).length === 0) {
+            console.log('   Nothing differs from the current values; no correction added');
+            return null;
+        }
+
+        const entry = this.registry.add({
+            iata: String(item.original.airportCode || '').toUpperCase(),
+            countryCode: item.original.countryCode || toCountryCode(item.original.country),
+            set,
+            reason,
+            author: this.reviewer
+        });
+        this.registry.save();
+        console.log(`   ✏️  Added correction #${entry.id} to ${this.registry.file}`);
+        return entry;
+    }
+
+    // Asks for every field, defaulting to the proposed (else current) value; null when input ends
+    async editValues(item) {
+        const values = {};
+        for (const field of REVIEW_FIELDS) {
+            const current = item.proposed?.[field] ?? item.original[field] ?? '';
+            const answer = await this.prompt.ask(`   ${field} [${current}]: `);
+            if (answer === null) return null;
+            values[field] = answer || current;
+        }
+        values.airportCode = values.airportCode.toUpperCase();
+        values.icaoCode = values.icaoCode.toUpperCase();
+        return values;
+    }
+
+    // Asks until the reviewer decides; false when they quit or the input ends
+    async review(item) {
+        for (;;) {
+            const answer = await this.prompt.ask('   [a]ccept  [r]eject  [e]dit  [s]kip  [q]uit > ');
+            try {
+                const decided = await this.decide(item, answer);
+                if (decided !== null) return decided;
+            } catch (error) {
+                console.log(`   ❌ ${error.message}`);
+            }
+        }
+    }
+
+    // true when the item is settled, false to stop reviewing, null to ask again
+    async decide(item, answer) {
+        // Only the end of input quits; an empty line asks again
+        if (answer === null) return false;
+        switch (answer.toLowerCase()[0]) {
+            case 'a': {
+                if (!item.proposed) {
+                    console.log('   Nothing to accept; edit or reject instead');
+                    return null;
+                }
+                const entry = this.addCorrection(item, { ...item.original, ...item.proposed }, `Accepted in review: ${item.proposedBy}`);
+                this.saveDecision(item, 'accepted', entry);
+                this.stats.accepted++;
+                return true;
+            }
+            case 'e': {
+                const values = await this.editValues(item);
+                if (!values) return false;
+                const reason = await this.prompt.ask('   reason [Edited in review]: ');
+                if (reason === null) return false;
+                const entry = this.addCorrection(item, values, reason || 'Edited in review');
+                if (!entry) return null;
+                this.saveDecision(item, 'edited', entry);
+                this.stats.edited++;
+                return true;
+            }
+            case 'r':
+                this.saveDecision(item, 'rejected');
+                this.stats.rejected++;
+                return true;
+            case 's':
+                this.stats.skipped++;
+                return true;
+            case 'q':
+                return false;
+            default:
+                console.log('   Answer a, r, e, s or q');
+                return null;
+        }
+    }
+
+    async run(prompt = new LinePrompt()) {
+        const items = this.loadItems();
+        const pending = items.filter(item => !this.decisions.get(item.key));
+        console.log(`📝 ${items.length} flagged airports, ${items.length - pending.length} already decided, ${pending.length} to review`);
+        if (pending.length === 0) {
+            prompt.close();
+            return this.stats;
+        }
+
+        this.prompt = prompt;
+        try {
+            for (const [i, item] of pending.entries()) {
+                this.show(item, i, pending.length);
+                if (!await this.review(item)) break;
+            }
+        } finally {
+            prompt.close();
+        }
+
+        const { accepted, edited, rejected, skipped } = this.stats;
+        console.log(`\n✅ Accepted ${accepted}, edited ${edited}, rejected ${rejected}, skipped ${skipped}`);
+        console.log(`💾 Decisions saved to ${this.decisions.file}`);
+        if (accepted + edited > 0) {
+            console.log(`✏️  New corrections are in ${this.registry.file}; re-run the pipeline to apply them`);
+        }
+        return this.stats;
+    }
+}
+
+// review [suspicious] [corrections]
+async function main(options = {}) {
+    return new ReviewSession(options).run();
+}
+
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+export { ReviewSession, main };
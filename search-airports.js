@@ -0,0 +1,131 @@
+import fs from 'fs';
+import { isMainModule, parseArgs } from './cli.js';
+import { COUNTRIES, toCountryCode } from './countries.js';
+import { toRow } from './export-airports.js';
+import { querySimilarity } from './fuzzy.js';
+
+// Airports from the most complete stage output available
+const AIRPORT_SOURCES = ['airports-with-icao-corrected.json', 'airports-with-icao.json', 'airports-categorized.json'];
+const CITIES_FILE = 'beautiful-cities-cleaned.json';
+
+const DEFAULT_LIMIT = 20;
+const DEFAULT_MIN_SCORE = 0.8;
+// A country match ranks below a name or city match of the same quality
+const COUNTRY_WEIGHT = 0.9;
+
+function readJSON(file) {
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`❌ ${file} parse error:`, error.message);
+        return null;
+    }
+}
+
+// Every name a country goes by: common, official, ISO codes and aliases
+const countryNames = new Map(COUNTRIES.map(country =>
+    [country.alpha2, [country.name, country.officialName, country.alpha2, country.alpha3, ...country.aliases].filter(Boolean)]));
+
+function countryScore(query, countryCode, countryName) {
+    const names = countryNames.get(countryCode) || [countryName].filter(Boolean);
+    return COUNTRY_WEIGHT * Math.max(0, ...names.map(name => querySimilarity(query, name)));
+}
+
+// Codes only match exactly: a typo in a three-letter code is another airport's code
+function codeScore(query, ...codes) {
+    const wanted = query.trim().toUpperCase();
+    return codes.some(code => code && code.toUpperCase() === wanted) ? 1 : 0;
+}
+
+function scoreAirport(query, row) {
+    return Math.max(
+        codeScore(query, row.airportCode, row.icaoCode),
+        querySimilarity(query, row.airportName),
+        querySimilarity(query, row.city),
+        countryScore(query, row.countryCode, row.country)
+    );
+}
+
+function scoreCity(query, city) {
+    return Math.max(querySimilarity(query, city.name), countryScore(query, city.countryCode, city.country));
+}
+
+// Ranked airports and beautiful cities matching the query, best first
+function searchAll(query, { airports = [], cities = [], limit = DEFAULT_LIMIT, minScore = DEFAULT_MIN_SCORE } = {}) {
+    const results = [
+        ...airports.map(toRow).map(row => ({ type: 'airport', score: scoreAirport(query, row), row })),
+        ...cities.flatMap(entry => (entry.cities || []).map(name => {
+            const city = { name, country: entry.country, countryCode: entry.countryCode || toCountryCode(entry.country) };
+            return { type: 'city', score: scoreCity(query, city), city };
+        }))
+    ];
+
+    return results
+        .filter(result => result.score >= minScore)
+        .sort((a, b) => b.score - a.score || (a.type === b.type ? 0 : a.type === 'airport' ? -1 : 1))
+        .slice(0, limit);
+}
+
+function truncate(text, width) {
+    const value = String(text ?? '-');
+    return (value.length > width ? value.slice(0, width - 1) + '…' : value).padEnd(width);
+}
+
+function printResults(results) {
+    const columns = [['Score', 5], ['Type', 7], ['Code', 9], ['Name', 36], ['City', 18], ['Country', 7], ['Category', 8], ['ICAO source', 17]];
+    console.log(columns.map(([title, width]) => title.padEnd(width)).join('  ').trimEnd());
+    console.log(columns.map(([, width]) => '─'.repeat(width)).join('  '));
+
+    for (const { type, score, row, city } of results) {
+        const cells = type === 'airport'
+            ? [score.toFixed(2), type, [row.airportCode, row.icaoCode].filter(Boolean).join(' '), row.airportName, row.city,
+                row.countryCode || row.country, row.category, row.icaoSource]
+            : [score.toFixed(2), type, null, city.name, null, city.countryCode || city.country, null, null];
+        console.log(cells.map((cell, i) => truncate(cell, columns[i][1])).join('  ').trimEnd());
+    }
+}
+
+// search <query...>
+async function main(options = {}) {
+    const query = (options._ || []).join(' ').trim();
+    if (!query) {
+        console.error('❌ Usage: search <name, city, IATA/ICAO code or country> [--limit n] [--min-score 0..1]');
+        process.exitCode = 1;
+        return null;
+    }
+
+    const limit = options.limit === undefined ? DEFAULT_LIMIT : Number(options.limit);
+    const minScore = options.minScore === undefined ? DEFAULT_MIN_SCORE : Number(options.minScore);
+    if (!Number.isInteger(limit) || limit < 1) throw new Error(`Invalid --limit "${options.limit}"`);
+    if (!(minScore >= 0 && minScore <= 1)) throw new Error(`Invalid --min-score "${options.minScore}" (expected 0 to 1)`);
+
+    const airportsFile = options.input || AIRPORT_SOURCES.find(file => fs.existsSync(file));
+    const airports = (airportsFile && readJSON(airportsFile)) || [];
+    const cities = readJSON(CITIES_FILE) || [];
+    if (airports.length === 0 && cities.length === 0) {
+        console.error(`❌ Nothing to search: no ${options.input || AIRPORT_SOURCES.join(', ')} or ${CITIES_FILE}`);
+        console.log('Please run the pipeline first (harvest run)');
+        process.exitCode = 1;
+        return null;
+    }
+
+    const results = searchAll(query, { airports, cities, limit, minScore });
+    if (results.length === 0) {
+        console.log(`🔎 No airports or cities match "${query}" (score ≥ ${minScore.toFixed(2)})`);
+        return results;
+    }
+
+    console.log(`🔎 ${results.length} best matches for "${query}" in ${airportsFile || '(no airports)'} and ${CITIES_FILE}\n`);
+    printResults(results);
+    return results;
+}
+
+if (isMainModule(import.meta.url)) {
+    main(parseArgs(process.argv.slice(2))).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+export { searchAll, main };
@@ -0,0 +1,108 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { AirportCorrector } from '../correct-airports-with-openflights.js';
+
+const REFERENCE = [
+    { id: 1, name: 'Santa Cruz Airport', city: 'Santa Cruz', country: 'Bolivia', countryCode: 'BO', iataCode: 'SRZ', icaoCode: 'SLET' },
+    { id: 2, name: 'Santa Cruz Airport', city: 'Santa Cruz', country: 'India', countryCode: 'IN', iataCode: 'SCX', icaoCode: 'VASC' },
+    { id: 3, name: 'Paris Orly Sud Airport', city: 'Paris', country: 'France', countryCode: 'FR', iataCode: 'ORY', icaoCode: 'LFPO' },
+    { id: 4, name: 'Paris Orly Ouest Airport', city: 'Paris', country: 'France', countryCode: 'FR', iataCode: 'XOW', icaoCode: 'LFPX' },
+    { id: 5, name: 'Saint Nazaire Montoir Airport', city: 'Saint Nazaire', country: 'France', countryCode: 'FR', iataCode: 'SNR', icaoCode: 'LFRZ' },
+    { id: 6, name: 'Chişinău International Airport', city: 'Chisinau', country: 'Moldova', countryCode: 'MD', iataCode: 'KIV', icaoCode: 'LUKK' },
+    { id: 7, name: 'Lone Name Airport', city: 'Lima', country: 'Peru', countryCode: 'PE', iataCode: 'LNA', icaoCode: 'SPLN' }
+].map(airport => ({ ...airport, dataset: 'openflights' }));
+
+const cwd = process.cwd();
+let dir;
+let corrector;
+
+before(() => {
+    // The corrector reads corrections.json and review-decisions.json from the working directory
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'corrector-'));
+    process.chdir(dir);
+    corrector = new AirportCorrector();
+    corrector.openFlightsData = REFERENCE;
+    const log = console.log;
+    console.log = () => {};
+    try {
+        corrector.createLookupMaps();
+    } finally {
+        console.log = log;
+    }
+});
+
+after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const find = airport => corrector.findOpenFlightsMatch({ airportCode: null, city: null, ...airport });
+const ids = result => result.candidates.map(candidate => candidate.match.id);
+
+test('an exact name in the same country matches, whatever the spelling', () => {
+    const result = find({ airportName: 'Chișinău Intl Airport', country: 'Moldova' });
+    assert.equal(result.type, 'exactNameCountry');
+    assert.equal(result.match.id, 6);
+});
+
+test('an exact name in the same country wins over namesakes elsewhere', () => {
+    const result = find({ airportName: 'Santa Cruz Airport', country: 'India' });
+    assert.equal(result.type, 'exactNameCountry');
+    assert.equal(result.match.id, 2);
+});
+
+test('exact names only found in other countries are ambiguous', () => {
+    const result = find({ airportName: 'Santa Cruz Airport', country: 'Spain' });
+    assert.equal(result.ambiguous, true);
+    assert.deepEqual(ids(result).sort(), [1, 2]);
+});
+
+test('several exact names without a country are ambiguous', () => {
+    const result = find({ airportName: 'Santa Cruz Airport' });
+    assert.equal(result.ambiguous, true);
+    assert.deepEqual(ids(result).sort(), [1, 2]);
+});
+
+test('a single exact name matches an airport without a country', () => {
+    const result = find({ airportName: 'Lone Name Airport' });
+    assert.equal(result.type, 'exactName');
+    assert.equal(result.match.id, 7);
+});
+
+test('a single exact name in another country is left for review', () => {
+    const result = find({ airportName: 'Lone Name Airport', country: 'Chile' });
+    assert.equal(result.ambiguous, true);
+    assert.deepEqual(ids(result), [7]);
+});
+
+test('the IATA code is tried before an exact name in another country', () => {
+    const result = find({ airportName: 'Santa Cruz Airport', country: 'Spain', airportCode: 'LNA' });
+    assert.equal(result.type, 'iata');
+    assert.equal(result.match.id, 7);
+});
+
+test('a short name fuzzy-matches the airport in its country', () => {
+    const result = find({ airportName: 'Saint Nazaire Airport', city: 'Saint Nazaire', country: 'France' });
+    assert.equal(result.type, 'partialName');
+    assert.equal(result.match.id, 5);
+    assert.ok(result.score >= 0.8);
+});
+
+test('two airports of the city scoring alike are ambiguous', () => {
+    const result = find({ airportName: 'Paris Orly', city: 'Paris', country: 'France' });
+    assert.equal(result.ambiguous, true);
+    assert.deepEqual(ids(result).sort(), [3, 4]);
+});
+
+test('the IATA code settles an ambiguous fuzzy match', () => {
+    const result = find({ airportName: 'Paris Orly', city: 'Paris', country: 'France', airportCode: 'XOW' });
+    assert.equal(result.type, 'partialName');
+    assert.equal(result.match.id, 4);
+});
+
+test('no match at all is null', () => {
+    assert.equal(find({ airportName: 'Nowhere Field', country: 'France', airportCode: 'ZZZ' }), null);
+});
@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { test } from 'node:test';
+import { CSVReader, readCSV, parseCSVLine } from '../csv-reader.js';
+
+async function records(input, reader) {
+    const result = [];
+    for await (const record of readCSV(input, reader)) result.push(record);
+    return result;
+}
+
+test('splits plain and quoted fields', () => {
+    assert.deepEqual(parseCSVLine('1,"Paris, Orly",ORY'), ['1', 'Paris, Orly', 'ORY']);
+});
+
+test('unescapes doubled quotes inside quoted fields', () => {
+    assert.deepEqual(parseCSVLine('"He said ""hi""",x'), ['He said "hi"', 'x']);
+});
+
+test('keeps a lone quote inside an unquoted field', () => {
+    assert.deepEqual(parseCSVLine('O"Hare,x'), ['O"Hare', 'x']);
+});
+
+test('reads an unquoted \\N as null and a quoted one as text', () => {
+    assert.deepEqual(parseCSVLine('1,\\N,"\\N"'), ['1', null, '\\N']);
+});
+
+test('quotedNull reads both forms of \\N as null', () => {
+    assert.deepEqual(parseCSVLine('1,\\N,"\\N"', { quotedNull: true }), ['1', null, null]);
+});
+
+test('nullValue: null turns the null marker off', () => {
+    assert.deepEqual(parseCSVLine('\\N,', { nullValue: null }), ['\\N', '']);
+});
+
+test('strips CRLF line endings', async () => {
+    const result = await records('a,b\r\nc,d\r\n');
+    assert.deepEqual(result.map(record => record.fields), [['a', 'b'], ['c', 'd']]);
+});
+
+test('joins a quoted field spanning several lines and reports its first line', async () => {
+    const result = await records('1,"first\nsecond",x\n2,y,z\n');
+    assert.deepEqual(result, [
+        { line: 1, fields: ['1', 'first\nsecond', 'x'] },
+        { line: 3, fields: ['2', 'y', 'z'] }
+    ]);
+});
+
+test('reads a stream the same way as a string', async () => {
+    const text = '1,"a\r\nb"\r\n2,c\r\n';
+    const fromStream = await records(Readable.from([text.slice(0, 5), text.slice(5)]));
+    assert.deepEqual(fromStream.map(record => record.fields), [['1', 'a\nb'], ['2', 'c']]);
+});
+
+test('skips blank lines', async () => {
+    const result = await records('a\n\n   \nb\n');
+    assert.deepEqual(result.map(record => record.fields), [['a'], ['b']]);
+});
+
+test('skips and reports malformed records', async () => {
+    const reader = new CSVReader({ minFields: 2 });
+    const result = await records('"a"b,c\nshort\nok,1\n"never closed\n', reader);
+
+    assert.deepEqual(result.map(record => record.fields), [['ok', '1']]);
+    assert.deepEqual(reader.errors.map(error => [error.line, error.reason]), [
+        [1, 'unexpected text after closing quote in field 1'],
+        [2, 'expected at least 2 fields, got 1'],
+        [4, 'unterminated quoted field at end of input']
+    ]);
+});
+
+test('calls onError for every skipped record', async () => {
+    const seen = [];
+    await records('"a"b\n', { onError: error => seen.push(error.line) });
+    assert.deepEqual(seen, [1]);
+});
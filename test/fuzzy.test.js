@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { jaroWinkler, querySimilarity, NameIndex } from '../fuzzy.js';
+import { normalizeName } from '../names.js';
+
+test('jaroWinkler matches the reference values', () => {
+    assert.equal(jaroWinkler('abc', 'abc'), 1);
+    assert.equal(jaroWinkler('abc', ''), 0);
+    assert.equal(jaroWinkler('abc', 'xyz'), 0);
+    assert.ok(Math.abs(jaroWinkler('martha', 'marhta') - 0.961) < 0.001);
+    assert.ok(Math.abs(jaroWinkler('dixon', 'dicksonx') - 0.813) < 0.001);
+});
+
+test('querySimilarity treats accents and word prefixes as matches', () => {
+    assert.equal(querySimilarity('Chisinau', 'Chișinău'), 1);
+    assert.equal(querySimilarity('Sheremet', 'Sheremetyevo Airport'), 0.95);
+    assert.ok(querySimilarity('Sheremetievo', 'Sheremetyevo') > 0.9);
+    assert.equal(querySimilarity('', 'Paris'), 0);
+});
+
+const AIRPORTS = [
+    { name: 'Saint Etienne Boutheon Airport', country: 'FR' },
+    { name: 'Saint Nazaire Montoir Airport', country: 'FR' },
+    { name: 'Saint Brieuc Armor Airport', country: 'FR' },
+    { name: 'Lyon Saint Exupery Airport', country: 'FR' },
+    { name: 'Lyon Bron Airport', country: 'FR' },
+    { name: 'Nice Cote d Azur Airport', country: 'FR' },
+    { name: 'Saint Petersburg Clearwater International Airport', country: 'US' }
+];
+
+const index = new NameIndex(AIRPORTS, { blockOf: airport => airport.country, normalize: normalizeName });
+
+test('NameIndex finds the airport a short name stands for', () => {
+    const [best] = index.search('Saint Nazaire Airport', { block: 'FR' });
+    assert.equal(best.item.name, 'Saint Nazaire Montoir Airport');
+    assert.ok(best.score > 0.8);
+});
+
+test('NameIndex weighs common words little', () => {
+    const [best, second] = index.search('Saint Etienne', { block: 'FR' });
+    assert.equal(best.item.name, 'Saint Etienne Boutheon Airport');
+    assert.ok(second.score < best.score / 2);
+});
+
+test('NameIndex confines a search to its block', () => {
+    const results = index.search('Saint Petersburg Clearwater', { block: 'FR' });
+    assert.ok(results.every(result => result.item.country === 'FR'));
+    assert.equal(index.search('Saint Petersburg Clearwater')[0].item.country, 'US');
+});
+
+test('NameIndex scores two airports of one city closely', () => {
+    const [first, second] = index.search('Lyon', { block: 'FR' });
+    assert.deepEqual([first.item.name, second.item.name].sort(), ['Lyon Bron Airport', 'Lyon Saint Exupery Airport']);
+    assert.ok(first.score - second.score < 0.15);
+});
+
+test('NameIndex returns nothing for an unknown block or an empty name', () => {
+    assert.deepEqual(index.search('Lyon', { block: 'DE' }), []);
+    assert.deepEqual(index.search(''), []);
+});
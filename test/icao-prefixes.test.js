@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { matchICAOPrefix, icaoMatchesCountry } from '../icao-prefixes.js';
+
+test('the longest registered prefix wins', () => {
+    assert.deepEqual(matchICAOPrefix('UAFM'), { prefix: 'UAF', countries: ['KG'] });
+    assert.deepEqual(matchICAOPrefix('UAAA'), { prefix: 'UA', countries: ['KZ'] });
+    assert.deepEqual(matchICAOPrefix('WBSB'), { prefix: 'WBS', countries: ['BN'] });
+});
+
+test('one-letter prefixes cover whole regions', () => {
+    assert.equal(matchICAOPrefix('KJFK').prefix, 'K');
+    assert.equal(matchICAOPrefix('CYYZ').prefix, 'C');
+});
+
+test('dependencies share their parent prefix', () => {
+    assert.deepEqual(matchICAOPrefix('EGJJ').countries, ['GB', 'GG', 'IM', 'JE']);
+    assert.equal(icaoMatchesCountry('ENSB', 'SJ'), true);
+    assert.equal(icaoMatchesCountry('EFMA', 'AX'), true);
+    assert.equal(icaoMatchesCountry('YPXM', 'CX'), true);
+});
+
+test('lookups ignore case', () => {
+    assert.equal(icaoMatchesCountry('lfpg', 'FR'), true);
+});
+
+test('a prefix of another country does not match', () => {
+    assert.equal(icaoMatchesCountry('LFPG', 'DE'), false);
+});
+
+test('an unregistered prefix is null', () => {
+    assert.equal(matchICAOPrefix('QQQQ'), null);
+    assert.equal(icaoMatchesCountry('QQQQ', 'FR'), null);
+    assert.equal(matchICAOPrefix(null), null);
+});
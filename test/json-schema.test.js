@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { validate, extractJSONObjects, parseJSONReply } from '../json-schema.js';
+
+const SCHEMA = {
+    type: 'object',
+    required: ['icao', 'confidence'],
+    properties: {
+        icao: { type: ['string', 'null'], pattern: '^[A-Z]{4}$' },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        runway: { type: ['integer', 'null'] },
+        elevation: { type: 'integer' }
+    }
+};
+
+test('coerces values towards the schema', () => {
+    const result = validate(SCHEMA, { icao: 'LFPG', confidence: '0.9', runway: 'unknown', elevation: '3,200' });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.value, { icao: 'LFPG', confidence: 0.9, runway: null, elevation: 3200 });
+});
+
+test('reports every problem with its field', () => {
+    const result = validate(SCHEMA, { icao: 'lfpg', confidence: 2 });
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(error => error.path).sort(), ['confidence', 'icao']);
+});
+
+test('reports missing required fields', () => {
+    const result = validate(SCHEMA, { icao: 'LFPG' });
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(error => error.path), ['confidence']);
+});
+
+test('extracts objects from fences and prose, skipping braces in strings', () => {
+    const reply = 'Sure! ```json\n{"a": "x}y"}\n``` and also {"b": {"c": 1}} but not {this}';
+    assert.deepEqual(extractJSONObjects(reply), [{ a: 'x}y' }, { b: { c: 1 } }]);
+});
+
+test('parseJSONReply takes the first object that validates', () => {
+    const reply = '{"icao": "bad"} then {"icao": "LFPG", "confidence": 1}';
+    const result = parseJSONReply(reply, SCHEMA);
+    assert.equal(result.valid, true);
+    assert.equal(result.value.icao, 'LFPG');
+});
+
+test('parseJSONReply reports a reply without JSON', () => {
+    const result = parseJSONReply('I do not know', SCHEMA);
+    assert.equal(result.valid, false);
+    assert.equal(result.errors[0].message, 'no JSON object found in reply');
+});
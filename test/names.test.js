@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { foldText, tokens, normalizeName, mentionsAirport } from '../names.js';
+
+test('foldText strips diacritics and punctuation', () => {
+    assert.equal(foldText('Chișinău'), 'chisinau');
+    assert.equal(foldText('Chişinău'), 'chisinau');
+    assert.equal(foldText("Côte d'Azur"), 'cote d azur');
+    assert.equal(foldText('Łódź–Władysław Reymont'), 'lodz wladyslaw reymont');
+});
+
+test('foldText transliterates Cyrillic, Greek and ligatures', () => {
+    assert.equal(foldText('Кишинёв'), 'kishinev');
+    assert.equal(foldText('Київ'), 'kiyiv');
+    assert.equal(foldText('Αθήνα'), 'athina');
+    assert.equal(foldText('Straße'), 'strasse');
+});
+
+test('foldText treats null and undefined as empty', () => {
+    assert.equal(foldText(null), '');
+    assert.equal(foldText(undefined), '');
+});
+
+test('tokens splits folded text into words', () => {
+    assert.deepEqual(tokens('São Paulo–Guarulhos'), ['sao', 'paulo', 'guarulhos']);
+    assert.deepEqual(tokens(''), []);
+});
+
+test('normalizeName drops airport words and "international" in any language', () => {
+    assert.equal(normalizeName('Chișinău Intl Airport'), 'chisinau');
+    assert.equal(normalizeName('Aeroportul Internațional Chișinău'), 'chisinau');
+    assert.equal(normalizeName('Aéroport de Lyon-Saint-Exupéry'), 'lyon saint exupery');
+    assert.equal(normalizeName('Flughafen München'), 'munchen');
+});
+
+test('normalizeName expands abbreviations', () => {
+    assert.equal(normalizeName('St. Louis Lambert Intl'), 'saint louis lambert');
+    assert.equal(normalizeName('Ft Lauderdale Hollywood Intl Arpt'), 'fort lauderdale hollywood');
+});
+
+test('normalizeName drops multi-word airport terms as phrases', () => {
+    assert.equal(normalizeName('Ramstein Air Base'), 'ramstein');
+    assert.equal(normalizeName('Port Lotniczy Gdańsk'), 'gdansk');
+});
+
+test('normalizeName keeps a name made only of generic words', () => {
+    assert.equal(normalizeName('International Airport'), 'international airport');
+});
+
+test('mentionsAirport recognizes airport terms in several languages', () => {
+    assert.equal(mentionsAirport('Aeropuerto de Madrid'), true);
+    assert.equal(mentionsAirport('Ramstein Air Base'), true);
+    assert.equal(mentionsAirport('Madrid'), false);
+});
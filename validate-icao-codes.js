@@ -1,4 +1,8 @@
 import fs from 'fs';
+import { isMainModule } from './cli.js';
+import { countryCodeOf } from './countries.js';
+import { CorrectionsRegistry } from './corrections.js';
+import { matchICAOPrefix } from './icao-prefixes.js';
 
 function validateICAOCodes() {
     try {
@@ -11,87 +15,56 @@ function validateICAOCodes() {
 
         const airports = JSON.parse(fs.readFileSync('airports-with-icao.json', 'utf8'));
 
-        // Known corrections (add more as you find them)
-        const corrections = {
-            'KVP': 'LUTR',  // Tiraspol - corrected per MSFS2024
-            'KIV': 'LUKK'   // Chișinău - Moldova pattern
-        };
-
-        // Regional patterns for validation
-        const regionPatterns = {
-            'LU': ['Moldova'],
-            'UL': ['Russia', 'Kazakhstan', 'Uzbekistan'],
-            'EG': ['United Kingdom'],
-            'LF': ['France'],
-            'ED': ['Germany'],
-            'LE': ['Spain'],
-            'LI': ['Italy'],
-            'WM': ['Malaysia'],
-            'WS': ['Singapore'],
-            'VT': ['Thailand'],
-            'VI': ['India'],
-            'ZB': ['China (Beijing area)'],
-            'ZS': ['China (Shanghai area)'],
-            'RJ': ['Japan'],
-            'RK': ['South Korea'],
-            'OM': ['UAE'],
-            'OT': ['Qatar'],
-            'K': ['United States (continental)'],
-            'C': ['Canada'],
-            'S': ['South America'],
-            'F': ['Africa'],
-            'Y': ['Australia'],
-            'N': ['Pacific islands']
-        };
+        // Hand corrections (corrections.json; add more with `corrections add`)
+        const corrections = CorrectionsRegistry.load();
 
         let corrections_made = 0;
         let suspicious_codes = [];
+        const unchecked_countries = new Set();
 
         console.log('\n🔍 Checking for corrections and suspicious codes...\n');
 
-        for (let airport of airports) {
-            const iataCode = airport.airportCode;
-            const currentICAO = airport.icaoCode;
-            const country = airport.country;
-
-            // Apply known corrections
-            if (corrections[iataCode] && currentICAO !== corrections[iataCode]) {
-                console.log(`🔧 CORRECTED: ${iataCode} ${currentICAO} → ${corrections[iataCode]} (${airport.airportName})`);
-                airport.icaoCode = corrections[iataCode];
-                airport.icaoSource = 'manual_correction';
+        for (let [i, airport] of airports.entries()) {
+            // Apply known corrections that are not in the record yet, in memory only: writing
+            // airports-with-icao-corrected.json is the correct stage's job
+            const changes = corrections.changesFor(airport);
+            if (changes.length > 0) {
+                console.log(`🔧 CORRECTED: ${airport.airportCode} ${changes.join(', ')} (${airport.airportName})`);
+                airport = airports[i] = corrections.apply(airport, 'validate');
                 corrections_made++;
             }
 
-            // Check for suspicious patterns
-            if (currentICAO && airport.icaoSource === 'llm') {
-                const prefix = currentICAO.substring(0, 2);
-                const pattern = regionPatterns[prefix];
-
-                if (pattern) {
-                    // Check if country matches expected pattern
-                    const countryMatch = pattern.some(region =>
-                        country.toLowerCase().includes(region.toLowerCase()) ||
-                        region.toLowerCase().includes(country.toLowerCase())
-                    );
-
-                    if (!countryMatch) {
-                        suspicious_codes.push({
-                            airport: `${iataCode} (${airport.airportName})`,
-                            country: country,
-                            icao: currentICAO,
-                            expectedRegion: pattern.join(', '),
-                            confidence: airport.confidence
-                        });
-                    }
+            const iataCode = airport.airportCode;
+            const country = airport.country;
+
+            // Every ICAO code must carry a prefix registered to the country the airport is in
+            const icao = airport.icaoCode;
+            if (icao) {
+                const countryCode = countryCodeOf(airport);
+                const match = matchICAOPrefix(icao);
+
+                if (!countryCode) {
+                    unchecked_countries.add(country);
+                } else if (!match || !match.countries.includes(countryCode)) {
+                    suspicious_codes.push({
+                        airport: `${iataCode} (${airport.airportName})`,
+                        airportCode: iataCode,
+                        airportName: airport.airportName,
+                        city: airport.city,
+                        country: country,
+                        countryCode,
+                        icao,
+                        prefix: match?.prefix || null,
+                        expectedRegion: match ? match.countries.join(', ') : 'unregistered prefix',
+                        icaoSource: airport.icaoSource,
+                        confidence: airport.confidence
+                    });
                 }
             }
         }
 
-        // Save corrected data
         if (corrections_made > 0) {
-            fs.writeFileSync('airports-with-icao-corrected.json', JSON.stringify(airports, null, 2));
-            console.log(`\n✅ Applied ${corrections_made} corrections`);
-            console.log('💾 Saved corrected data to airports-with-icao-corrected.json');
+            console.log(`\n✅ Checked ${corrections_made} airports with their corrections applied`);
         }
 
         // Report suspicious codes
@@ -100,19 +73,19 @@ function validateICAOCodes() {
 
             suspicious_codes.slice(0, 10).forEach(item => {
                 console.log(`❓ ${item.airport} in ${item.country}`);
-                console.log(`   ICAO: ${item.icao} (expected region: ${item.expectedRegion})`);
-                console.log(`   Confidence: ${item.confidence}\n`);
+                console.log(`   ICAO: ${item.icao} (prefix registered to: ${item.expectedRegion}, airport in ${item.countryCode})`);
+                console.log(`   Source: ${item.icaoSource}, confidence: ${item.confidence}\n`);
             });
 
             if (suspicious_codes.length > 10) {
                 console.log(`... and ${suspicious_codes.length - 10} more\n`);
             }
-
-            // Save suspicious codes for manual review
-            fs.writeFileSync('suspicious-icao-codes.json', JSON.stringify(suspicious_codes, null, 2));
-            console.log('💾 Saved suspicious codes to suspicious-icao-codes.json for manual review');
         }
 
+        // Save suspicious codes for manual review (always written, so the pipeline can tell this stage ran)
+        fs.writeFileSync('suspicious-icao-codes.json', JSON.stringify(suspicious_codes, null, 2));
+        console.log('💾 Saved suspicious codes to suspicious-icao-codes.json for manual review');
+
         // Generate statistics
         const stats = {
             total: airports.length,
@@ -121,10 +94,12 @@ function validateICAOCodes() {
                 known_mapping: airports.filter(a => a.icaoSource === 'known_mapping').length,
                 manual_correction: airports.filter(a => a.icaoSource === 'manual_correction').length,
                 llm: airports.filter(a => a.icaoSource === 'llm').length,
-                not_found: airports.filter(a => a.icaoSource === 'not_found').length
+                not_found: airports.filter(a => a.icaoSource === 'not_found').length,
+                error: airports.filter(a => a.icaoSource === 'error').length
             },
             corrections_made,
-            suspicious_count: suspicious_codes.length
+            suspicious_count: suspicious_codes.length,
+            unchecked_countries: [...unchecked_countries]
         };
 
         console.log('\n📊 VALIDATION SUMMARY:');
@@ -132,8 +107,12 @@ function validateICAOCodes() {
         console.log(`With ICAO codes: ${stats.withICAO} (${(stats.withICAO / stats.total * 100).toFixed(1)}%)`);
         console.log(`Known/corrected: ${stats.bySource.known_mapping + stats.bySource.manual_correction}`);
         console.log(`LLM generated: ${stats.bySource.llm}`);
+        console.log(`Lookup errors: ${stats.bySource.error}`);
         console.log(`Corrections made: ${stats.corrections_made}`);
         console.log(`Suspicious codes: ${stats.suspicious_count}`);
+        if (stats.unchecked_countries.length > 0) {
+            console.log(`Countries not recognized (codes unchecked): ${stats.unchecked_countries.join(', ')}`);
+        }
 
         return {
             corrected_airports: airports,
@@ -155,15 +134,14 @@ function main() {
 
     if (result) {
         console.log('\n✅ Validation complete!');
-        if (result.stats.corrections_made > 0) {
-            console.log('📄 Use airports-with-icao-corrected.json for the corrected data');
-        }
         if (result.stats.suspicious_count > 0) {
             console.log('📄 Review suspicious-icao-codes.json for potential issues');
         }
     }
 }
 
-main();
+if (isMainModule(import.meta.url)) {
+    main();
+}
 
-export { validateICAOCodes }; 
\ No newline at end of file
+export { validateICAOCodes, main };
@@ -0,0 +1,124 @@
+import { loadConfig } from './config.js';
+import { CircuitBreaker, sleep, withRetry, withTimeout } from './retry.js';
+
+// Classic token bucket: `ratePerSecond` tokens are added continuously, up to `burst`
+class TokenBucket {
+    constructor({ ratePerSecond, burst = 1 }) {
+        this.ratePerSecond = ratePerSecond;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+        this.queue = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.ratePerSecond);
+        this.updatedAt = now;
+    }
+
+    // Resolves once a token is available; callers are served first come, first served
+    take() {
+        const turn = this.queue.then(async () => {
+            this.refill();
+            while (this.tokens < 1) {
+                await sleep((1 - this.tokens) / this.ratePerSecond * 1000);
+                this.refill();
+            }
+            this.tokens -= 1;
+        });
+        this.queue = turn;
+        return turn;
+    }
+}
+
+class Semaphore {
+    constructor(max) {
+        this.max = max;
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    async acquire() {
+        if (this.active < this.max) {
+            this.active++;
+            return;
+        }
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next(); // Hand the slot straight to the next waiter
+        } else {
+            this.active--;
+        }
+    }
+}
+
+// One external service (an LLM server, Wikipedia, ...) with its own concurrency cap,
+// rate limit, per-request timeout, retry policy and circuit breaker
+class Backend {
+    constructor(name, { concurrency = 1, ratePerSecond = null, burst = 1, timeoutMs = 120000, retry = {}, breaker = {} } = {}) {
+        this.name = name;
+        this.slots = new Semaphore(concurrency);
+        this.bucket = ratePerSecond ? new TokenBucket({ ratePerSecond, burst }) : null;
+        this.timeoutMs = timeoutMs;
+        this.retry = { ...retry, label: name };
+        this.breaker = new CircuitBreaker(name, breaker);
+    }
+
+    // Run task(signal) under this backend's limits. The signal aborts on timeout;
+    // transient failures are retried with backoff, outside the concurrency slot.
+    async schedule(task) {
+        return withRetry(() => this.breaker.execute(async () => {
+            await this.slots.acquire();
+            try {
+                if (this.bucket) {
+                    await this.bucket.take();
+                }
+                return await withTimeout(task, this.timeoutMs);
+            } finally {
+                this.slots.release();
+            }
+        }), this.retry);
+    }
+}
+
+const backends = new Map();
+
+// Shared Backend for `name`, configured from scheduler.backends in harvest.config.json
+function getBackend(name) {
+    if (!backends.has(name)) {
+        const settings = loadConfig().scheduler?.backends?.[name] || {};
+        backends.set(name, new Backend(name, settings));
+    }
+    return backends.get(name);
+}
+
+// How many items a stage keeps in flight at once
+function stageConcurrency(stage) {
+    const stages = loadConfig().scheduler?.stages || {};
+    return stages[stage] ?? stages.default ?? 1;
+}
+
+// Run `worker(item, index)` over every item with at most `concurrency` running at once.
+// Results come back in input order regardless of completion order.
+async function mapOrdered(items, worker, { concurrency = 1 } = {}) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runWorker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, runWorker);
+    await Promise.all(workers);
+    return results;
+}
+
+export { TokenBucket, Semaphore, Backend, getBackend, stageConcurrency, mapOrdered, sleep };